@@ -0,0 +1,11 @@
+/*Mocha runs the files of the test folder that end in .test.js. Babel is registered first, so the tests can load the
+ES modules of the server, then test/setup.js prepares the environment of the app before any of its modules is loaded.
+The tests that need a database only run when MONGODB_TEST_URI is set, see test/helpers/app.js. Mocha exits once they
+are done, without waiting for the server and the database connection they opened.*/
+
+module.exports = {
+    require: [ '@babel/register', './test/setup.js' ],
+    spec: 'test/**/*.test.js',
+    timeout: 30000,
+    exit: true
+}
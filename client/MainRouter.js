@@ -4,33 +4,64 @@ or locations in the application.
 The Switch component in React Router renders a route exclusively. It only renders the first child
 that matches the requested route path. On the other hand, without being nested in a Switch, every
 Route component renders inclusively when there is a path match; for example, a request at '/' also
-matches a route at '/contact'. */
+matches a route at '/contact'.
+When the sign-in changes in another tab, or a new tab has restored the sign-in of the browser, every view is mounted
+again with the new credentials, by changing the key of the element that holds them. */
 
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { Route, Switch } from 'react-router-dom';
 
 import Home from './core/Home';
 import Users from './user/Users';
 import Signup from './user/Signup';
 import Signin from './auth/Signin';
+import ForgotPassword from './auth/ForgotPassword';
+import ResetPassword from './auth/ResetPassword';
+import VerifyEmail from './auth/VerifyEmail';
+import MagicLink from './auth/MagicLink';
+import OAuthComplete from './auth/OAuthComplete';
 import EditProfile from './user/EditProfile';
+import ConfirmEmail from './user/ConfirmEmail';
 import Profile from './user/Profile';
+import UsernameProfile from './user/UsernameProfile';
+import AdminUsers from './admin/AdminUsers';
+import AdminAudit from './admin/AdminAudit';
 import Menu from './core/Menu'
 
 import PrivateRoute from './auth/PrivateRoute';
+import auth from './auth/auth-helper';
 
-const MainRouter = () => (
-    <div>
-        <Menu/>
-        <Switch>
-            <Route exact path='/' component={Home} />
-            <Route path="/users" component={Users}/>
-            <Route path="/signup" component={Signup}/>
-            <Route path="/signin" component={Signin}/>
-            <PrivateRoute path="/user/edit/:userId" component={EditProfile}/>
-            <Route path="/user/:userId" component={Profile}/>
-        </Switch>
-    </div>
-)
+const MainRouter = () => {
+    const [ authVersion, setAuthVersion ] = useState(0)
+
+    useEffect( () => {
+        const changed = () => setAuthVersion( version => version + 1 )
+        if (auth.isRestoring()) auth.restore().then(changed)
+        return auth.subscribe(changed)
+    }, [])
+
+    return (
+        <div key={authVersion}>
+            <Menu/>
+            <Switch>
+                <Route exact path='/' component={Home} />
+                <Route path="/users" component={Users}/>
+                <Route path="/signup" component={Signup}/>
+                <Route path="/signin" component={Signin}/>
+                <Route path="/forgot-password" component={ForgotPassword}/>
+                <Route path="/reset-password/:token" component={ResetPassword}/>
+                <Route path="/verify-email/:token" component={VerifyEmail}/>
+                <Route path="/magic-link/:token" component={MagicLink}/>
+                <Route path="/oauth/complete" component={OAuthComplete}/>
+                <Route path="/confirm-email/:token" component={ConfirmEmail}/>
+                <PrivateRoute path="/user/edit/:userId" component={EditProfile}/>
+                <Route path="/user/:userId" component={Profile}/>
+                <Route path="/@:username" component={UsernameProfile}/>
+                <PrivateRoute path="/admin/users" role="admin" component={AdminUsers}/>
+                <PrivateRoute path="/admin/audit" role="admin" component={AdminAudit}/>
+            </Switch>
+        </div>
+    )
+}
 
 export default MainRouter;
\ No newline at end of file
@@ -0,0 +1,141 @@
+/*The AdminAudit component is rendered at '/admin/audit' for admins only. It searches the audit log of every account
+by event, user, IP address and date range, and shows the most recent events first, a page at a time.
+The user filter can be set in the query string, as in '/admin/audit?user=<userId>', which is how the Manage Users
+view links to the events of an account.*/
+
+import React, { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+
+import { makeStyles } from '@material-ui/core/styles'
+import Paper from '@material-ui/core/Paper'
+import List from '@material-ui/core/List'
+import ListItem from '@material-ui/core/ListItem'
+import ListItemText from '@material-ui/core/ListItemText'
+import Button from '@material-ui/core/Button'
+import TextField from '@material-ui/core/TextField'
+import MenuItem from '@material-ui/core/MenuItem'
+import Typography from '@material-ui/core/Typography'
+
+import auth from './../auth/auth-helper'
+import { listAuditEvents, listAuditEventNames } from './api-admin.js'
+
+const useStyles = makeStyles(theme => ({
+    root: theme.mixins.gutters({
+        padding: theme.spacing(1),
+        margin: theme.spacing(5)
+    }),
+    title: {
+        margin: `${theme.spacing(4)}px 0 ${theme.spacing(2)}px`,
+        color: theme.palette.protectedTitle
+    },
+    filter: {
+        marginRight: theme.spacing(2),
+        minWidth: 160
+    },
+    error: {
+        color: theme.palette.error.main
+    }
+}))
+
+const PAGE_SIZE = 50
+
+const userLink = (user) => user ? <Link to={'/user/' + user._id}>{user.name}</Link> : 'Unknown'
+
+export default function AdminAudit({ location }) {
+    const classes = useStyles()
+    const jwt = auth.isAuthenticated()
+    const [ filters, setFilters ] = useState({
+        event: '',
+        user: new URLSearchParams(location.search).get('user') || '',
+        ip: '',
+        from: '',
+        to: ''
+    })
+    const [ eventNames, setEventNames ] = useState([])
+    const [ events, setEvents ] = useState([])
+    const [ hasMore, setHasMore ] = useState(false)
+    const [ error, setError ] = useState('')
+
+    //The dates of the filters are days, and 'to' includes the whole day
+    const query = (before) => ({
+        ...filters,
+        from: filters.from && new Date(filters.from).toISOString(),
+        to: filters.to && new Date(new Date(filters.to).getTime() + 24 * 60 * 60 * 1000 - 1).toISOString(),
+        before: before
+    })
+
+    const showPage = (data, previous) => {
+        if (!data) return
+        if (data.error) return setError(data.error)
+        setError('')
+        setEvents(previous.concat(data))
+        setHasMore(data.length === PAGE_SIZE)
+    }
+
+    useEffect( () => {
+        const abortController = new AbortController()
+        const signal = abortController.signal
+
+        listAuditEventNames({ t: jwt.token }, signal)
+            .then( data => {
+                if (data && data.error) setError(data.error)
+                else if (data) setEventNames(data)
+            })
+        listAuditEvents(query(), { t: jwt.token }, signal)
+            .then( data => showPage(data, []) )
+
+        return function cleanup() {
+            abortController.abort()
+        }
+    }, [])
+
+    const handleChange = name => event => {
+        setFilters({ ...filters, [name]: event.target.value })
+    }
+
+    const clickSearch = () => {
+        listAuditEvents(query(), { t: jwt.token })
+            .then( data => showPage(data, []) )
+    }
+
+    const clickMore = () => {
+        listAuditEvents(query(events[events.length - 1].created), { t: jwt.token })
+            .then( data => showPage(data, events) )
+    }
+
+    return (
+        <Paper className={classes.root} elevation={4}>
+            <Typography variant='h6' className={classes.title}>
+                Audit Log
+            </Typography>
+            <TextField select label='Event' value={filters.event} onChange={handleChange('event')} className={classes.filter}>
+                <MenuItem value=''>All events</MenuItem>
+                {eventNames.map( name => <MenuItem key={name} value={name}>{name}</MenuItem> )}
+            </TextField>
+            <TextField label='User ID' value={filters.user} onChange={handleChange('user')} className={classes.filter}/>
+            <TextField label='IP address' value={filters.ip} onChange={handleChange('ip')} className={classes.filter}/>
+            <TextField label='From' type='date' value={filters.from} onChange={handleChange('from')}
+                InputLabelProps={{ shrink: true }} className={classes.filter}/>
+            <TextField label='To' type='date' value={filters.to} onChange={handleChange('to')}
+                InputLabelProps={{ shrink: true }} className={classes.filter}/>
+            <Button color='primary' variant='contained' onClick={clickSearch}>Search</Button>
+            { error && <Typography component='p' className={classes.error}>{error}</Typography> }
+            <List dense>
+                {events.map( event => {
+                    return <ListItem key={event._id}>
+                                <ListItemText
+                                    primary={<span>
+                                        {event.event} - {userLink(event.actor)}
+                                        {event.subject && <span> on {userLink(event.subject)}</span>}
+                                        {event.details && ' ' + JSON.stringify(event.details)}
+                                    </span>}
+                                    secondary={(new Date(event.created)).toLocaleString() + ' - ' +
+                                        (event.ip || 'Unknown address') + ' - ' + (event.userAgent || 'Unknown device')}
+                                />
+                            </ListItem>
+                })}
+            </List>
+            { hasMore && <Button color='primary' onClick={clickMore}>Show older</Button> }
+        </Paper>
+    )
+}
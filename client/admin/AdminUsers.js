@@ -0,0 +1,128 @@
+/*The AdminUsers component is the admin dashboard, rendered at '/admin/users' for admins only. It lists every account
+with its email address and role, and lets the admin change the role of a user or delete their account.
+Each account links to its events in the audit log.*/
+
+import React, { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+
+import { makeStyles } from '@material-ui/core/styles'
+import Paper from '@material-ui/core/Paper'
+import List from '@material-ui/core/List'
+import ListItem from '@material-ui/core/ListItem'
+import ListItemAvatar from '@material-ui/core/ListItemAvatar'
+import ListItemText from '@material-ui/core/ListItemText'
+import ListItemSecondaryAction from '@material-ui/core/ListItemSecondaryAction'
+import Avatar from '@material-ui/core/Avatar'
+import IconButton from '@material-ui/core/IconButton'
+import Select from '@material-ui/core/Select'
+import MenuItem from '@material-ui/core/MenuItem'
+import Typography from '@material-ui/core/Typography'
+import DeleteIcon from '@material-ui/icons/Delete'
+import HistoryIcon from '@material-ui/icons/History'
+
+import auth from './../auth/auth-helper'
+import { listUsers, setRole, removeUser } from './api-admin.js'
+import { profilePath } from './../user/profile-path'
+
+const useStyles = makeStyles(theme => ({
+    root: theme.mixins.gutters({
+        padding: theme.spacing(1),
+        margin: theme.spacing(5)
+    }),
+    title: {
+        margin: `${theme.spacing(4)}px 0 ${theme.spacing(2)}px`,
+        color: theme.palette.protectedTitle
+    },
+    role: {
+        marginRight: theme.spacing(2),
+        minWidth: 120
+    },
+    error: {
+        color: theme.palette.error.main
+    }
+}))
+
+export default function AdminUsers() {
+    const classes = useStyles()
+    const jwt = auth.isAuthenticated()
+    const [ users, setUsers ] = useState([])
+    const [ error, setError ] = useState('')
+
+    useEffect( () => {
+        const abortController = new AbortController()
+        const signal = abortController.signal
+
+        listUsers({ t: jwt.token }, signal)
+            .then( data => {
+                if (data && data.error) setError(data.error)
+                else if (data) setUsers(data)
+            })
+
+        return function cleanup() {
+            abortController.abort()
+        }
+    }, [])
+
+    const changeRole = (user, role) => {
+        setRole({ userId: user._id }, { t: jwt.token }, role)
+            .then( data => {
+                if (data.error) return setError(data.error)
+                setError('')
+                setUsers(users.map( item => item._id === data._id ? data : item ))
+            })
+    }
+
+    const deleteUser = (user) => {
+        if (!window.confirm('Delete the account of ' + user.name + '?')) return
+        removeUser({ userId: user._id }, { t: jwt.token })
+            .then( data => {
+                if (data.error) return setError(data.error)
+                setError('')
+                setUsers(users.filter( item => item._id !== user._id ))
+            })
+    }
+
+    return (
+        <Paper className={classes.root} elevation={4}>
+            <Typography variant='h6' className={classes.title}>
+                Manage Users
+            </Typography>
+            <Link to='/admin/audit'>Audit log</Link>
+            { error && <Typography component='p' className={classes.error}>{error}</Typography> }
+            <List dense>
+                {users.map( user => {
+                    const self = user._id === jwt.user._id
+                    return <ListItem key={user._id}>
+                                <ListItemAvatar>
+                                    <Avatar src={user.photo}/>
+                                </ListItemAvatar>
+                                <ListItemText
+                                    primary={<Link to={profilePath(user)}>{user.name}</Link>}
+                                    secondary={user.email + (user.verified ? '' : ' (not verified)')}
+                                />
+                                <ListItemSecondaryAction>
+                                    <Select
+                                        value={user.role}
+                                        disabled={self}
+                                        onChange={ event => changeRole(user, event.target.value) }
+                                        className={classes.role}
+                                    >
+                                        <MenuItem value='user'>User</MenuItem>
+                                        <MenuItem value='moderator'>Moderator</MenuItem>
+                                        <MenuItem value='admin'>Admin</MenuItem>
+                                    </Select>
+                                    <Link to={'/admin/audit?user=' + user._id}>
+                                        <IconButton aria-label='Audit log'>
+                                            <HistoryIcon />
+                                        </IconButton>
+                                    </Link>
+                                    <IconButton aria-label='Delete' color='secondary' disabled={self} onClick={ () => deleteUser(user) }>
+                                        <DeleteIcon />
+                                    </IconButton>
+                                </ListItemSecondaryAction>
+                            </ListItem>
+                })}
+            </List>
+        </Paper>
+    )
+}
@@ -0,0 +1,118 @@
+import authFetch from './../auth/auth-fetch'
+
+/*These fetch methods call the admin API. They are only used in views shown to admins and moderators, and the
+server checks the role of the signed-in user again on every call.*/
+
+const listUsers = async (credentials, signal) => {
+    try {
+        let response = await authFetch('/api/admin/users', {
+            method: 'GET',
+            signal: signal,
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json'
+            }
+        }, credentials)
+        return await response.json()
+    }
+    catch(err) { console.log(err) }
+}
+
+const setRole = async (params, credentials, role) => {
+    try {
+        let response = await authFetch('/api/admin/users/' + params.userId + '/role', {
+            method: 'PUT',
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ role: role })
+        }, credentials)
+        return await response.json()
+    }
+    catch(err) { console.log(err) }
+}
+
+const removeUser = async (params, credentials) => {
+    try {
+        let response = await authFetch('/api/admin/users/' + params.userId, {
+            method: 'DELETE',
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json'
+            }
+        }, credentials)
+        return await response.json()
+    }
+    catch(err) { console.log(err) }
+}
+
+const removePost = async (params, credentials) => {
+    try {
+        let response = await authFetch('/api/admin/posts/' + params.postId, {
+            method: 'DELETE',
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json'
+            }
+        }, credentials)
+        return await response.json()
+    }
+    catch(err) { console.log(err) }
+}
+
+//Moderators and admins can remove any comment
+const removeComment = async (params, credentials) => {
+    try {
+        let response = await authFetch('/api/admin/posts/' + params.postId + '/comments/' + params.commentId, {
+            method: 'DELETE',
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json'
+            }
+        }, credentials)
+        return await response.json()
+    }
+    catch(err) { console.log(err) }
+}
+
+/*Searching the audit log. The filters are sent in the query string, leaving out the empty ones.*/
+const listAuditEvents = async (filters, credentials, signal) => {
+    try {
+        let query = new URLSearchParams()
+        Object.keys(filters).forEach( key => { if (filters[key]) query.append(key, filters[key]) })
+        let response = await authFetch('/api/admin/audit?' + query.toString(), {
+            method: 'GET',
+            signal: signal,
+            headers: {
+                'Accept': 'application/json'
+            }
+        }, credentials)
+        return await response.json()
+    }
+    catch(err) { console.log(err) }
+}
+
+const listAuditEventNames = async (credentials, signal) => {
+    try {
+        let response = await authFetch('/api/admin/audit/events', {
+            method: 'GET',
+            signal: signal,
+            headers: {
+                'Accept': 'application/json'
+            }
+        }, credentials)
+        return await response.json()
+    }
+    catch(err) { console.log(err) }
+}
+
+export {
+    listUsers,
+    setRole,
+    removeUser,
+    removePost,
+    removeComment,
+    listAuditEvents,
+    listAuditEventNames
+}
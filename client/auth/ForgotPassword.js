@@ -0,0 +1,120 @@
+/*The ForgotPassword component renders at the '/forgot-password' path, which is linked from the Signin view.
+It asks for the email address of the account and requests a reset link for it. The server gives the same answer
+whether the address belongs to an account or not, and that message is shown once the request is sent.
+*/
+
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+
+import { makeStyles } from '@material-ui/core/styles'
+import Card from '@material-ui/core/Card'
+import CardActions from '@material-ui/core/CardActions'
+import CardContent from '@material-ui/core/CardContent'
+import Button from '@material-ui/core/Button'
+import TextField from '@material-ui/core/TextField'
+import Typography from '@material-ui/core/Typography'
+import Icon from '@material-ui/core/Icon'
+
+import { requestPasswordReset } from './api-auth.js';
+
+const useStyles = makeStyles(theme => ({
+    card: {
+        maxWidth: 600,
+        margin: 'auto',
+        textAlign: 'center',
+        marginTop: theme.spacing(5),
+        paddingBottom: theme.spacing(2)
+    },
+    error: {
+        verticalAlign: 'middle'
+    },
+    title: {
+        marginTop: theme.spacing(2),
+        color: theme.palette.openTitle
+    },
+    textField: {
+        marginLeft: theme.spacing(1),
+        marginRight: theme.spacing(1),
+        width: 300
+    },
+    submit: {
+        margin: 'auto',
+        marginBottom: theme.spacing(2)
+    }
+}))
+
+export default function ForgotPassword() {
+    const classes = useStyles();
+    const [ values, setValues ] = useState({
+        email: '',
+        error: '',
+        message: ''
+    })
+
+    const clickSubmit = () => {
+        requestPasswordReset(values.email || undefined)
+            .then( data => {
+                if (data.error) {
+                    setValues({ ...values, error: data.error })
+                }
+                else {
+                    setValues({ ...values, error: '', message: data.message })
+                }
+            })
+    }
+
+    const handleChange = (event, name) => {
+        setValues({ ...values, [name]: event.target.value })
+    }
+
+    return (
+        <Card className={classes.card}>
+            <CardContent>
+                <Typography variant="h6" className={classes.title}>
+                    Forgot Password
+                </Typography>
+                {
+                    values.message
+                    ? (<Typography component="p">
+                        {values.message}
+                    </Typography>)
+                    : (<TextField
+                        id="email"
+                        type="email"
+                        label="Email"
+                        className={classes.textField}
+                        value={values.email}
+                        onChange={ event => handleChange(event, 'email')}
+                        margin="normal"
+                    />)
+                }
+                <br/>
+                {
+                    values.error && (
+                        <Typography component="p" color="error">
+                            <Icon color="error" className={classes.error}>error</Icon>
+                            {values.error}
+                        </Typography>
+                    )
+                }
+            </CardContent>
+            <CardActions>
+                {
+                    values.message
+                    ? (<Link to='/signin' className={classes.submit}>
+                        <Button color="primary" variant="contained">
+                            Sign In
+                        </Button>
+                    </Link>)
+                    : (<Button
+                        color="primary"
+                        variant="contained"
+                        onClick={clickSubmit}
+                        className={classes.submit}
+                    >Send Reset Link
+                    </Button>)
+                }
+            </CardActions>
+        </Card>
+    )
+}
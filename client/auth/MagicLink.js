@@ -0,0 +1,99 @@
+/*The MagicLink component renders at the '/magic-link/:token' path, which is the sign-in link emailed by the server
+when it is requested from the Signin view. It sends the token to the server as soon as it loads. On success, the
+received JWT credentials are stored with auth.authenticate and the user is taken to the home page.
+If the account has two-factor authentication enabled, the user is sent to the Signin view with the challenge, to
+enter their code there.
+*/
+
+import React, { useState, useEffect } from 'react';
+import { Redirect, Link } from 'react-router-dom';
+
+import { makeStyles } from '@material-ui/core/styles'
+import Card from '@material-ui/core/Card'
+import CardActions from '@material-ui/core/CardActions'
+import CardContent from '@material-ui/core/CardContent'
+import Button from '@material-ui/core/Button'
+import Typography from '@material-ui/core/Typography'
+import Icon from '@material-ui/core/Icon'
+
+import auth from './auth-helper'
+import { signinMagicLink } from './api-auth.js';
+
+const useStyles = makeStyles(theme => ({
+    card: {
+        maxWidth: 600,
+        margin: 'auto',
+        textAlign: 'center',
+        marginTop: theme.spacing(5),
+        paddingBottom: theme.spacing(2)
+    },
+    error: {
+        verticalAlign: 'middle'
+    },
+    title: {
+        marginTop: theme.spacing(2),
+        color: theme.palette.openTitle
+    },
+    submit: {
+        margin: 'auto',
+        marginBottom: theme.spacing(2)
+    }
+}))
+
+export default function MagicLink({ match }) {
+    const classes = useStyles();
+    const [ values, setValues ] = useState({
+        error: '',
+        challenge: '',
+        redirect: false
+    })
+
+    useEffect( () => {
+        signinMagicLink(match.params.token)
+            .then( data => {
+                if (!data || data.error) {
+                    setValues({ ...values, error: data ? data.error : 'Could not sign in' })
+                }
+                else if (data.twoFactorRequired) {
+                    setValues({ ...values, challenge: data.challenge })
+                }
+                else {
+                    auth.authenticate(data, () => setValues({ ...values, redirect: true }))
+                }
+            })
+    }, [match.params.token])
+
+    if (values.redirect) {
+        return <Redirect to='/' />
+    }
+    if (values.challenge) {
+        return <Redirect to={{ pathname: '/signin', state: { challenge: values.challenge, from: { pathname: '/' } } }} />
+    }
+
+    return (
+        <Card className={classes.card}>
+            <CardContent>
+                <Typography variant="h6" className={classes.title}>
+                    Sign In
+                </Typography>
+                {
+                    values.error
+                    ? (<Typography component="p" color="error">
+                        <Icon color="error" className={classes.error}>error</Icon>
+                        {values.error}
+                    </Typography>)
+                    : (<Typography component="p">
+                        Signing you in...
+                    </Typography>)
+                }
+            </CardContent>
+            <CardActions>
+                <Link to='/signin' className={classes.submit}>
+                    <Button color="primary" variant="contained">
+                        Sign In
+                    </Button>
+                </Link>
+            </CardActions>
+        </Card>
+    )
+}
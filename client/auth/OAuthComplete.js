@@ -0,0 +1,108 @@
+/*The OAuthComplete component renders at the '/oauth/complete' path, where the server redirects the browser at the
+end of a sign-in or linking with an OpenID Connect provider. The outcome is read from the fragment of the URL:
+    - signedIn: the server set the refresh token cookie of this user ID, and the credentials are fetched with auth.refresh()
+    - challenge: the account has two-factor authentication, and the user is sent to the Signin view to enter a code
+    - linked: the provider was linked, and the user is sent back to their EditProfile view
+    - error: the reason the sign-in failed, which is shown
+*/
+
+import React, { useState, useEffect } from 'react';
+import { Redirect, Link } from 'react-router-dom';
+
+import { makeStyles } from '@material-ui/core/styles'
+import Card from '@material-ui/core/Card'
+import CardActions from '@material-ui/core/CardActions'
+import CardContent from '@material-ui/core/CardContent'
+import Button from '@material-ui/core/Button'
+import Typography from '@material-ui/core/Typography'
+import Icon from '@material-ui/core/Icon'
+
+import auth from './auth-helper'
+
+const useStyles = makeStyles(theme => ({
+    card: {
+        maxWidth: 600,
+        margin: 'auto',
+        textAlign: 'center',
+        marginTop: theme.spacing(5),
+        paddingBottom: theme.spacing(2)
+    },
+    error: {
+        verticalAlign: 'middle'
+    },
+    title: {
+        marginTop: theme.spacing(2),
+        color: theme.palette.openTitle
+    },
+    submit: {
+        margin: 'auto',
+        marginBottom: theme.spacing(2)
+    }
+}))
+
+const readFragment = () => {
+    const params = {}
+    if (typeof window == 'undefined') return params
+    window.location.hash.replace(/^#/, '').split('&').forEach( pair => {
+        const [ key, value ] = pair.split('=')
+        if (key) params[key] = decodeURIComponent(value || '')
+    })
+    return params
+}
+
+export default function OAuthComplete() {
+    const classes = useStyles();
+    const [ values, setValues ] = useState({
+        error: '',
+        redirect: null
+    })
+
+    useEffect( () => {
+        const params = readFragment()
+        if (params.error) {
+            return setValues({ ...values, error: params.error })
+        }
+        if (params.challenge) {
+            return setValues({ ...values, redirect: { pathname: '/signin', state: { challenge: params.challenge, from: { pathname: '/' } } } })
+        }
+        if (params.linked) {
+            return setValues({ ...values, redirect: '/user/edit/' + params.userId })
+        }
+        auth.refresh(params.signedIn)
+            .then( data => {
+                if (data) setValues({ ...values, redirect: '/' })
+                else setValues({ ...values, error: 'Could not sign in' })
+            })
+    }, [])
+
+    if (values.redirect) {
+        return <Redirect to={values.redirect} />
+    }
+
+    return (
+        <Card className={classes.card}>
+            <CardContent>
+                <Typography variant="h6" className={classes.title}>
+                    Sign In
+                </Typography>
+                {
+                    values.error
+                    ? (<Typography component="p" color="error">
+                        <Icon color="error" className={classes.error}>error</Icon>
+                        {values.error}
+                    </Typography>)
+                    : (<Typography component="p">
+                        Signing you in...
+                    </Typography>)
+                }
+            </CardContent>
+            <CardActions>
+                <Link to='/signin' className={classes.submit}>
+                    <Button color="primary" variant="contained">
+                        Sign In
+                    </Button>
+                </Link>
+            </CardActions>
+        </Card>
+    )
+}
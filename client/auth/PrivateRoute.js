@@ -7,12 +7,24 @@ import auth from './auth-helper'
 which is determined by a call to the "isAuthenticated" method; otherwise, the user will be redirected
 to the Signin component. We load the components that should have restricted access, such as the user
 profile component, in a PrivateRoute. This will ensure that only authenticated users are able to view
-the user profile page.*/
+the user profile page.
+Views reserved to some roles, such as the admin dashboard, are given the allowed roles in the "role" prop, either
+as a string or an array. Signed-in users without one of these roles are redirected to the home page. This only hides
+the view, the server checks the role again on every admin API call.
+While a new tab is still restoring the sign-in of the browser, nothing is rendered, and MainRouter renders the route
+again once it is over.*/
 
-const PrivateRoute = ({ component: Component, ...rest }) => (
+const hasRole = (role) => {
+  if (!role) return true
+  const roles = Array.isArray(role) ? role : [role]
+  return roles.includes(auth.isAuthenticated().user.role)
+}
+
+const PrivateRoute = ({ component: Component, role, ...rest }) => (
   <Route {...rest} render={props => (
+    auth.isRestoring() ? null :
     auth.isAuthenticated() ? (
-      <Component {...props}/>
+      hasRole(role) ? <Component {...props}/> : <Redirect to='/'/>
     ) : (
       <Redirect to={{
         pathname: '/signin',
@@ -0,0 +1,141 @@
+/*The ResetPassword component renders at the '/reset-password/:token' path, which is the link emailed by the
+server after a reset is requested in the ForgotPassword view. The token is read from match.params and sent
+along with the new password. On success, a dialog points the user to the Sign In view.
+*/
+
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+
+import { makeStyles } from '@material-ui/core/styles'
+import Card from '@material-ui/core/Card'
+import CardActions from '@material-ui/core/CardActions'
+import CardContent from '@material-ui/core/CardContent'
+import Button from '@material-ui/core/Button'
+import TextField from '@material-ui/core/TextField'
+import Typography from '@material-ui/core/Typography'
+import Icon from '@material-ui/core/Icon'
+import Dialog from '@material-ui/core/Dialog'
+import DialogActions from '@material-ui/core/DialogActions'
+import DialogContent from '@material-ui/core/DialogContent'
+import DialogContentText from '@material-ui/core/DialogContentText'
+import DialogTitle from '@material-ui/core/DialogTitle'
+
+import { resetPassword } from './api-auth.js';
+
+const useStyles = makeStyles(theme => ({
+    card: {
+        maxWidth: 600,
+        margin: 'auto',
+        textAlign: 'center',
+        marginTop: theme.spacing(5),
+        paddingBottom: theme.spacing(2)
+    },
+    error: {
+        verticalAlign: 'middle'
+    },
+    title: {
+        marginTop: theme.spacing(2),
+        color: theme.palette.openTitle
+    },
+    textField: {
+        marginLeft: theme.spacing(1),
+        marginRight: theme.spacing(1),
+        width: 300
+    },
+    submit: {
+        margin: 'auto',
+        marginBottom: theme.spacing(2)
+    }
+}))
+
+export default function ResetPassword({ match }) {
+    const classes = useStyles();
+    const [ values, setValues ] = useState({
+        password: '',
+        confirm: '',
+        error: '',
+        message: '',
+        open: false
+    })
+
+    const clickSubmit = () => {
+        if (values.password !== values.confirm) {
+            return setValues({ ...values, error: 'Passwords do not match' })
+        }
+        resetPassword(match.params.token, values.password || undefined)
+            .then( data => {
+                if (data.error) {
+                    setValues({ ...values, error: data.error })
+                }
+                else {
+                    setValues({ ...values, error: '', message: data.message, open: true })
+                }
+            })
+    }
+
+    const handleChange = (event, name) => {
+        setValues({ ...values, [name]: event.target.value })
+    }
+
+    return (
+        <div>
+            <Card className={classes.card}>
+                <CardContent>
+                    <Typography variant="h6" className={classes.title}>
+                        Reset Password
+                    </Typography>
+                    <TextField
+                        id="password"
+                        type="password"
+                        label="New Password"
+                        className={classes.textField}
+                        value={values.password}
+                        onChange={ event => handleChange(event, 'password')}
+                        margin="normal"
+                    /><br/>
+                    <TextField
+                        id="confirm"
+                        type="password"
+                        label="Confirm Password"
+                        className={classes.textField}
+                        value={values.confirm}
+                        onChange={ event => handleChange(event, 'confirm')}
+                        margin="normal"
+                    /><br/>
+                    {
+                        values.error && (
+                            <Typography component="p" color="error">
+                                <Icon color="error" className={classes.error}>error</Icon>
+                                {values.error}
+                            </Typography>
+                        )
+                    }
+                </CardContent>
+                <CardActions>
+                    <Button
+                        color="primary"
+                        variant="contained"
+                        onClick={clickSubmit}
+                        className={classes.submit}
+                    >Submit
+                    </Button>
+                </CardActions>
+            </Card>
+            <Dialog open={values.open} disableBackdropClick={true}>
+                <DialogTitle>Password Reset</DialogTitle>
+                <DialogContent>
+                    <DialogContentText>
+                        {values.message}
+                    </DialogContentText>
+                </DialogContent>
+                <DialogActions>
+                    <Link to={'/signin'}>
+                        <Button color='primary' autoFocus='autoFocus' variant='contained'>
+                            Sign In
+                        </Button>
+                    </Link>
+                </DialogActions>
+            </Dialog>
+        </div>
+    )
+}
@@ -4,8 +4,8 @@ The key difference is in the implementation of redirection after a successful si
 the received JWT credentials. For redirection, we will use the Redirect component from React Router.
 */
 
-import React, { useState } from 'react';
-import { Redirect } from 'react-router-dom';
+import React, { useState, useEffect } from 'react';
+import { Redirect, Link } from 'react-router-dom';
 
 import { makeStyles } from '@material-ui/core/styles'
 import Card from '@material-ui/core/Card'
@@ -13,10 +13,16 @@ import CardActions from '@material-ui/core/CardActions'
 import CardContent from '@material-ui/core/CardContent'
 import Button from '@material-ui/core/Button'
 import TextField from '@material-ui/core/TextField'
+import Checkbox from '@material-ui/core/Checkbox'
+import FormControlLabel from '@material-ui/core/FormControlLabel'
 import Typography from '@material-ui/core/Typography'
 import Icon from '@material-ui/core/Icon'
 
-import { signin } from './api-auth.js';
+import { signin, signinTwoFactor, requestMagicLink } from './api-auth.js';
+import { passkeySigninOptions, passkeySignin } from './api-passkey.js';
+import { listProviders, startProviderSignin } from './api-oidc.js';
+import { isSupported, startAuthentication } from './webauthn';
+import { solveChallenge } from './proof-of-work';
 import auth from './../auth/auth-helper';
 
 const useStyles = makeStyles(theme => ({
@@ -42,6 +48,9 @@ const useStyles = makeStyles(theme => ({
     submit: {
         margin: 'auto',
         marginBottom: theme.spacing(2)
+    },
+    forgot: {
+        marginTop: theme.spacing(1)
     }
   }))
 
@@ -50,35 +59,132 @@ going to be used for the redirect. "redirectToReferrer" should be set to "true"
 successfully signs in after submitting the form and the received JWT is stored in sessionStorage.
 To store the JWT and redirect afterward, we will call the "authenticate()" method defined in auth-helper.js.
 This implementation will go in the "clickSubmit()" function so that it can be called on form submit.
+When the account has two-factor authentication enabled, the server answers the password with a challenge instead,
+and the form asks for a code from the authenticator app (or a recovery code), which "clickVerify()" sends along
+with the challenge to complete the sign-in.
+Users who registered a passkey can sign in with it instead, without typing anything, with "clickPasskey()".
+Users can also ask for a sign-in link to be emailed to them with "clickMagicLink()", which only needs the email field.
+The MagicLink view sends back here users who still have to enter a two-factor code, with the challenge in the location
+state.
+A "Sign in with ..." button is shown for each OpenID Connect provider configured on the server. "clickProvider()" sends
+the browser to the provider, and the sign-in ends in the OAuthComplete view.
+Whichever way they sign in, users who tick "Remember me" stay signed in after the browser is closed. The choice is sent
+to the server, which keeps the refresh token cookie for longer; a two-factor challenge carries it on to the code.
+Signing in while already signed in, from "Add another account" in the Menu, adds the account to the ones signed in on
+this browser and makes it the active one.
+The password sign-in takes a solved anti-bot challenge, which the browser works out before sending the form. The
+submit button is disabled meanwhile.
 */
 export default function Signin( props ) {
     const classes = useStyles();
     const [ values, setValues ] = useState({
         email: '',
         password: '',
+        code: '',
+        challenge: (props.location.state && props.location.state.challenge) || '',
+        remember: false,
+        solving: false,
+        message: '',
         error: '',
         redirectToReferrer: false
     })
 
-    const clickSubmit = () => {
+    const [ providers, setProviders ] = useState([])
+
+    useEffect( () => {
+        const abortController = new AbortController()
+        const signal = abortController.signal
+
+        listProviders(signal)
+            .then( data => {
+                if (Array.isArray(data)) setProviders(data)
+            })
+
+        return function cleanup() {
+            abortController.abort()
+        }
+    }, [])
+
+    const signedIn = (data) => {
+        auth.authenticate( data, () => {
+            setValues( values => ({ ...values, error: '', redirectToReferrer: true }))
+        })
+    }
+
+    /*The form can still be edited while the challenge is solved, so the state is updated from its latest values rather
+    than from the ones the form was submitted with.*/
+    const clickSubmit = async () => {
+        setValues( values => ({ ...values, solving: true }))
+        const proofOfWork = await solveChallenge('signin')
+        if (proofOfWork.error) return setValues( values => ({ ...values, solving: false, error: proofOfWork.error }))
+
         const user = {
             email: values.email || undefined,
-            password: values.password || undefined
+            password: values.password || undefined,
+            remember: values.remember,
+            proofOfWork: proofOfWork
         }
         
         signin(user)
             .then( data => {
                 if (data.error) {
-                    setValues({ ...values, error: data.error })
+                    setValues( values => ({ ...values, solving: false, error: data.error }))
+                }
+                else if (data.twoFactorRequired) {
+                    setValues( values => ({ ...values, solving: false, error: '', password: '', challenge: data.challenge }))
                 }
                 else {
-                    auth.authenticate( data, () => {
-                        setValues({ ...values, error: '', redirectToReferrer: true })
-                    })
+                    signedIn(data)
                 }
             })
     }
 
+    const clickVerify = () => {
+        signinTwoFactor(values.challenge, values.code || undefined)
+            .then( data => {
+                if (data.error) {
+                    setValues( values => ({ ...values, error: data.error, code: '' }))
+                }
+                else {
+                    signedIn(data)
+                }
+            })
+    }
+
+    const clickMagicLink = () => {
+        if (!values.email) return setValues( values => ({ ...values, error: 'Enter your email address first' }))
+        requestMagicLink(values.email, values.remember)
+            .then( data => {
+                if (data.error) setValues( values => ({ ...values, error: data.error, message: '' }))
+                else setValues( values => ({ ...values, error: '', message: data.message }))
+            })
+    }
+
+    const clickProvider = (provider) => {
+        startProviderSignin({ provider: provider.id, remember: values.remember })
+            .then( data => {
+                if (data.error) setValues( values => ({ ...values, error: data.error }))
+                else window.location.assign(data.url)
+            })
+    }
+
+    const clickPasskey = async () => {
+        let options = await passkeySigninOptions()
+        if (!options || options.error) return setValues( values => ({ ...values, error: options ? options.error : 'Could not sign in' }))
+
+        let credential
+        try {
+            credential = await startAuthentication(options)
+        }
+        catch(err) {
+            return setValues( values => ({ ...values, error: 'The passkey sign-in was cancelled' }))
+        }
+
+        let data = await passkeySignin(credential, values.remember)
+        if (!data || data.error) return setValues( values => ({ ...values, error: data ? data.error : 'Could not sign in' }))
+        signedIn(data)
+    }
+
     const handleChange = (event, name) => {
         setValues({ ...values, [name]: event.target.value })
     }
@@ -104,24 +210,66 @@ export default function Signin( props ) {
                 <Typography variant="h6" className={classes.title}>
                     Sign In
                 </Typography>
-                <TextField
-                    id="email"
-                    type="email" 
-                    label="Email" 
-                    className={classes.textField} 
-                    value={values.email} 
-                    onChange={ event => handleChange(event, 'email')} 
-                    margin="normal"
-                /><br/>
-                <TextField 
-                    id="password" 
-                    type="password" 
-                    label="Password" 
-                    className={classes.textField} 
-                    value={values.password} 
-                    onChange={ event => handleChange(event, 'password')} 
-                    margin="normal"
-                /><br/>
+                {
+                    values.challenge
+                    ? (<span>
+                        <Typography component="p">
+                            Enter the code from your authenticator app, or one of your recovery codes.
+                        </Typography>
+                        <TextField
+                            id="code"
+                            label="Authentication code"
+                            autoComplete="one-time-code"
+                            className={classes.textField}
+                            value={values.code}
+                            onChange={ event => handleChange(event, 'code')}
+                            margin="normal"
+                        /><br/>
+                    </span>)
+                    : (<span>
+                        <TextField
+                            id="email"
+                            type="email" 
+                            label="Email" 
+                            className={classes.textField} 
+                            value={values.email} 
+                            onChange={ event => handleChange(event, 'email')} 
+                            margin="normal"
+                        /><br/>
+                        <TextField 
+                            id="password" 
+                            type="password" 
+                            label="Password" 
+                            className={classes.textField} 
+                            value={values.password} 
+                            onChange={ event => handleChange(event, 'password')} 
+                            margin="normal"
+                        /><br/>
+                        <FormControlLabel
+                            control={
+                                <Checkbox
+                                    checked={values.remember}
+                                    onChange={ event => setValues({ ...values, remember: event.target.checked })}
+                                    color="primary"
+                                />
+                            }
+                            label="Remember me"
+                        />
+                        <Typography component="p" className={classes.forgot}>
+                            <Link to='/forgot-password'>Forgot password?</Link>
+                        </Typography>
+                        <Button color="primary" onClick={clickMagicLink} className={classes.forgot}>
+                            Email me a sign-in link
+                        </Button>
+                    </span>)
+                }
+                {
+                    values.message && (
+                        <Typography component="p">
+                            {values.message}
+                        </Typography>
+                    )
+                }
                 {
                     values.error && (
                         <Typography component="p" color="error">
@@ -135,10 +283,26 @@ export default function Signin( props ) {
                 <Button 
                     color="primary" 
                     variant="contained" 
-                    onClick={clickSubmit} 
+                    onClick={values.challenge ? clickVerify : clickSubmit} 
+                    disabled={values.solving}
                     className={classes.submit}
-                >Submit
+                >{values.challenge ? 'Verify' : values.solving ? 'Checking...' : 'Submit'}
                 </Button>
+                { !values.challenge && isSupported() &&
+                    <Button
+                        color="primary"
+                        onClick={clickPasskey}
+                        className={classes.submit}
+                    >Sign in with a passkey</Button>
+                }
+                { !values.challenge && providers.map( provider => (
+                    <Button
+                        key={provider.id}
+                        color="primary"
+                        onClick={ () => clickProvider(provider) }
+                        className={classes.submit}
+                    >Sign in with {provider.name}</Button>
+                ))}
             </CardActions>
         </Card>
     )
@@ -0,0 +1,92 @@
+/*The VerifyEmail component renders at the '/verify-email/:token' path, which is the link emailed to users when
+they sign up. It sends the token to the server as soon as it loads and shows the result. If the user is signed in
+on this browser, the stored user is updated so that the verification banner in the Menu goes away.
+*/
+
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+
+import { makeStyles } from '@material-ui/core/styles'
+import Card from '@material-ui/core/Card'
+import CardActions from '@material-ui/core/CardActions'
+import CardContent from '@material-ui/core/CardContent'
+import Button from '@material-ui/core/Button'
+import Typography from '@material-ui/core/Typography'
+import Icon from '@material-ui/core/Icon'
+
+import auth from './auth-helper'
+import { verifyEmail } from './api-verification.js';
+
+const useStyles = makeStyles(theme => ({
+    card: {
+        maxWidth: 600,
+        margin: 'auto',
+        textAlign: 'center',
+        marginTop: theme.spacing(5),
+        paddingBottom: theme.spacing(2)
+    },
+    error: {
+        verticalAlign: 'middle'
+    },
+    title: {
+        marginTop: theme.spacing(2),
+        color: theme.palette.openTitle
+    },
+    submit: {
+        margin: 'auto',
+        marginBottom: theme.spacing(2)
+    }
+}))
+
+export default function VerifyEmail({ match }) {
+    const classes = useStyles();
+    const [ values, setValues ] = useState({
+        message: 'Verifying your email address...',
+        error: ''
+    })
+
+    useEffect( () => {
+        verifyEmail(match.params.token)
+            .then( data => {
+                if (data.error) {
+                    setValues({ message: '', error: data.error })
+                }
+                else {
+                    auth.updateUser({ verified: true })
+                    setValues({ message: data.message, error: '' })
+                }
+            })
+    }, [match.params.token])
+
+    return (
+        <Card className={classes.card}>
+            <CardContent>
+                <Typography variant="h6" className={classes.title}>
+                    Email Verification
+                </Typography>
+                {
+                    values.message && (
+                        <Typography component="p">
+                            {values.message}
+                        </Typography>
+                    )
+                }
+                {
+                    values.error && (
+                        <Typography component="p" color="error">
+                            <Icon color="error" className={classes.error}>error</Icon>
+                            {values.error}
+                        </Typography>
+                    )
+                }
+            </CardContent>
+            <CardActions>
+                <Link to='/' className={classes.submit}>
+                    <Button color="primary" variant="contained">
+                        Home
+                    </Button>
+                </Link>
+            </CardActions>
+        </Card>
+    )
+}
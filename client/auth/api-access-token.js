@@ -0,0 +1,52 @@
+// FETCH FOR THE ACCESS TOKENS API
+/*These methods fetch the access token API endpoints, so that the signed-in user can create personal access
+tokens for their scripts, list them and revoke them.*/
+
+import authFetch from './auth-fetch'
+
+//Listing the signed-in user's access tokens
+const listAccessTokens = async (credentials, signal) => {
+    try {
+        let response = await authFetch('/auth/tokens/', {
+            method: 'GET',
+            signal: signal,
+            headers: {
+                'Accept': 'application/json'
+            }
+        }, credentials)
+        return await response.json()
+    }
+    catch(err) { console.log(err) }
+}
+
+//Creating an access token. The response is the only time the token itself is returned
+const createAccessToken = async (credentials, accessToken) => {
+    try {
+        let response = await authFetch('/auth/tokens/', {
+            method: 'POST',
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(accessToken)
+        }, credentials)
+        return await response.json()
+    }
+    catch(err) { console.log(err) }
+}
+
+//Revoking an access token
+const revokeAccessToken = async (params, credentials) => {
+    try {
+        let response = await authFetch('/auth/tokens/' + params.tokenId, {
+            method: 'DELETE',
+            headers: {
+                'Accept': 'application/json'
+            }
+        }, credentials)
+        return await response.json()
+    }
+    catch(err) { console.log(err) }
+}
+
+export { listAccessTokens, createAccessToken, revokeAccessToken }
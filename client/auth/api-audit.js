@@ -0,0 +1,24 @@
+// FETCH FOR THE AUDIT LOG
+/*This method fetches the recent security events of the signed-in user's account. Older events are fetched by
+passing the date of the last event shown as 'before'.*/
+
+import authFetch from './auth-fetch'
+
+const listMyEvents = async (params, credentials, signal) => {
+    try {
+        let query = params.before ? '?before=' + encodeURIComponent(params.before) : ''
+        let response = await authFetch('/auth/audit' + query, {
+            method: 'GET',
+            signal: signal,
+            headers: {
+                'Accept': 'application/json'
+            }
+        }, credentials)
+        return await response.json()
+    }
+    catch(err) { console.log(err) }
+}
+
+export {
+    listMyEvents
+}
@@ -2,6 +2,8 @@
 /*In order to integrate the auth API endpoints from the server with the frontend React components,
 we will add methods for fetching "sign-in" and "sign-out" API endpoints here*/
 
+import { csrfHeader } from './csrf'
+
 //Sign-in
 /*The signin method will take user sign-in data from the view component, then use fetch to make a POST
 call to verify the user with the backend.
@@ -26,16 +28,142 @@ const signin = async (user) => {
     catch(err) { console.log(err) }
 }
 
+//Completing a two-factor sign-in
+/*When the account has two-factor authentication enabled, the signin call answers with a challenge token
+instead of a JWT. The signinTwoFactor method posts that challenge with the code entered by the user, and
+the server responds just like a successful sign-in.*/
+const signinTwoFactor = async (challenge, code) => {
+    try {
+        let response = await fetch('/auth/signin/2fa/', {
+            method: 'POST',
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json'
+            },
+            credentials: 'include',
+            body: JSON.stringify({ challenge: challenge, code: code })
+        })
+        return await response.json()
+    }
+    catch(err) { console.log(err) }
+}
+
+//Requesting a sign-in link
+/*The requestMagicLink method posts the email address entered in the Signin view, and the server emails a sign-in
+link to it if it belongs to an account. The response also sets the cookie the link is bound to, so the link has to
+be opened in this browser.*/
+const requestMagicLink = async (email, remember) => {
+    try {
+        let response = await fetch('/auth/magic-link/', {
+            method: 'POST',
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json'
+            },
+            credentials: 'include',
+            body: JSON.stringify({ email: email, remember: remember })
+        })
+        return await response.json()
+    }
+    catch(err) { console.log(err) }
+}
+
+//Signing in with a sign-in link
+/*The signinMagicLink method posts the token from the link opened in the MagicLink view. The server responds just
+like a successful sign-in, or with a two-factor challenge.*/
+const signinMagicLink = async (token) => {
+    try {
+        let response = await fetch('/auth/magic-link/signin/', {
+            method: 'POST',
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json'
+            },
+            credentials: 'include',
+            body: JSON.stringify({ token: token })
+        })
+        return await response.json()
+    }
+    catch(err) { console.log(err) }
+}
+
+//Refreshing the session
+/*The refresh method makes a POST call to the refresh API endpoint. The browser sends the httpOnly refresh token
+cookie along with it, and the server responds with a new JWT and the user's details, just like on sign-in.
+In the cookie auth mode, the new JWT is set in a cookie instead, and the request needs the CSRF token.
+Each account signed in on the browser has its own refresh token cookie, and the account is the ID of the user to refresh.
+*/
+const refresh = async (account) => {
+    try {
+        let response = await fetch('/auth/refresh/', {
+            method: 'POST',
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json',
+                ...csrfHeader()
+            },
+            credentials: 'include',
+            body: JSON.stringify({ account: account })
+        })
+        return await response.json()
+    }
+    catch(err) { console.log(err) }
+}
+
 //Sign-out
-/*This method will use fetch to make a GET call to the signout API endpoint on the server.*/
-const signout = async () => {
+/*This method will use fetch to make a POST call to the signout API endpoint on the server, with the CSRF token in
+the cookie auth mode. Only the account with the given user ID is signed out.*/
+const signout = async (account) => {
     try {
         let response = await fetch('/auth/signout/', {
-            method: 'GET'
+            method: 'POST',
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json',
+                ...csrfHeader()
+            },
+            credentials: 'include',
+            body: JSON.stringify({ account: account })
         })
         return await response.json();
     }
     catch(err) { console.log(err) }
 }
 
-export { signin, signout }
\ No newline at end of file
+//Requesting a password reset
+/*The requestPasswordReset method posts the email address entered in the ForgotPassword view, and the server
+emails a reset link to it if it belongs to an account.*/
+const requestPasswordReset = async (email) => {
+    try {
+        let response = await fetch('/auth/password/forgot/', {
+            method: 'POST',
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ email: email })
+        })
+        return await response.json()
+    }
+    catch(err) { console.log(err) }
+}
+
+//Resetting the password
+/*The resetPassword method posts the token from the reset link along with the new password chosen in the
+ResetPassword view.*/
+const resetPassword = async (token, password) => {
+    try {
+        let response = await fetch('/auth/password/reset/', {
+            method: 'POST',
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ token: token, password: password })
+        })
+        return await response.json()
+    }
+    catch(err) { console.log(err) }
+}
+
+export { signin, signinTwoFactor, requestMagicLink, signinMagicLink, refresh, signout, requestPasswordReset, resetPassword }
\ No newline at end of file
@@ -0,0 +1,83 @@
+// FETCH FOR THE OPENID CONNECT API
+/*These methods fetch the OpenID Connect API endpoints. Signing in or linking with a provider starts with a call
+that returns the provider's URL, where the browser is then sent, and ends in the OAuthComplete view.*/
+
+import authFetch from './auth-fetch'
+
+//Listing the providers users can sign in with
+const listProviders = async (signal) => {
+    try {
+        let response = await fetch('/auth/oidc/providers', {
+            method: 'GET',
+            signal: signal,
+            headers: {
+                'Accept': 'application/json'
+            }
+        })
+        return await response.json()
+    }
+    catch(err) { console.log(err) }
+}
+
+//Getting the URL to sign in with a provider
+const startProviderSignin = async (params) => {
+    try {
+        let response = await fetch('/auth/oidc/' + params.provider + '/signin', {
+            method: 'POST',
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json'
+            },
+            credentials: 'include',
+            body: JSON.stringify({ remember: params.remember })
+        })
+        return await response.json()
+    }
+    catch(err) { console.log(err) }
+}
+
+//Getting the URL to link a provider to the signed-in user
+const startProviderLink = async (params, credentials) => {
+    try {
+        let response = await authFetch('/auth/oidc/' + params.provider + '/link', {
+            method: 'POST',
+            headers: {
+                'Accept': 'application/json'
+            },
+            credentials: 'include'
+        }, credentials)
+        return await response.json()
+    }
+    catch(err) { console.log(err) }
+}
+
+//Listing the providers, with the ones linked to the signed-in user
+const listIdentities = async (credentials, signal) => {
+    try {
+        let response = await authFetch('/auth/oidc/identities', {
+            method: 'GET',
+            signal: signal,
+            headers: {
+                'Accept': 'application/json'
+            }
+        }, credentials)
+        return await response.json()
+    }
+    catch(err) { console.log(err) }
+}
+
+//Unlinking a provider from the signed-in user
+const unlinkIdentity = async (params, credentials) => {
+    try {
+        let response = await authFetch('/auth/oidc/identities/' + params.provider, {
+            method: 'DELETE',
+            headers: {
+                'Accept': 'application/json'
+            }
+        }, credentials)
+        return await response.json()
+    }
+    catch(err) { console.log(err) }
+}
+
+export { listProviders, startProviderSignin, startProviderLink, listIdentities, unlinkIdentity }
@@ -0,0 +1,105 @@
+// FETCH FOR THE PASSKEYS API
+/*These methods fetch the passkey API endpoints. Registering a passkey and managing them takes a signed-in user,
+while the sign-in methods are called from the Sign In view and get the same response as a password sign-in.*/
+
+import authFetch from './auth-fetch'
+
+//Getting the challenge to sign in with a passkey
+const passkeySigninOptions = async () => {
+    try {
+        let response = await fetch('/auth/signin/passkey/options', {
+            method: 'POST',
+            headers: {
+                'Accept': 'application/json'
+            },
+            credentials: 'include'
+        })
+        return await response.json()
+    }
+    catch(err) { console.log(err) }
+}
+
+//Signing in with the response of the authenticator
+const passkeySignin = async (credential, remember) => {
+    try {
+        let response = await fetch('/auth/signin/passkey', {
+            method: 'POST',
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json'
+            },
+            credentials: 'include',
+            body: JSON.stringify({ response: credential, remember: remember })
+        })
+        return await response.json()
+    }
+    catch(err) { console.log(err) }
+}
+
+//Listing the signed-in user's passkeys
+const listPasskeys = async (credentials, signal) => {
+    try {
+        let response = await authFetch('/auth/passkeys', {
+            method: 'GET',
+            signal: signal,
+            headers: {
+                'Accept': 'application/json'
+            }
+        }, credentials)
+        return await response.json()
+    }
+    catch(err) { console.log(err) }
+}
+
+//Getting the options to create a new passkey
+const passkeyRegistrationOptions = async (credentials) => {
+    try {
+        let response = await authFetch('/auth/passkeys/options', {
+            method: 'POST',
+            headers: {
+                'Accept': 'application/json'
+            }
+        }, credentials)
+        return await response.json()
+    }
+    catch(err) { console.log(err) }
+}
+
+//Registering the passkey created by the authenticator, under the given name
+const registerPasskey = async (credentials, name, credential) => {
+    try {
+        let response = await authFetch('/auth/passkeys', {
+            method: 'POST',
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ name: name, response: credential })
+        }, credentials)
+        return await response.json()
+    }
+    catch(err) { console.log(err) }
+}
+
+//Removing a passkey
+const removePasskey = async (params, credentials) => {
+    try {
+        let response = await authFetch('/auth/passkeys/' + params.passkeyId, {
+            method: 'DELETE',
+            headers: {
+                'Accept': 'application/json'
+            }
+        }, credentials)
+        return await response.json()
+    }
+    catch(err) { console.log(err) }
+}
+
+export {
+    passkeySigninOptions,
+    passkeySignin,
+    listPasskeys,
+    passkeyRegistrationOptions,
+    registerPasskey,
+    removePasskey
+}
@@ -0,0 +1,50 @@
+// FETCH FOR THE SESSIONS API
+/*These methods fetch the session API endpoints, so that the signed-in user can list the devices where
+they are signed in and sign them out.*/
+
+import authFetch from './auth-fetch'
+
+//Listing the signed-in user's sessions
+const listSessions = async (credentials, signal) => {
+    try {
+        let response = await authFetch('/auth/sessions/', {
+            method: 'GET',
+            signal: signal,
+            headers: {
+                'Accept': 'application/json'
+            }
+        }, credentials)
+        return await response.json()
+    }
+    catch(err) { console.log(err) }
+}
+
+//Signing out a single session
+const revokeSession = async (params, credentials) => {
+    try {
+        let response = await authFetch('/auth/sessions/' + params.sessionId, {
+            method: 'DELETE',
+            headers: {
+                'Accept': 'application/json'
+            }
+        }, credentials)
+        return await response.json()
+    }
+    catch(err) { console.log(err) }
+}
+
+//Signing out everywhere
+const revokeAllSessions = async (credentials) => {
+    try {
+        let response = await authFetch('/auth/sessions/', {
+            method: 'DELETE',
+            headers: {
+                'Accept': 'application/json'
+            }
+        }, credentials)
+        return await response.json()
+    }
+    catch(err) { console.log(err) }
+}
+
+export { listSessions, revokeSession, revokeAllSessions }
@@ -0,0 +1,57 @@
+// FETCH FOR THE TWO-FACTOR AUTHENTICATION API
+/*These methods are used by the TwoFactor component in EditProfile to enroll an authenticator app and to
+turn two-factor authentication on and off for the signed-in user.*/
+
+import authFetch from './auth-fetch'
+
+const post = async (url, credentials, body) => {
+    try {
+        let response = await authFetch(url, {
+            method: 'POST',
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body || {})
+        }, credentials)
+        return await response.json()
+    }
+    catch(err) { console.log(err) }
+}
+
+//Getting whether two-factor authentication is enabled
+const twoFactorStatus = async (credentials, signal) => {
+    try {
+        let response = await authFetch('/auth/2fa/', {
+            method: 'GET',
+            signal: signal,
+            headers: {
+                'Accept': 'application/json'
+            }
+        }, credentials)
+        return await response.json()
+    }
+    catch(err) { console.log(err) }
+}
+
+//Getting a new secret, with its QR code, to scan with the authenticator app
+const setupTwoFactor = (credentials) => {
+    return post('/auth/2fa/setup/', credentials)
+}
+
+//Confirming the enrollment with a first code, which returns the recovery codes
+const enableTwoFactor = (credentials, code) => {
+    return post('/auth/2fa/enable/', credentials, { code: code })
+}
+
+//Replacing the recovery codes
+const regenerateRecoveryCodes = (credentials, code) => {
+    return post('/auth/2fa/recovery-codes/', credentials, { code: code })
+}
+
+//Turning two-factor authentication off, which takes both the password and a code
+const disableTwoFactor = (credentials, password, code) => {
+    return post('/auth/2fa/disable/', credentials, { password: password, code: code })
+}
+
+export { twoFactorStatus, setupTwoFactor, enableTwoFactor, regenerateRecoveryCodes, disableTwoFactor }
@@ -0,0 +1,35 @@
+// FETCH FOR THE EMAIL VERIFICATION API
+
+import authFetch from './auth-fetch'
+
+//Verifying the email address with the token from the link that was emailed on signup
+const verifyEmail = async (token) => {
+    try {
+        let response = await fetch('/auth/verify-email/', {
+            method: 'POST',
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ token: token })
+        })
+        return await response.json()
+    }
+    catch(err) { console.log(err) }
+}
+
+//Asking for a new verification link for the signed-in user
+const resendVerification = async (credentials) => {
+    try {
+        let response = await authFetch('/auth/verify-email/resend/', {
+            method: 'POST',
+            headers: {
+                'Accept': 'application/json'
+            }
+        }, credentials)
+        return await response.json()
+    }
+    catch(err) { console.log(err) }
+}
+
+export { verifyEmail, resendVerification }
@@ -0,0 +1,66 @@
+//FETCHING PROTECTED ROUTES
+/*All the fetch methods that call protected API routes go through authFetch, which attaches the JWT in the
+Authorization header using the Bearer scheme.
+Because the JWT is short-lived, authFetch refreshes it before the request is sent if it is about to expire, and
+if the server still answers with a 401, it refreshes it once more and repeats the request. This way the session
+is renewed without the user noticing.
+In the cookie auth mode, the JWT is in an httpOnly cookie that the browser sends by itself, and that can't be read to
+tell when it expires. authFetch sends the CSRF token instead of the Authorization header, and only refreshes the session
+when the server answers with a 401.
+*/
+
+import auth from './auth-helper'
+import { csrfHeader } from './csrf'
+
+const withToken = (options, token) => {
+    return {
+        ...options,
+        headers: {
+            ...options.headers,
+            'Authorization': 'Bearer ' + token
+        }
+    }
+}
+
+const withCsrf = (options) => {
+    return {
+        ...options,
+        credentials: 'same-origin',
+        headers: {
+            ...options.headers,
+            ...csrfHeader()
+        }
+    }
+}
+
+const cookieFetch = async (url, options) => {
+    let response = await fetch(url, withCsrf(options))
+    if (response.status === 401) {
+        const renewed = await auth.refresh()
+        if (renewed) response = await fetch(url, withCsrf(options))
+    }
+    return response
+}
+
+const authFetch = async (url, options, credentials) => {
+    if (auth.usesCookies()) return cookieFetch(url, options)
+
+    /*The credentials passed in by a component may have been read before the token was last refreshed, so the
+    stored token is preferred.*/
+    const jwt = auth.isAuthenticated()
+    let token = jwt ? jwt.token : credentials.t
+
+    if (auth.isExpiring(token)) {
+        const renewed = await auth.refresh()
+        if (renewed) token = renewed.token
+    }
+
+    let response = await fetch(url, withToken(options, token))
+    if (response.status === 401) {
+        const renewed = await auth.refresh()
+        if (renewed) response = await fetch(url, withToken(options, renewed.token))
+    }
+    return response
+}
+
+export default authFetch
@@ -13,7 +13,85 @@ We can use "localStorage" instead of "sessionStorage" to store the JWT credentia
 only be remembered in the current window tab. With localStorage, the user auth state will be remembered across tabs in a browser.
 */
 
-import { signout } from './api-auth.js'
+//Sharing the sign-in between tabs
+/*The JWT stays in the sessionStorage of each tab, but the refresh token is an httpOnly cookie shared by the whole browser. So a
+new tab, or a tab reopened after the browser was restarted with "remember me" on, gets its own JWT from '/auth/refresh' with
+the restore method.
+To know that there is a session to restore, and to keep the tabs in sync, the ID of the signed-in user is kept in localStorage
+under SIGNED_IN, which holds nothing secret. Other tabs get a storage event whenever it changes: when it is removed they sign
+out too, and when it changes to another user they fetch the new credentials. Components that need to follow these changes
+subscribe to them.
+*/
+
+//Switching accounts
+/*Several accounts can be signed in on the same browser, each with its own refresh token cookie. The ones signed in are
+listed in localStorage under ACCOUNTS, with the name and photo shown in the Menu, and the active one is the user in
+SIGNED_IN. The stored credentials are always those of the active account, so every API call is made as that user.
+switchAccount gets credentials for another account from '/auth/refresh', which makes it the active account of every tab,
+and the subscribed components are rendered again as the new user. Signing out only signs out the active account, and
+switches to the next one, if any.
+*/
+
+//Cookie auth mode
+/*When the server runs in the cookie auth mode, set in window.__AUTH__ by the page template, the JWT is kept in an httpOnly
+cookie that scripts can't read, and the stored credentials only hold the user's details, without a token. authFetch then
+relies on the cookie and sends the CSRF token instead of the Authorization header.
+The server also renders the page for the signed-in user and hands their details over in window.__AUTH__, so they are
+stored before the first render, which then matches the markup. When the server doesn't know the user, the credentials
+are dropped, and restore tries to refresh the session.
+On the server, renderAs makes isAuthenticated return the user the page is rendered for. renderToString is synchronous,
+so no other request is rendered in between.
+*/
+
+import { refresh, signout } from './api-auth.js'
+
+const SIGNED_IN = 'signedIn'
+const ACCOUNTS = 'accounts'
+
+//The refresh calls that are already on their way, per account, each shared by every request that needs a new token at the same time
+const refreshing = {}
+//The restore call of a new tab, and whether it has been made already
+let restoring = null
+let restored = false
+const listeners = []
+//On the server, the user of the page being rendered
+let pageUser = null
+
+const notify = () => listeners.forEach( listener => listener() )
+
+const readAccounts = () => {
+    try {
+        return JSON.parse(localStorage.getItem(ACCOUNTS)) || []
+    }
+    catch(err) {
+        return []
+    }
+}
+
+const saveAccount = (user) => {
+    const account = { _id: user._id, name: user.name, photo: user.photo }
+    localStorage.setItem(ACCOUNTS, JSON.stringify(
+        readAccounts().filter( item => item._id !== user._id ).concat(account)
+    ))
+}
+
+const forgetAccount = (userId) => {
+    localStorage.setItem(ACCOUNTS, JSON.stringify(readAccounts().filter( item => item._id !== userId )))
+}
+
+//The account of this tab's credentials, or the active account of the browser when the tab has none
+const activeAccount = () => {
+    const jwt = auth.isAuthenticated()
+    return jwt ? jwt.user._id : localStorage.getItem(SIGNED_IN)
+}
+
+/*Refresh tokens are rotated on every use, and the server signs out a session when an old one is presented again. Tabs
+refreshing at the same time would present the same cookie, so the refresh calls are made one after the other with the
+Web Locks API, where the browser supports it. Each call then sends the cookie set by the previous one.*/
+const oneTabAtATime = (call) => {
+    if (typeof navigator !== 'undefined' && navigator.locks) return navigator.locks.request('auth-refresh', call)
+    return call()
+}
 
 const auth = {
     //Saving credentials
@@ -24,7 +102,11 @@ const auth = {
     and storing credentials.
     */
     authenticate(jwt, cb) {
-        if(typeof window !== 'undefined') sessionStorage.setItem('jwt', JSON.stringify(jwt))
+        if(typeof window !== 'undefined') {
+            sessionStorage.setItem('jwt', JSON.stringify(jwt))
+            localStorage.setItem(SIGNED_IN, jwt.user._id)
+            saveAccount(jwt.user)
+        }
         cb()
     },
 
@@ -36,11 +118,124 @@ const auth = {
     is not signed in.
     */
     isAuthenticated() {
-        if(typeof window == 'undefined') return false;
+        if(typeof window == 'undefined') return pageUser ? { user: pageUser } : false;
         if (sessionStorage.getItem('jwt')) return JSON.parse(sessionStorage.getItem('jwt'));
         else return false;
     },
 
+    //Updating the stored user
+    /*When details of the signed-in user change, for example once their email address is verified, updateUser merges
+    the new values into the user object that was stored with the credentials.*/
+    updateUser(fields) {
+        const jwt = this.isAuthenticated()
+        if (!jwt) return
+        sessionStorage.setItem('jwt', JSON.stringify({ ...jwt, user: { ...jwt.user, ...fields } }))
+        saveAccount({ ...jwt.user, ...fields })
+    },
+
+    //Refreshing credentials
+    /*The JWT received on sign-in expires after a few minutes. The refresh method asks the server for a new one with the
+    refresh token cookie and stores the new credentials. It returns a promise that resolves with the new credentials, or
+    with false if the session could not be renewed, in which case the stored credentials are removed.
+    Since the server only accepts each refresh token once, concurrent calls share the same request.
+    */
+    /*The active account is refreshed unless another one is given, which then becomes the active account.
+    When the server answers that the session is gone, it is gone for every tab, since they share the cookie, so the account
+    is forgotten and, if it was the active one, every tab is signed out. A network error only affects this tab.*/
+    refresh(account = activeAccount()) {
+        if (!refreshing[account]) {
+            refreshing[account] = oneTabAtATime( () => refresh(account) )
+                .then( data => {
+                    delete refreshing[account]
+                    if (data && data.user) {
+                        sessionStorage.setItem('jwt', JSON.stringify(data))
+                        localStorage.setItem(SIGNED_IN, data.user._id)
+                        saveAccount(data.user)
+                        return data
+                    }
+                    if (activeAccount() === account) sessionStorage.removeItem('jwt')
+                    if (data) {
+                        forgetAccount(account)
+                        if (localStorage.getItem(SIGNED_IN) === account) localStorage.removeItem(SIGNED_IN)
+                    }
+                    return false
+                })
+        }
+        return refreshing[account]
+    },
+
+    //The accounts signed in on this browser, for the Menu
+    accounts() {
+        if (typeof window == 'undefined') return []
+        return readAccounts()
+    },
+
+    /*Resolves with the credentials of the account switched to, or with false if it couldn't be refreshed, in which case
+    it was signed out.*/
+    switchAccount(userId) {
+        return this.refresh(userId)
+            .then( data => {
+                notify()
+                return data
+            })
+    },
+
+    //Restoring credentials
+    /*A tab without credentials of its own, while the browser is signed in, gets them with restore. Until the call is
+    over, isRestoring tells views such as PrivateRoute to wait instead of treating the user as signed out.*/
+    isRestoring() {
+        if (typeof window == 'undefined' || restored) return false
+        return !sessionStorage.getItem('jwt') && Boolean(localStorage.getItem(SIGNED_IN))
+    },
+
+    restore() {
+        if (!this.isRestoring()) return Promise.resolve(this.isAuthenticated())
+        if (!restoring) {
+            restoring = this.refresh()
+                .then( data => {
+                    restored = true
+                    return data
+                })
+        }
+        return restoring
+    },
+
+    usesCookies() {
+        return typeof window !== 'undefined' && Boolean(window.__AUTH__) && window.__AUTH__.mode === 'cookie'
+    },
+
+    renderAs(user, render) {
+        pageUser = user
+        try {
+            return render()
+        }
+        finally {
+            pageUser = null
+        }
+    },
+
+    /*The listener is called when the sign-in changes in another tab, or when this tab switches accounts, after this tab's
+    credentials were updated. The returned function unsubscribes it.*/
+    subscribe(listener) {
+        listeners.push(listener)
+        return () => {
+            const index = listeners.indexOf(listener)
+            if (index !== -1) listeners.splice(index, 1)
+        }
+    },
+
+    /*Reads the expiry time from the payload of the JWT and tells whether it has expired, or will within the given
+    number of seconds.*/
+    isExpiring(token, seconds = 30) {
+        try {
+            const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')))
+            return payload.exp * 1000 - Date.now() < seconds * 1000
+        }
+        catch(err) {
+            return true
+        }
+    },
+
     //Deleting credentials
     /*When a user successfully signs out from the application, we want to clear the stored JWT credentials from sessionStorage.
     This clearJWT method takes a callback function as an argument, and it removes the JWT credential from sessionStorage. The passed
@@ -49,15 +244,45 @@ const auth = {
     This method also uses the signout method we defined earlier in api-auth.js to call the signout API in the backend. If we had used
     cookies to store the credentials instead of sessionStorage, the response to this API call would be where we clear the cookie.
     Using the signout API call is optional since this is dependent on whether cookies are used as the credential storage mechanism.
+    Only the active account is signed out. When other accounts are signed in on the browser, the next one becomes the active
+    account once the server has signed out this one.
     */
     clearJWT( cb ) {
-        if (typeof window !== 'undefined') sessionStorage.removeItem('jwt')
+        if (typeof window == 'undefined') return cb()
+        const account = activeAccount()
+        sessionStorage.removeItem('jwt')
+        forgetAccount(account)
+        const next = readAccounts()[0]
+        if (!next) localStorage.removeItem(SIGNED_IN)
         cb()
-        signout()
+        signout(account)
         .then( data => {
-            document.cookie = 't=; expires=Thu, 01 Jan 1970 00:00:00 UTC; path=/;'
+            if (next) this.switchAccount(next._id)
         })
     }
 }
 
+if (auth.usesCookies()) {
+    const user = window.__AUTH__.user
+    if (user) auth.authenticate({ user }, () => {})
+    else sessionStorage.removeItem('jwt')
+}
+
+//Following the sign-in of the other tabs. The key is null when the whole localStorage was cleared.
+if (typeof window !== 'undefined') {
+    window.addEventListener('storage', event => {
+        if (event.key !== SIGNED_IN && event.key !== null) return
+        const jwt = auth.isAuthenticated()
+        const userId = localStorage.getItem(SIGNED_IN)
+        if (!userId) {
+            if (!jwt) return
+            sessionStorage.removeItem('jwt')
+            return notify()
+        }
+        if (jwt && jwt.user._id === userId) return
+        sessionStorage.removeItem('jwt')
+        auth.refresh().then(notify)
+    })
+}
+
 export default auth;
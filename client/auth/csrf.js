@@ -0,0 +1,12 @@
+//CSRF TOKEN
+/*In the cookie auth mode, the server sets the CSRF token of the session in the 'csrf' cookie, which scripts can read,
+and expects it back in the X-CSRF-Token header of every state-changing request. csrfHeader returns that header, or
+no header when there is no such cookie, as in the header auth mode.*/
+
+const csrfHeader = () => {
+    if (typeof document === 'undefined') return {}
+    const cookie = document.cookie.split('; ').find( item => item.startsWith('csrf=') )
+    return cookie ? { 'X-CSRF-Token': decodeURIComponent(cookie.slice(5)) } : {}
+}
+
+export { csrfHeader }
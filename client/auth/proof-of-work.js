@@ -0,0 +1,47 @@
+//PROOF OF WORK
+/*Signing up and signing in take a solved anti-bot challenge. solveChallenge gets a challenge for the action from the
+server, then tries solutions until the SHA-256 hash of challenge + ':' + solution starts with the required number of
+zero bits. It resolves with the { challenge, solution } to send in the proofOfWork field of the form, or with an error.
+Hashing uses the Web Crypto API, which browsers only offer on pages served over HTTPS, or from localhost.*/
+
+const leadingZeroBits = (hash) => {
+    let bits = 0
+    for (const byte of hash) {
+        if (byte === 0) {
+            bits += 8
+            continue
+        }
+        return bits + Math.clz32(byte) - 24
+    }
+    return bits
+}
+
+const solveChallenge = async (action) => {
+    if (!window.crypto || !window.crypto.subtle) {
+        return { error: 'Your browser cannot solve the anti-bot check on this page' }
+    }
+    try {
+        let response = await fetch('/auth/proof-of-work?action=' + action, {
+            method: 'GET',
+            headers: {
+                'Accept': 'application/json'
+            }
+        })
+        const data = await response.json()
+        if (data.error) return data
+
+        const encoder = new TextEncoder()
+        for (let solution = 0; ; solution++) {
+            const hash = await window.crypto.subtle.digest('SHA-256', encoder.encode(data.challenge + ':' + solution))
+            if (leadingZeroBits(new Uint8Array(hash)) >= data.difficulty) {
+                return { challenge: data.challenge, solution: String(solution) }
+            }
+        }
+    }
+    catch(err) {
+        console.log(err)
+        return { error: 'Could not get the anti-bot check. Please try again' }
+    }
+}
+
+export { solveChallenge }
@@ -0,0 +1,70 @@
+// WEBAUTHN CEREMONIES IN THE BROWSER
+/*The server sends the options of a passkey ceremony as JSON, where binary values such as the challenge and the
+credential IDs are base64url strings. These helpers turn them into the ArrayBuffers that navigator.credentials
+expects, run the ceremony, and turn the credential returned by the authenticator back into JSON for the server.*/
+
+const toBuffer = value => {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/')
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4))
+    return Uint8Array.from(binary, c => c.charCodeAt(0)).buffer
+}
+
+const toBase64url = buffer => {
+    const binary = String.fromCharCode(...new Uint8Array(buffer))
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+const toDescriptor = credential => ({ ...credential, id: toBuffer(credential.id) })
+
+//Tells whether this browser can use passkeys at all
+const isSupported = () => {
+    return typeof window !== 'undefined' && !!window.PublicKeyCredential
+}
+
+//Creating a passkey with the registration options generated by the server
+const startRegistration = async (options) => {
+    const credential = await navigator.credentials.create({
+        publicKey: {
+            ...options,
+            challenge: toBuffer(options.challenge),
+            user: { ...options.user, id: toBuffer(options.user.id) },
+            excludeCredentials: (options.excludeCredentials || []).map(toDescriptor)
+        }
+    })
+    return {
+        id: credential.id,
+        rawId: toBase64url(credential.rawId),
+        type: credential.type,
+        clientExtensionResults: credential.getClientExtensionResults(),
+        response: {
+            clientDataJSON: toBase64url(credential.response.clientDataJSON),
+            attestationObject: toBase64url(credential.response.attestationObject),
+            transports: credential.response.getTransports ? credential.response.getTransports() : []
+        }
+    }
+}
+
+//Signing the challenge generated by the server with one of the user's passkeys
+const startAuthentication = async (options) => {
+    const credential = await navigator.credentials.get({
+        publicKey: {
+            ...options,
+            challenge: toBuffer(options.challenge),
+            allowCredentials: (options.allowCredentials || []).map(toDescriptor)
+        }
+    })
+    return {
+        id: credential.id,
+        rawId: toBase64url(credential.rawId),
+        type: credential.type,
+        clientExtensionResults: credential.getClientExtensionResults(),
+        response: {
+            clientDataJSON: toBase64url(credential.response.clientDataJSON),
+            authenticatorData: toBase64url(credential.response.authenticatorData),
+            signature: toBase64url(credential.response.signature),
+            userHandle: credential.response.userHandle ? toBase64url(credential.response.userHandle) : undefined
+        }
+    }
+}
+
+export { isSupported, startRegistration, startAuthentication }
@@ -0,0 +1,75 @@
+import React, { useState } from 'react'
+
+import { makeStyles } from '@material-ui/core/styles'
+import Button from '@material-ui/core/Button'
+import Menu from '@material-ui/core/Menu'
+import MenuItem from '@material-ui/core/MenuItem'
+import ListItemIcon from '@material-ui/core/ListItemIcon'
+import ListItemText from '@material-ui/core/ListItemText'
+import Divider from '@material-ui/core/Divider'
+import Avatar from '@material-ui/core/Avatar'
+import PersonAdd from '@material-ui/icons/PersonAdd'
+import ArrowDropDown from '@material-ui/icons/ArrowDropDown'
+
+import auth from './../auth/auth-helper'
+
+const useStyles = makeStyles(theme => ({
+    avatar: {
+        width: 24,
+        height: 24,
+        marginRight: theme.spacing(1)
+    },
+    active: {
+        fontWeight: 'bold'
+    }
+}))
+
+/*The AccountMenu is rendered by the Menu for signed-in users. It shows the name of the active account, and opens a
+list of the accounts signed in on this browser to switch to another one, or to sign in with one more account.
+Switching doesn't reload the page: auth.switchAccount renders every view again as the new user, on the same path.*/
+export default function AccountMenu({ history }) {
+    const classes = useStyles()
+    const [ anchorEl, setAnchorEl ] = useState(null)
+    const jwt = auth.isAuthenticated()
+    const accounts = auth.accounts()
+
+    const clickSwitch = (account) => {
+        setAnchorEl(null)
+        if (account._id === jwt.user._id) return
+        auth.switchAccount(account._id)
+            .then( data => {
+                if (!data) history.push('/signin')
+            })
+    }
+
+    const clickAdd = () => {
+        setAnchorEl(null)
+        history.push('/signin')
+    }
+
+    return (
+        <span>
+            <Button color='inherit' onClick={ event => setAnchorEl(event.currentTarget) } aria-haspopup='true'>
+                <Avatar src={jwt.user.photo} className={classes.avatar}/>
+                {jwt.user.name}
+                <ArrowDropDown/>
+            </Button>
+            <Menu anchorEl={anchorEl} keepMounted open={Boolean(anchorEl)} onClose={ () => setAnchorEl(null) }>
+                {accounts.map( account => (
+                    <MenuItem key={account._id} onClick={ () => clickSwitch(account) }>
+                        <Avatar src={account.photo} className={classes.avatar}/>
+                        <ListItemText
+                            primary={account.name}
+                            classes={ account._id === jwt.user._id ? { primary: classes.active } : {} }
+                        />
+                    </MenuItem>
+                ))}
+                <Divider/>
+                <MenuItem onClick={clickAdd}>
+                    <ListItemIcon><PersonAdd/></ListItemIcon>
+                    <ListItemText primary='Add another account'/>
+                </MenuItem>
+            </Menu>
+        </span>
+    )
+}
@@ -9,6 +9,9 @@ import HomeIcon from '@material-ui/icons/Home'
 import Button from '@material-ui/core/Button'
 
 import auth from './../auth/auth-helper'
+import VerifyEmailBanner from './VerifyEmailBanner'
+import AccountMenu from './AccountMenu'
+import { profilePath } from './../user/profile-path'
 
 /*This fucntion is used to indicate the current location of the application on the Menu.
 The link that matches the current location path will be highlighted by changing the color.
@@ -72,13 +75,26 @@ const Menu = withRouter( ({history}) => (
 
                         {/*The MY PROFILE button uses the signed-in user's information to link to the user's
                         own profile*/}
-                        <Link to={'/user/' + auth.isAuthenticated().user._id}>
-                            <Button style={isActive(history, '/user/' + auth.isAuthenticated().user._id)}>
+                        <Link to={profilePath(auth.isAuthenticated().user)}>
+                            <Button style={isActive(history, profilePath(auth.isAuthenticated().user))}>
                                 My Profile
                             </Button>
                         </Link>
 
-                        {/*The SIGN OUT button calls the auth.clearJWT() method when it's clicked*/}
+                        {/*Admins also get a link to the admin dashboard, where they manage the users' accounts*/}
+                        {auth.isAuthenticated().user.role === 'admin' && (
+                            <Link to='/admin/users'>
+                                <Button style={isActive(history, '/admin/users')}>
+                                    Admin
+                                </Button>
+                            </Link>
+                        )}
+
+                        {/*The account menu switches between the accounts signed in on this browser*/}
+                        <AccountMenu history={history}/>
+
+                        {/*The SIGN OUT button calls the auth.clearJWT() method when it's clicked. It signs out the active
+                        account, and the next signed-in account, if any, becomes the active one*/}
                         <Button color='inherit' onClick={ () => { auth.clearJWT(() => history.push('/')) }}>
                             Sign Out
                         </Button>
@@ -86,6 +102,13 @@ const Menu = withRouter( ({history}) => (
                 )
             }
         </Toolbar>
+
+        {/*Users who haven't verified their email address yet are reminded to do it under the toolbar*/}
+        {
+            auth.isAuthenticated() && auth.isAuthenticated().user.verified === false && (
+                <VerifyEmailBanner />
+            )
+        }
     </AppBar>
 ))
 
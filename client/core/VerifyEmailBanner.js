@@ -0,0 +1,48 @@
+import React, { useState } from 'react'
+
+import { makeStyles } from '@material-ui/core/styles'
+import Typography from '@material-ui/core/Typography'
+import Button from '@material-ui/core/Button'
+
+import auth from './../auth/auth-helper'
+import { resendVerification } from './../auth/api-verification.js'
+
+const useStyles = makeStyles(theme => ({
+    banner: {
+        padding: `${theme.spacing(1)}px ${theme.spacing(2)}px`,
+        backgroundColor: theme.palette.secondary.light,
+        color: theme.palette.secondary.contrastText,
+        textAlign: 'center'
+    },
+    button: {
+        marginLeft: theme.spacing(1)
+    }
+}))
+
+/*The VerifyEmailBanner is rendered by the Menu under the toolbar while the signed-in user hasn't verified their
+email address yet, since until then they can't post. It lets them ask for a new verification link.*/
+export default function VerifyEmailBanner() {
+    const classes = useStyles()
+    const [ message, setMessage ] = useState('')
+    const jwt = auth.isAuthenticated()
+
+    const clickResend = () => {
+        resendVerification({ t: jwt.token })
+            .then( data => {
+                if (!data) return
+                if (data.verified) auth.updateUser({ verified: true })
+                setMessage(data.error || data.message)
+            })
+    }
+
+    return (
+        <Typography component='div' className={classes.banner}>
+            { message || 'Please verify your email address to start posting. Check your inbox for the link we sent you.' }
+            { !message &&
+                <Button size='small' variant='outlined' color='inherit' className={classes.button} onClick={clickResend}>
+                    Resend link
+                </Button>
+            }
+        </Typography>
+    )
+}
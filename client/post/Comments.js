@@ -10,7 +10,9 @@ import Avatar from '@material-ui/core/Avatar'
 import Icon from '@material-ui/core/Icon'
 
 import auth from './../auth/auth-helper'
+import { profilePath } from './../user/profile-path'
 import { comment, uncomment } from './api-post.js'
+import { removeComment } from './../admin/api-admin.js'
 
 const useStyles = makeStyles(theme => ({
     cardHeader: {
@@ -84,14 +86,15 @@ export default function Comments(props) {
     comment count, when the comment is successfully removed from the server.
     On successfully removing a comment from the backend, the updateComments method that's sent in
     the props from the Post component will be invoked. This will update the state of the Post component
-    to update the view.*/
+    to update the view.
+    Moderators and admins can also remove the comments of other users, through the moderation API.*/
+    const canModerate = ['moderator', 'admin'].includes(jwt.user.role)
+
     const deleteComment = (event, comment) => {
-        uncomment(
-            { userId: jwt.user._id },
-            { t: jwt.token },
-            props.postId,
-            comment
-        )
+        const request = comment.postedBy._id === jwt.user._id
+            ? uncomment({ userId: jwt.user._id }, { t: jwt.token }, props.postId, comment)
+            : removeComment({ postId: props.postId, commentId: comment._id }, { t: jwt.token })
+        request
         .then( data => {
             if (data.error) { console.log(data.error) }
             else {
@@ -103,18 +106,18 @@ export default function Comments(props) {
     /*commentBody renders the content, including the name of the commenter linked to their profile,
     the comment text, and the date of comment creation.
     It will also render a delete option for the comment if the postedBy reference of the comment matches
-    the currently signed-in user. 
+    the currently signed-in user, or if the signed-in user is a moderator or an admin.
     */
     const commentBody = item => {
         return (
             <p className={classes.commentText}>
-                <Link to={"/user/" + item.postedBy._id}>
+                <Link to={profilePath(item.postedBy)}>
                     {item.postedBy.name}
                 </Link><br/>
                 {item.text}
                 <span className={classes.commentDate}>
                     {(new Date(item.created)).toDateString()} |
-                    {auth.isAuthenticated().user._id === item.postedBy._id &&
+                    {(auth.isAuthenticated().user._id === item.postedBy._id || canModerate) &&
                         <Icon onClick={event => deleteComment(event, item)} className={classes.commentDelete}>delete</Icon>
                     }
                 </span>
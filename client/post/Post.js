@@ -18,7 +18,9 @@ import CommentIcon from '@material-ui/icons/Comment'
 import Divider from '@material-ui/core/Divider'
 
 import auth from './../auth/auth-helper'
+import { profilePath } from './../user/profile-path'
 import { remove, like, unlike } from './api-post.js'
+import { removePost } from './../admin/api-admin.js'
 import Comments from './Comments'
 
 const useStyles = makeStyles(theme => ({
@@ -78,9 +80,14 @@ export default function Post(props) {
 
     /*This method makes a fetch call to the delete post API and on success, updates the list
     of posts in the state by executing the onRemove method, which is received as a prop
-    from the parent component.*/
+    from the parent component.
+    Admins can also delete the posts of other users, which goes through the admin API.*/
+    const isPoster = props.post.postedBy._id === jwt.user._id
+    const canDelete = isPoster || jwt.user.role === 'admin'
+
     const deletePost = () => {
-        remove(
+        const callApi = isPoster ? remove : removePost
+        callApi(
             { postId: props.post._id },
             { t: jwt.token }
         )
@@ -123,13 +130,13 @@ export default function Post(props) {
             
             <CardHeader
                 avatar={<Avatar src={props.post.postedBy.photo}/>}
-                action={ props.post.postedBy._id === auth.isAuthenticated().user._id && 
+                action={ canDelete && 
                     <IconButton onClick={deletePost}>
                         <DeleteIcon />
                     </IconButton>
                 }
                 title={
-                    <Link to={'/user/' + props.post.postedBy._id}>
+                    <Link to={profilePath(props.post.postedBy)}>
                         {props.post.postedBy.name}
                     </Link>
                 }
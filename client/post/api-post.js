@@ -1,18 +1,18 @@
+import authFetch from './../auth/auth-fetch'
 
 /*This is the fetch method that will load the posts that are rendered in PostList, which
 is added as a child component to the Newsfeed component. So, this fetch needs to be
 called in the useEffect hook in the Newsfeed component.*/
 const listNewsFeed = async (params, credentials, signal) => {
     try {
-        let response = await fetch('/api/posts/feed/' + params.userId, {
+        let response = await authFetch('/api/posts/feed/' + params.userId, {
             method: 'GET',
             signal: signal,
             headers: {
                 'Accept': 'application/json',
-                'Content-Type': 'application/json',
-                'Authorization': 'Bearer ' + credentials.t
+                'Content-Type': 'application/json'
             }            
-        })    
+        }, credentials)    
         return await response.json()
     }
     catch(err) { console.log(err) }
@@ -22,14 +22,13 @@ const listNewsFeed = async (params, credentials, signal) => {
 Profile view*/
 const listByUser = async (params, credentials) => {
     try{
-        let response = await fetch('/api/posts/by/' + params.userId, {
+        let response = await authFetch('/api/posts/by/' + params.userId, {
             method: 'GET',
             headers: {
                 'Accept': 'application/json',
-                'Content-Type': 'application/json',
-                'Authorization': 'Bearer ' + credentials.t
+                'Content-Type': 'application/json'
             }
-        })
+        }, credentials)
         return await response.json()
     }
     catch(err) { console.log(err) }
@@ -39,14 +38,13 @@ const listByUser = async (params, credentials) => {
 contain the text field and the image file.*/
 const create = async (params, credentials, post) => {
     try{
-        let response = await fetch('/api/posts/new/' + params.userId, {
+        let response = await authFetch('/api/posts/new/' + params.userId, {
             method: 'POST',
             headers: {
-                'Accept': 'application/json',
-                'Authorization': 'Bearer ' + credentials.t
+                'Accept': 'application/json'
             },
             body: post
-        })
+        }, credentials)
         return await response.json()
     }
     catch(err) { console.log(err) }
@@ -54,14 +52,13 @@ const create = async (params, credentials, post) => {
 
 const remove = async (params, credentials) => {
     try {
-        let response = await fetch('/api/posts/' + params.postId, {
+        let response = await authFetch('/api/posts/' + params.postId, {
             method: 'DELETE',
             headers: {
                 'Accept': 'application/json',
-                'Content-Type': 'application/json',
-                'Authorization': 'Bearer ' + credentials.t
+                'Content-Type': 'application/json'
             }
-        })
+        }, credentials)
       return await response.json()
     } 
     catch(err) { console.log(err) }
@@ -69,18 +66,17 @@ const remove = async (params, credentials) => {
 
 const like = async (params, credentials, postId) => {
     try{
-        let response = await fetch('/api/posts/like/', {
+        let response = await authFetch('/api/posts/like/', {
             method: 'PUT',
             headers: {
                 'Accept': 'application/json',
-                'Content-Type': 'application/json',
-                'Authorization': 'Bearer ' + credentials.t
+                'Content-Type': 'application/json'
             },
             body: JSON.stringify({
                 postId: postId,
                 userId: params.userId
             })
-        })
+        }, credentials)
         return await response.json()
     }
     catch(err) { console.log(err) }
@@ -88,18 +84,17 @@ const like = async (params, credentials, postId) => {
 
 const unlike = async (params, credentials, postId) => {
     try{
-        let response = await fetch('/api/posts/unlike/', {
+        let response = await authFetch('/api/posts/unlike/', {
             method: 'PUT',
             headers: {
                 'Accept': 'application/json',
-                'Content-Type': 'application/json',
-                'Authorization': 'Bearer ' + credentials.t
+                'Content-Type': 'application/json'
             },
             body: JSON.stringify({
                 postId: postId,
                 userId: params.userId
             })
-        })
+        }, credentials)
         return await response.json()
     }
     catch(err) { console.log(err) }
@@ -109,19 +104,18 @@ const unlike = async (params, credentials, postId) => {
 sends it with the add comment request.*/
 const comment = async (params, credentials, postId, comment) => {
     try{
-        let response = await fetch('/api/posts/comment/', {
+        let response = await authFetch('/api/posts/comment/', {
             method: 'PUT',
             headers: {
                 'Accept': 'application/json',
-                'Content-Type': 'application/json',
-                'Authorization': 'Bearer ' + credentials.t
+                'Content-Type': 'application/json'
             },
             body: JSON.stringify({
                 userId:params.userId,
                 postId: postId,
                 comment: comment
             })
-        })
+        }, credentials)
         return await response.json()
     }
     catch(err) { console.log(err) }
@@ -131,19 +125,18 @@ const comment = async (params, credentials, postId, comment) => {
 with the uncomment request*/
 const uncomment = async (params, credentials, postId, comment) => {
     try{
-        let response = await fetch('/api/posts/uncomment/', {
+        let response = await authFetch('/api/posts/uncomment/', {
             method: 'PUT',
             headers: {
                 'Accept': 'application/json',
-                'Content-Type': 'application/json',
-                'Authorization': 'Bearer ' + credentials.t
+                'Content-Type': 'application/json'
             },
             body: JSON.stringify({
                 userId:params.userId,
                 postId: postId,
                 comment: comment
             })
-        })
+        }, credentials)
         return await response.json()
     }
     catch(err) { console.log(err) }
@@ -0,0 +1,207 @@
+/*The AccessTokens component is shown under the EditProfile form. It lets the user create personal access tokens
+for their scripts, each with a name, the scopes it is allowed and an optional lifetime, and revoke them.
+A new token is shown once, right after it is created, since the server only keeps a hash of it.*/
+
+import React, { useState, useEffect } from 'react'
+
+import { makeStyles } from '@material-ui/core/styles'
+import Card from '@material-ui/core/Card'
+import CardActions from '@material-ui/core/CardActions'
+import CardContent from '@material-ui/core/CardContent'
+import Button from '@material-ui/core/Button'
+import TextField from '@material-ui/core/TextField'
+import FormControlLabel from '@material-ui/core/FormControlLabel'
+import Checkbox from '@material-ui/core/Checkbox'
+import List from '@material-ui/core/List'
+import ListItem from '@material-ui/core/ListItem'
+import ListItemText from '@material-ui/core/ListItemText'
+import ListItemSecondaryAction from '@material-ui/core/ListItemSecondaryAction'
+import IconButton from '@material-ui/core/IconButton'
+import Typography from '@material-ui/core/Typography'
+import Icon from '@material-ui/core/Icon'
+import DeleteIcon from '@material-ui/icons/Delete'
+
+import auth from './../auth/auth-helper'
+import { listAccessTokens, createAccessToken, revokeAccessToken } from './../auth/api-access-token.js'
+
+const SCOPES = [
+    { value: 'posts:read', label: 'Read posts' },
+    { value: 'posts:write', label: 'Post, like and comment' },
+    { value: 'users:read', label: 'Read profiles' },
+    { value: 'users:write', label: 'Follow and unfollow' }
+]
+
+const useStyles = makeStyles(theme => ({
+    card: {
+        maxWidth: 600,
+        margin: 'auto',
+        marginTop: theme.spacing(5),
+        paddingBottom: theme.spacing(2)
+    },
+    title: {
+        margin: theme.spacing(2),
+        color: theme.palette.protectedTitle
+    },
+    error: {
+        verticalAlign: 'middle'
+    },
+    textField: {
+        marginLeft: theme.spacing(1),
+        marginRight: theme.spacing(1),
+        width: 300
+    },
+    token: {
+        fontFamily: 'monospace',
+        wordBreak: 'break-all',
+        margin: theme.spacing(2)
+    },
+    submit: {
+        margin: 'auto'
+    }
+}))
+
+export default function AccessTokens() {
+    const classes = useStyles()
+    const jwt = auth.isAuthenticated()
+    const [ accessTokens, setAccessTokens ] = useState([])
+    const [ values, setValues ] = useState({
+        name: '',
+        scopes: [],
+        expiresInDays: '',
+        token: '',
+        error: ''
+    })
+
+    useEffect( () => {
+        const abortController = new AbortController()
+        const signal = abortController.signal
+
+        listAccessTokens({ t: jwt.token }, signal)
+            .then( data => {
+                if (data && data.error) console.log(data.error)
+                else if (data) setAccessTokens(data)
+            })
+
+        return function cleanup() {
+            abortController.abort()
+        }
+    }, [])
+
+    const handleChange = (event, name) => {
+        setValues({ ...values, [name]: event.target.value })
+    }
+
+    const toggleScope = (scope) => {
+        const scopes = values.scopes.includes(scope)
+            ? values.scopes.filter( item => item !== scope )
+            : [ ...values.scopes, scope ]
+        setValues({ ...values, scopes })
+    }
+
+    const clickCreate = () => {
+        createAccessToken({ t: jwt.token }, {
+            name: values.name,
+            scopes: values.scopes,
+            expiresInDays: values.expiresInDays || undefined
+        })
+        .then( data => {
+            if (data.error) return setValues({ ...values, error: data.error, token: '' })
+            const { token, ...accessToken } = data
+            setAccessTokens([ accessToken, ...accessTokens ])
+            setValues({ name: '', scopes: [], expiresInDays: '', token, error: '' })
+        })
+    }
+
+    const clickRevoke = (accessToken) => {
+        revokeAccessToken({ tokenId: accessToken._id }, { t: jwt.token })
+            .then( data => {
+                if (data && data.error) return console.log(data.error)
+                setAccessTokens(accessTokens.filter( item => item._id !== accessToken._id ))
+            })
+    }
+
+    return (
+        <Card className={classes.card}>
+            <CardContent>
+                <Typography variant="h6" className={classes.title}>
+                    Personal Access Tokens
+                </Typography>
+                <List dense>
+                    {accessTokens.map( accessToken => {
+                        return <ListItem key={accessToken._id}>
+                            <ListItemText
+                                primary={accessToken.name + ' (' + accessToken.prefix + '...)'}
+                                secondary={accessToken.scopes.join(', ')
+                                    + ' - Last used: ' + (accessToken.lastUsed ? (new Date(accessToken.lastUsed)).toLocaleString() : 'never')
+                                    + (accessToken.expires ? ' - Expires: ' + (new Date(accessToken.expires)).toDateString() : '')}
+                            />
+                            <ListItemSecondaryAction>
+                                <IconButton aria-label='Revoke' color='secondary' onClick={ () => clickRevoke(accessToken) }>
+                                    <DeleteIcon />
+                                </IconButton>
+                            </ListItemSecondaryAction>
+                        </ListItem>
+                    })}
+                </List>
+                {
+                    values.token && (
+                        <span>
+                            <Typography component="p">
+                                Copy your new token now. It won't be shown again.
+                            </Typography>
+                            <Typography component="p" className={classes.token}>
+                                {values.token}
+                            </Typography>
+                        </span>
+                    )
+                }
+                <TextField
+                    id="token-name"
+                    label="Token name"
+                    className={classes.textField}
+                    value={values.name}
+                    onChange={ event => handleChange(event, 'name')}
+                    margin="normal"
+                /><br/>
+                <TextField
+                    id="token-expires"
+                    type="number"
+                    label="Expires in (days, empty for never)"
+                    className={classes.textField}
+                    value={values.expiresInDays}
+                    onChange={ event => handleChange(event, 'expiresInDays')}
+                    margin="normal"
+                /><br/>
+                {SCOPES.map( scope => (
+                    <FormControlLabel
+                        key={scope.value}
+                        label={scope.label}
+                        control={
+                            <Checkbox
+                                checked={values.scopes.includes(scope.value)}
+                                onChange={ () => toggleScope(scope.value) }
+                                color="primary"
+                            />
+                        }
+                    />
+                ))}
+                {
+                    values.error && (
+                        <Typography component="p" color="error">
+                            <Icon color="error" className={classes.error}>error</Icon>
+                            {values.error}
+                        </Typography>
+                    )
+                }
+            </CardContent>
+            <CardActions>
+                <Button
+                    color="primary"
+                    variant="contained"
+                    onClick={clickCreate}
+                    className={classes.submit}
+                >Create token</Button>
+            </CardActions>
+        </Card>
+    )
+}
@@ -0,0 +1,159 @@
+/*The AccountSettings component is shown under the EditProfile form. It lets the user change their password, or their
+email address, and both take the current password. A new email address is only used once the user opens the link
+sent to it, which goes to the ConfirmEmail view.*/
+
+import React, { useState } from 'react'
+import PropTypes from 'prop-types'
+
+import { makeStyles } from '@material-ui/core/styles'
+import Card from '@material-ui/core/Card'
+import CardActions from '@material-ui/core/CardActions'
+import CardContent from '@material-ui/core/CardContent'
+import Button from '@material-ui/core/Button'
+import TextField from '@material-ui/core/TextField'
+import Typography from '@material-ui/core/Typography'
+import Icon from '@material-ui/core/Icon'
+
+import auth from './../auth/auth-helper'
+import { changePassword, changeEmail } from './api-user.js'
+
+const useStyles = makeStyles(theme => ({
+    card: {
+        maxWidth: 600,
+        margin: 'auto',
+        textAlign: 'center',
+        marginTop: theme.spacing(5),
+        paddingBottom: theme.spacing(2)
+    },
+    title: {
+        margin: theme.spacing(2),
+        color: theme.palette.protectedTitle
+    },
+    error: {
+        verticalAlign: 'middle'
+    },
+    textField: {
+        marginLeft: theme.spacing(1),
+        marginRight: theme.spacing(1),
+        width: 300
+    },
+    submit: {
+        margin: 'auto'
+    }
+}))
+
+export default function AccountSettings(props) {
+    const classes = useStyles()
+    const jwt = auth.isAuthenticated()
+    const [ values, setValues ] = useState({
+        currentPassword: '',
+        newPassword: '',
+        confirm: '',
+        email: '',
+        message: '',
+        error: ''
+    })
+
+    const handleChange = (event, name) => {
+        setValues({ ...values, [name]: event.target.value })
+    }
+
+    //The fields are cleared after every attempt, so the current password doesn't stay in the page
+    const showResult = (data) => {
+        const result = data.error ? { error: data.error, message: '' } : { error: '', message: data.message }
+        setValues({ currentPassword: '', newPassword: '', confirm: '', email: data.error ? values.email : '', ...result })
+    }
+
+    const clickChangePassword = () => {
+        if (values.newPassword !== values.confirm) {
+            return setValues({ ...values, error: 'Passwords do not match', message: '' })
+        }
+        changePassword({ userId: props.userId }, { t: jwt.token }, {
+            currentPassword: values.currentPassword || undefined,
+            newPassword: values.newPassword || undefined
+        }).then(showResult)
+    }
+
+    const clickChangeEmail = () => {
+        changeEmail({ userId: props.userId }, { t: jwt.token }, {
+            currentPassword: values.currentPassword || undefined,
+            email: values.email || undefined
+        }).then(showResult)
+    }
+
+    return (
+        <Card className={classes.card}>
+            <CardContent>
+                <Typography variant="h6" className={classes.title}>
+                    Password and Email
+                </Typography>
+                <TextField
+                    id="current-password"
+                    type="password"
+                    label="Current password"
+                    autoComplete="current-password"
+                    className={classes.textField}
+                    value={values.currentPassword}
+                    onChange={ event => handleChange(event, 'currentPassword')}
+                    margin="normal"
+                /><br/>
+                <TextField
+                    id="new-password"
+                    type="password"
+                    label="New password"
+                    autoComplete="new-password"
+                    className={classes.textField}
+                    value={values.newPassword}
+                    onChange={ event => handleChange(event, 'newPassword')}
+                    margin="normal"
+                /><br/>
+                <TextField
+                    id="confirm-password"
+                    type="password"
+                    label="Confirm new password"
+                    autoComplete="new-password"
+                    className={classes.textField}
+                    value={values.confirm}
+                    onChange={ event => handleChange(event, 'confirm')}
+                    margin="normal"
+                /><br/>
+                <Button color="primary" onClick={clickChangePassword}>
+                    Change password
+                </Button><br/>
+                <TextField
+                    id="new-email"
+                    type="email"
+                    label={'New email (now ' + jwt.user.email + ')'}
+                    className={classes.textField}
+                    value={values.email}
+                    onChange={ event => handleChange(event, 'email')}
+                    margin="normal"
+                /><br/>
+                {
+                    values.message && (
+                        <Typography component="p">
+                            {values.message}
+                        </Typography>
+                    )
+                }
+                {
+                    values.error && (
+                        <Typography component="p" color="error">
+                            <Icon color="error" className={classes.error}>error</Icon>
+                            {values.error}
+                        </Typography>
+                    )
+                }
+            </CardContent>
+            <CardActions>
+                <Button color="primary" onClick={clickChangeEmail} className={classes.submit}>
+                    Change email
+                </Button>
+            </CardActions>
+        </Card>
+    )
+}
+
+AccountSettings.propTypes = {
+    userId: PropTypes.string.isRequired
+}
@@ -0,0 +1,84 @@
+/*The BlockUser component is shown next to the follow button on other users' profiles. Like DeleteUser, it asks for
+confirmation in a dialog. Once the user is blocked, the follows between them are gone, so the view goes back to the
+Home view. Blocked users are listed, and can be unblocked, in the BlockedAccounts card of the settings.*/
+
+import React, { useState } from 'react'
+import PropTypes from 'prop-types'
+import { Redirect } from 'react-router-dom'
+
+import IconButton from '@material-ui/core/IconButton'
+import Button from '@material-ui/core/Button'
+import BlockIcon from '@material-ui/icons/Block'
+import Dialog from '@material-ui/core/Dialog'
+import DialogActions from '@material-ui/core/DialogActions'
+import DialogContent from '@material-ui/core/DialogContent'
+import DialogContentText from '@material-ui/core/DialogContentText'
+import DialogTitle from '@material-ui/core/DialogTitle'
+
+import auth from './../auth/auth-helper'
+import { block } from './api-user.js'
+
+export default function BlockUser(props) {
+    const [ open, setOpen ] = useState(false)
+    const [ error, setError ] = useState('')
+    const [ redirect, setRedirect ] = useState(false)
+    const jwt = auth.isAuthenticated()
+
+    const clickButton = () => {
+        setOpen(true)
+    }
+
+    const handleRequestClose = () => {
+        setOpen(false)
+        setError('')
+    }
+
+    const blockUser = () => {
+        block({ t: jwt.token }, props.userId)
+            .then( data => {
+                if (data && data.error) setError(data.error)
+                else setRedirect(true)
+            })
+    }
+
+    if (redirect) {
+        return <Redirect to='/' />
+    }
+
+    return (
+        <span>
+            <IconButton aria-label='Block' onClick={clickButton}>
+                <BlockIcon />
+            </IconButton>
+            <Dialog open={open} onClose={handleRequestClose}>
+                <DialogTitle>{'Block ' + props.name}</DialogTitle>
+                <DialogContent>
+                    <DialogContentText>
+                        {props.name} won't be able to follow you, see your profile or posts, or like and comment on them.
+                        You will stop following each other.
+                    </DialogContentText>
+                    {
+                        error && (
+                            <DialogContentText color='error'>
+                                {error}
+                            </DialogContentText>
+                        )
+                    }
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={handleRequestClose} color='primary'>
+                        Cancel
+                    </Button>
+                    <Button onClick={blockUser} color='secondary' autoFocus='autoFocus'>
+                        Block
+                    </Button>
+                </DialogActions>
+            </Dialog>
+        </span>
+    )
+}
+
+BlockUser.propTypes = {
+    userId: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired
+}
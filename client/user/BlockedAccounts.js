@@ -0,0 +1,112 @@
+/*The BlockedAccounts component is shown under the EditProfile form. It lists the users the signed-in user blocked from
+their profiles, with a button to unblock each of them. Unblocking doesn't restore the follows that blocking removed.*/
+
+import React, { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+
+import { makeStyles } from '@material-ui/core/styles'
+import Card from '@material-ui/core/Card'
+import CardContent from '@material-ui/core/CardContent'
+import List from '@material-ui/core/List'
+import ListItem from '@material-ui/core/ListItem'
+import ListItemAvatar from '@material-ui/core/ListItemAvatar'
+import ListItemText from '@material-ui/core/ListItemText'
+import ListItemSecondaryAction from '@material-ui/core/ListItemSecondaryAction'
+import Avatar from '@material-ui/core/Avatar'
+import Button from '@material-ui/core/Button'
+import Typography from '@material-ui/core/Typography'
+import Icon from '@material-ui/core/Icon'
+
+import auth from './../auth/auth-helper'
+import { listBlocked, unblock } from './api-user.js'
+import { profilePath } from './profile-path'
+
+const useStyles = makeStyles(theme => ({
+    card: {
+        maxWidth: 600,
+        margin: 'auto',
+        marginTop: theme.spacing(5),
+        paddingBottom: theme.spacing(2)
+    },
+    title: {
+        margin: theme.spacing(2),
+        color: theme.palette.protectedTitle
+    },
+    error: {
+        verticalAlign: 'middle'
+    }
+}))
+
+export default function BlockedAccounts() {
+    const classes = useStyles()
+    const jwt = auth.isAuthenticated()
+    const [ blocked, setBlocked ] = useState([])
+    const [ error, setError ] = useState('')
+
+    useEffect( () => {
+        const abortController = new AbortController()
+        const signal = abortController.signal
+
+        listBlocked({ t: jwt.token }, signal)
+            .then( data => {
+                if (data && data.error) console.log(data.error)
+                else if (data) setBlocked(data)
+            })
+
+        return function cleanup() {
+            abortController.abort()
+        }
+    }, [])
+
+    const clickUnblock = (user) => {
+        unblock({ t: jwt.token }, user._id)
+            .then( data => {
+                if (data.error) setError(data.error)
+                else {
+                    setError('')
+                    setBlocked(data)
+                }
+            })
+    }
+
+    return (
+        <Card className={classes.card}>
+            <CardContent>
+                <Typography variant="h6" className={classes.title}>
+                    Blocked Accounts
+                </Typography>
+                <Typography component="p">
+                    Blocked users can't follow you, see your profile or posts, or like and comment on them.
+                </Typography>
+                {
+                    blocked.length === 0 && (
+                        <Typography component="p" color="textSecondary">
+                            You haven't blocked anyone.
+                        </Typography>
+                    )
+                }
+                <List dense>
+                    {blocked.map( user => {
+                        return <ListItem key={user._id}>
+                            <ListItemAvatar>
+                                <Avatar src={user.photo} />
+                            </ListItemAvatar>
+                            <ListItemText primary={<Link to={profilePath(user)}>{user.name}</Link>} />
+                            <ListItemSecondaryAction>
+                                <Button color="primary" onClick={ () => clickUnblock(user) }>Unblock</Button>
+                            </ListItemSecondaryAction>
+                        </ListItem>
+                    })}
+                </List>
+                {
+                    error && (
+                        <Typography component="p" color="error">
+                            <Icon color="error" className={classes.error}>error</Icon>
+                            {error}
+                        </Typography>
+                    )
+                }
+            </CardContent>
+        </Card>
+    )
+}
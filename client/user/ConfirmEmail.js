@@ -0,0 +1,92 @@
+/*The ConfirmEmail component renders at the '/confirm-email/:token' path, which is the link emailed to a new address
+when the user asks to change their email address. It sends the token to the server as soon as it loads and shows
+the result. If the user is signed in on this browser, the stored user gets the new address.
+*/
+
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+
+import { makeStyles } from '@material-ui/core/styles'
+import Card from '@material-ui/core/Card'
+import CardActions from '@material-ui/core/CardActions'
+import CardContent from '@material-ui/core/CardContent'
+import Button from '@material-ui/core/Button'
+import Typography from '@material-ui/core/Typography'
+import Icon from '@material-ui/core/Icon'
+
+import auth from './../auth/auth-helper'
+import { confirmEmailChange } from './api-user.js';
+
+const useStyles = makeStyles(theme => ({
+    card: {
+        maxWidth: 600,
+        margin: 'auto',
+        textAlign: 'center',
+        marginTop: theme.spacing(5),
+        paddingBottom: theme.spacing(2)
+    },
+    error: {
+        verticalAlign: 'middle'
+    },
+    title: {
+        marginTop: theme.spacing(2),
+        color: theme.palette.openTitle
+    },
+    submit: {
+        margin: 'auto',
+        marginBottom: theme.spacing(2)
+    }
+}))
+
+export default function ConfirmEmail({ match }) {
+    const classes = useStyles();
+    const [ values, setValues ] = useState({
+        message: 'Confirming your new email address...',
+        error: ''
+    })
+
+    useEffect( () => {
+        confirmEmailChange(match.params.token)
+            .then( data => {
+                if (data.error) {
+                    setValues({ message: '', error: data.error })
+                }
+                else {
+                    auth.updateUser({ email: data.email, verified: true })
+                    setValues({ message: data.message, error: '' })
+                }
+            })
+    }, [match.params.token])
+
+    return (
+        <Card className={classes.card}>
+            <CardContent>
+                <Typography variant="h6" className={classes.title}>
+                    Email Change
+                </Typography>
+                {
+                    values.message && (
+                        <Typography component="p">
+                            {values.message}
+                        </Typography>
+                    )
+                }
+                {
+                    values.error && (
+                        <Typography component="p" color="error">
+                            <Icon color="error" className={classes.error}>error</Icon>
+                            {values.error}
+                        </Typography>
+                    )
+                }
+            </CardContent>
+            <CardActions>
+                <Link to='/' className={classes.submit}>
+                    <Button color="primary" variant="contained">
+                        Home
+                    </Button>
+                </Link>
+            </CardActions>
+        </Card>
+    )
+}
@@ -3,7 +3,9 @@ in a form similar to the signup form.
 Upon loading at '/user/edit/:userId', the component will fetch the user's information with
 their ID after verifying JWT for auth, and then load the form with the received user information.
 The form will allow the user to edit and submit only the changed information to the update fetch
-call, and, on successful update, redirect the user to the Profile view with updated information.*/
+call, and, on successful update, redirect the user to the Profile view with updated information.
+The password and the email address are changed in the AccountSettings card instead, which asks for the current
+password.*/
 
 import React, { useState, useEffect } from 'react';
 import { Redirect } from 'react-router';
@@ -17,10 +19,22 @@ import TextField from '@material-ui/core/TextField'
 import Typography from '@material-ui/core/Typography'
 import Icon from '@material-ui/core/Icon'
 import Avatar from '@material-ui/core/Avatar'
+import Checkbox from '@material-ui/core/Checkbox'
+import FormControlLabel from '@material-ui/core/FormControlLabel'
 import FileUpload from '@material-ui/icons/AddPhotoAlternate';
 
 import auth from './../auth/auth-helper';
 import { read, update } from './api-user.js';
+import Sessions from './Sessions';
+import AccessTokens from './AccessTokens';
+import Passkeys from './Passkeys';
+import LinkedAccounts from './LinkedAccounts';
+import TwoFactor from './TwoFactor';
+import AccountSettings from './AccountSettings';
+import SecurityEvents from './SecurityEvents';
+import Invites from './Invites';
+import BlockedAccounts from './BlockedAccounts';
+import { profilePath } from './profile-path';
 
 const useStyles = makeStyles(theme => ({
     card: {
@@ -65,13 +79,15 @@ export default function EditProfile({ match }) {
     const jwt = auth.isAuthenticated();
     const [ values, setValues ] = useState({
         name: '',
+        username: '',
         about: '',
         photo: '',
-        password: '',
-        email: '',
+        showEmail: false,
+        private: false,
         open: false,
         error: '',
         redirectToProfile: false,
+        profilePath: '',
         userId: ''
     });
     
@@ -92,7 +108,8 @@ export default function EditProfile({ match }) {
                 setValues({ ...values, error: data.error })
             }
             else {
-                setValues({ ...values, userId: data._id, name: data.name, email: data.email, about: data.about })
+                setValues({ ...values, userId: data._id, name: data.name, username: data.username || '', about: data.about,
+                    showEmail: Boolean(data.privacy && data.privacy.showEmail), private: Boolean(data.private) })
             }
         })
 
@@ -105,14 +122,17 @@ export default function EditProfile({ match }) {
    FormData API to store the form data in the format needed for encoding in the multipart/formdata type.
    On form submission, we need to initialize FormData and append the values from the fields that were updated,
    then the component will call the "update" fetch method with the userId, JWT and updated user data.   
+   The privacy settings are always sent, so that they can be turned off as well as on.
+   The new name and username are also stored with the credentials, for the Menu to link to the profile's new URL.
    */
     const clickSubmit = () => {
         let userData = new FormData()
         values.name && userData.append('name', values.name)
-        values.email && userData.append('email', values.email)
-        values.passoword && userData.append('passoword', values.passoword)
+        values.username && userData.append('username', values.username)
         values.about && userData.append('about', values.about)
         values.photo && userData.append('photo', values.photo)
+        userData.append('showEmail', String(values.showEmail))
+        userData.append('private', String(values.private))
 
         update(
             { userId: match.params.userId },
@@ -124,7 +144,8 @@ export default function EditProfile({ match }) {
                 setValues({ ...values, error: data.error })
             }
             else {
-                setValues({ ...values, redirectToProfile: true })
+                auth.updateUser({ name: data.name, username: data.username })
+                setValues({ ...values, redirectToProfile: true, profilePath: profilePath(data) })
             }
         })
     }
@@ -141,96 +162,118 @@ export default function EditProfile({ match }) {
   the updated Profile page using the Redirect component.
   */
     if (values.redirectToProfile) {
-        return (<Redirect to={ '/user/' + values.userId } />)
+        return (<Redirect to={ values.profilePath } />)
     }
 
     return (
-        <Card className={classes.card}>
-            <CardContent>
-                <Typography variant="h6" className={classes.title}>
-                    Edit Profile
-                </Typography>
-                
-                {/*The HTML5 file input type lets the user select an image from their local files.
-                The file input will return the filename in the change event when the user selects a file.
-                
-                We apply display:none to hide the input element from the view, then add a Material-UI button
-                inside the label for this file input. This way, the view displays the Material-UI button
-                instead of the HTML5 file input element.*/}
-                <input 
-                    accept='image/*'
-                    onChange={ event => handleChange(event, 'photo')}
-                    className={classes.input}
-                    id='icon-button-file'
-                    type='file'
-                />
-                {/*When the Button's component prop is set to span, the Button component renders as a span element
-                inside the label element. A click on the Upload span or label is registered by the file input with
-                the same ID as the label, and as a result, the file select dialog is opened. Once the user selects
-                a file, we can set it to state in the call to handleChange(...) and display the name in the view.*/}
-                <label htmlFor='icon-button-file'>
-                    <Button variant="contained" color="default" component="span">
-                        Upload
-                        <FileUpload />
-                    </Button>
-                </label>
-                <span className={classes.filename}>
-                    {values.photo ? values.photo.name : ''}
-                </span>
-                <br/>
-                <TextField
-                    id="name"
-                    label="Name"
-                    className={classes.textField}
-                    value={values.name}
-                    onChange={ event => handleChange(event, 'name')}
-                    margin="normal"
-                /><br/>
-                <TextField
-                    id="multiline-flexible"
-                    label="About"
-                    multiline
-                    rows='2'
-                    className={classes.textField}
-                    value={values.about}
-                    onChange={ event => handleChange(event, 'about')}
-                    margin="normal"
-                /><br/>
-                <TextField 
-                    id="email" 
-                    type="email" 
-                    label="Email" 
-                    className={classes.textField} 
-                    value={values.email} 
-                    onChange={ event => handleChange(event, 'email')} 
-                    margin="normal"/>
-                <br/>
-                <TextField
-                    id="password"
-                    type="password"
-                    label="Password"
-                    className={classes.textField}
-                    value={values.password}
-                    onChange={ event => handleChange(event, 'password')}
-                    margin="normal"
-                /><br/>
-                {
-                    values.error && (
-                        <Typography component="p" color="error">
-                            <Icon color="error" className={classes.error}>error</Icon>
-                            {values.error}
-                        </Typography>
-                    )
-                }
-            </CardContent>
-            <CardActions>
-                <Button
-                    color="primary"
-                    variant="contained"
-                    onClick={clickSubmit}
-                    className={classes.submit}
-                >Submit</Button>
-            </CardActions>
-        </Card>
+        <div>
+            <Card className={classes.card}>
+                <CardContent>
+                    <Typography variant="h6" className={classes.title}>
+                        Edit Profile
+                    </Typography>
+                    
+                    {/*The HTML5 file input type lets the user select an image from their local files.
+                    The file input will return the filename in the change event when the user selects a file.
+                    
+                    We apply display:none to hide the input element from the view, then add a Material-UI button
+                    inside the label for this file input. This way, the view displays the Material-UI button
+                    instead of the HTML5 file input element.*/}
+                    <input 
+                        accept='image/*'
+                        onChange={ event => handleChange(event, 'photo')}
+                        className={classes.input}
+                        id='icon-button-file'
+                        type='file'
+                    />
+                    {/*When the Button's component prop is set to span, the Button component renders as a span element
+                    inside the label element. A click on the Upload span or label is registered by the file input with
+                    the same ID as the label, and as a result, the file select dialog is opened. Once the user selects
+                    a file, we can set it to state in the call to handleChange(...) and display the name in the view.*/}
+                    <label htmlFor='icon-button-file'>
+                        <Button variant="contained" color="default" component="span">
+                            Upload
+                            <FileUpload />
+                        </Button>
+                    </label>
+                    <span className={classes.filename}>
+                        {values.photo ? values.photo.name : ''}
+                    </span>
+                    <br/>
+                    <TextField
+                        id="name"
+                        label="Name"
+                        className={classes.textField}
+                        value={values.name}
+                        onChange={ event => handleChange(event, 'name')}
+                        margin="normal"
+                    /><br/>
+                    <TextField
+                        id="username"
+                        label="Username"
+                        helperText="Your old username will lead to your profile for 30 days"
+                        className={classes.textField}
+                        value={values.username}
+                        onChange={ event => handleChange(event, 'username')}
+                        margin="normal"
+                    /><br/>
+                    <TextField
+                        id="multiline-flexible"
+                        label="About"
+                        multiline
+                        rows='2'
+                        className={classes.textField}
+                        value={values.about}
+                        onChange={ event => handleChange(event, 'about')}
+                        margin="normal"
+                    /><br/>
+                    <FormControlLabel
+                        control={
+                            <Checkbox
+                                checked={values.showEmail}
+                                onChange={ event => setValues({ ...values, showEmail: event.target.checked })}
+                                color="primary"
+                            />
+                        }
+                        label="Show my email address on my profile"
+                    /><br/>
+                    <FormControlLabel
+                        control={
+                            <Checkbox
+                                checked={values.private}
+                                onChange={ event => setValues({ ...values, private: event.target.checked })}
+                                color="primary"
+                            />
+                        }
+                        label="Private account: approve who can follow me and see my posts"
+                    /><br/>
+                    {
+                        values.error && (
+                            <Typography component="p" color="error">
+                                <Icon color="error" className={classes.error}>error</Icon>
+                                {values.error}
+                            </Typography>
+                        )
+                    }
+                </CardContent>
+                <CardActions>
+                    <Button
+                        color="primary"
+                        variant="contained"
+                        onClick={clickSubmit}
+                        className={classes.submit}
+                    >Submit</Button>
+                </CardActions>
+            </Card>
+            <AccountSettings userId={match.params.userId} />
+            <TwoFactor />
+            <Passkeys />
+            <LinkedAccounts />
+            <Sessions />
+            <AccessTokens />
+            <Invites />
+            <BlockedAccounts />
+            <SecurityEvents />
+        </div>
     )
 }
\ No newline at end of file
@@ -16,6 +16,7 @@ import Snackbar from '@material-ui/core/Snackbar'
 import ViewIcon from '@material-ui/icons/Visibility'
 
 import { findPeople, follow } from './api-user'
+import { profilePath } from './profile-path'
 import auth from '../auth/auth-helper'
 
 const useStyles = makeStyles(theme => ({
@@ -88,7 +89,8 @@ export default function FindPeople() {
             else{
                 let toFollow = values.users
                 toFollow.splice(index, 1)
-                setValues({ ...values, users: toFollow, open: true, followMessage: `Following ${user.name}!`})
+                const followMessage = data.requested ? `Follow request sent to ${user.name}` : `Following ${user.name}!`
+                setValues({ ...values, users: toFollow, open: true, followMessage: followMessage})
             }
         })
     }
@@ -115,7 +117,7 @@ export default function FindPeople() {
                                 </ListItemAvatar>
                                 <ListItemText primary={user.name} />
                                 <ListItemSecondaryAction className={classes.follow}>
-                                    <Link to={'/user/' + user._id}>
+                                    <Link to={profilePath(user)}>
                                         <IconButton variant='contained' color='secondary' className={classes.viewButton}>
                                             <ViewIcon />
                                         </IconButton>
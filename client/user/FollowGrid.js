@@ -8,6 +8,8 @@ import Typography from '@material-ui/core/Typography'
 import GridList from '@material-ui/core/GridList'
 import GridListTile from '@material-ui/core/GridListTile'
 
+import { profilePath } from './profile-path'
+
 const useStyles = makeStyles(theme => ({
     root: {
         paddingTop: theme.spacing(2),
@@ -44,7 +46,7 @@ export default function FollowGrid(props) {
             <GridList cellHeight={160} className={classes.gridList} cols={4}>
                 {props.people.map( (person, i) => {
                     return <GridListTile style={{'height':120}} key={i}>
-                        <Link to={'/user/' + person._id}>
+                        <Link to={profilePath(person)}>
                             <Avatar src={person.photo} className={classes.bigAvatar} />
                             <Typography className={classes.tileText}>
                                 {person.name}
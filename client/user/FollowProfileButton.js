@@ -11,6 +11,8 @@ already a follower of the user in the profile.
 When FollowProfileButton is added to the profile, the "following" value will be determined and sent
 from the Profile component as a prop to FollowProfileButton, along with the click handler that takes
 the specific follow or unfollow fetch API to be called as a parameter.
+When the current user asked to follow a private account and is waiting for approval, the button shows
+Requested, and clicking it cancels the request with the unfollow API.
 */
 
 export default function FollowProfileButton (props) {
@@ -27,6 +29,8 @@ export default function FollowProfileButton (props) {
         <div>
             { props.following 
                 ?(<Button variant='contained' color='secondary' onClick={unfollowClick}>Unfollow</Button>)
+                : props.requested
+                ?(<Button variant='contained' onClick={unfollowClick}>Requested</Button>)
                 :(<Button variant='contained' color='primary' onClick={followClick}>Follow</Button>)
             }
         </div>
@@ -35,5 +39,6 @@ export default function FollowProfileButton (props) {
 
 FollowProfileButton.propTypes = {
     following: PropTypes.bool.isRequired,
+    requested: PropTypes.bool,
     onButtonClick: PropTypes.func.isRequired
 }
\ No newline at end of file
@@ -0,0 +1,86 @@
+/*The FollowRequests component is shown in the Requests tab of the ProfileTabs, on the user's own profile. It lists the
+users who asked to follow the private account, with buttons to approve or reject each of them. Approving one calls
+onApprove, so that the Profile can show the new follower.*/
+
+import React, { useState, useEffect } from 'react'
+import PropTypes from 'prop-types'
+import { Link } from 'react-router-dom'
+
+import List from '@material-ui/core/List'
+import ListItem from '@material-ui/core/ListItem'
+import ListItemAvatar from '@material-ui/core/ListItemAvatar'
+import ListItemText from '@material-ui/core/ListItemText'
+import ListItemSecondaryAction from '@material-ui/core/ListItemSecondaryAction'
+import Avatar from '@material-ui/core/Avatar'
+import Button from '@material-ui/core/Button'
+import Typography from '@material-ui/core/Typography'
+
+import auth from './../auth/auth-helper'
+import { listRequests, approveRequest, rejectRequest } from './api-user.js'
+import { profilePath } from './profile-path'
+
+export default function FollowRequests(props) {
+    const jwt = auth.isAuthenticated()
+    const [ requests, setRequests ] = useState([])
+
+    useEffect( () => {
+        const abortController = new AbortController()
+        const signal = abortController.signal
+
+        listRequests({ t: jwt.token }, signal)
+            .then( data => {
+                if (data && data.error) console.log(data.error)
+                else if (data) setRequests(data)
+            })
+
+        return function cleanup() {
+            abortController.abort()
+        }
+    }, [])
+
+    const clickApprove = (requester) => {
+        approveRequest({ t: jwt.token }, requester._id)
+            .then( data => {
+                if (data.error) return console.log(data.error)
+                setRequests(data)
+                props.onApprove()
+            })
+    }
+
+    const clickReject = (requester) => {
+        rejectRequest({ t: jwt.token }, requester._id)
+            .then( data => {
+                if (data.error) return console.log(data.error)
+                setRequests(data)
+            })
+    }
+
+    if (requests.length === 0) {
+        return (
+            <Typography component='p'>
+                Nobody is waiting for your approval.
+            </Typography>
+        )
+    }
+
+    return (
+        <List dense>
+            {requests.map( requester => {
+                return <ListItem key={requester._id}>
+                    <ListItemAvatar>
+                        <Avatar src={requester.photo} />
+                    </ListItemAvatar>
+                    <ListItemText primary={<Link to={profilePath(requester)}>{requester.name}</Link>} />
+                    <ListItemSecondaryAction>
+                        <Button color='primary' onClick={ () => clickApprove(requester) }>Approve</Button>
+                        <Button color='secondary' onClick={ () => clickReject(requester) }>Reject</Button>
+                    </ListItemSecondaryAction>
+                </ListItem>
+            })}
+        </List>
+    )
+}
+
+FollowRequests.propTypes = {
+    onApprove: PropTypes.func.isRequired
+}
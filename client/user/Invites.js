@@ -0,0 +1,174 @@
+/*The Invites component is shown under the EditProfile form. It lets the user create invite codes, each allowing a
+number of signups for a number of days, and share them as links to the signup page. Each invite lists the users who
+signed up with it. When only admins can make invites, the server refuses the list and the card isn't shown.*/
+
+import React, { useState, useEffect } from 'react'
+
+import { makeStyles } from '@material-ui/core/styles'
+import Card from '@material-ui/core/Card'
+import CardActions from '@material-ui/core/CardActions'
+import CardContent from '@material-ui/core/CardContent'
+import Button from '@material-ui/core/Button'
+import TextField from '@material-ui/core/TextField'
+import List from '@material-ui/core/List'
+import ListItem from '@material-ui/core/ListItem'
+import ListItemText from '@material-ui/core/ListItemText'
+import ListItemSecondaryAction from '@material-ui/core/ListItemSecondaryAction'
+import IconButton from '@material-ui/core/IconButton'
+import Typography from '@material-ui/core/Typography'
+import Icon from '@material-ui/core/Icon'
+import DeleteIcon from '@material-ui/icons/Delete'
+
+import auth from './../auth/auth-helper'
+import { listInvites, createInvite, removeInvite } from './api-invite.js'
+
+const useStyles = makeStyles(theme => ({
+    card: {
+        maxWidth: 600,
+        margin: 'auto',
+        marginTop: theme.spacing(5),
+        paddingBottom: theme.spacing(2)
+    },
+    title: {
+        margin: theme.spacing(2),
+        color: theme.palette.protectedTitle
+    },
+    error: {
+        verticalAlign: 'middle'
+    },
+    textField: {
+        marginLeft: theme.spacing(1),
+        marginRight: theme.spacing(1),
+        width: 300
+    },
+    link: {
+        fontFamily: 'monospace',
+        wordBreak: 'break-all'
+    },
+    submit: {
+        margin: 'auto'
+    }
+}))
+
+//The link to share, which opens the signup page with the code already filled in
+const inviteLink = (invite) => {
+    return window.location.origin + '/signup?invite=' + invite.code
+}
+
+export default function Invites() {
+    const classes = useStyles()
+    const jwt = auth.isAuthenticated()
+    const [ allowed, setAllowed ] = useState(false)
+    const [ invites, setInvites ] = useState([])
+    const [ values, setValues ] = useState({
+        maxUses: '',
+        expiresInDays: '',
+        error: ''
+    })
+
+    useEffect( () => {
+        const abortController = new AbortController()
+        const signal = abortController.signal
+
+        listInvites({ t: jwt.token }, signal)
+            .then( data => {
+                if (data && data.error) console.log(data.error)
+                else if (data) {
+                    setInvites(data)
+                    setAllowed(true)
+                }
+            })
+
+        return function cleanup() {
+            abortController.abort()
+        }
+    }, [])
+
+    const handleChange = (event, name) => {
+        setValues({ ...values, [name]: event.target.value })
+    }
+
+    const clickCreate = () => {
+        createInvite({ t: jwt.token }, {
+            maxUses: values.maxUses || undefined,
+            expiresInDays: values.expiresInDays || undefined
+        })
+        .then( data => {
+            if (data.error) return setValues({ ...values, error: data.error })
+            setInvites([ data, ...invites ])
+            setValues({ maxUses: '', expiresInDays: '', error: '' })
+        })
+    }
+
+    const clickRemove = (invite) => {
+        removeInvite({ inviteId: invite._id }, { t: jwt.token })
+            .then( data => {
+                if (data && data.error) return console.log(data.error)
+                setInvites(invites.filter( item => item._id !== invite._id ))
+            })
+    }
+
+    if (!allowed) return null
+
+    return (
+        <Card className={classes.card}>
+            <CardContent>
+                <Typography variant="h6" className={classes.title}>
+                    Invites
+                </Typography>
+                <List dense>
+                    {invites.map( invite => {
+                        const expired = new Date(invite.expires) < new Date()
+                        return <ListItem key={invite._id}>
+                            <ListItemText
+                                primary={<span className={classes.link}>{inviteLink(invite)}</span>}
+                                secondary={'Used ' + invite.uses + ' of ' + invite.maxUses + ' times'
+                                    + (expired ? ' - Expired' : ' - Expires: ' + (new Date(invite.expires)).toDateString())
+                                    + (invite.usedBy.length ? ' - Joined: ' + invite.usedBy.map( user => user.name ).join(', ') : '')}
+                            />
+                            <ListItemSecondaryAction>
+                                <IconButton aria-label='Delete' color='secondary' onClick={ () => clickRemove(invite) }>
+                                    <DeleteIcon />
+                                </IconButton>
+                            </ListItemSecondaryAction>
+                        </ListItem>
+                    })}
+                </List>
+                <TextField
+                    id="invite-uses"
+                    type="number"
+                    label="Number of signups (1 by default)"
+                    className={classes.textField}
+                    value={values.maxUses}
+                    onChange={ event => handleChange(event, 'maxUses')}
+                    margin="normal"
+                /><br/>
+                <TextField
+                    id="invite-expires"
+                    type="number"
+                    label="Expires in (days, 7 by default)"
+                    className={classes.textField}
+                    value={values.expiresInDays}
+                    onChange={ event => handleChange(event, 'expiresInDays')}
+                    margin="normal"
+                /><br/>
+                {
+                    values.error && (
+                        <Typography component="p" color="error">
+                            <Icon color="error" className={classes.error}>error</Icon>
+                            {values.error}
+                        </Typography>
+                    )
+                }
+            </CardContent>
+            <CardActions>
+                <Button
+                    color="primary"
+                    variant="contained"
+                    onClick={clickCreate}
+                    className={classes.submit}
+                >Create invite</Button>
+            </CardActions>
+        </Card>
+    )
+}
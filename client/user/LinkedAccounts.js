@@ -0,0 +1,110 @@
+/*The LinkedAccounts component is shown under the EditProfile form when sign-in providers are configured. It lists
+them, with the account linked to each one, and lets the user link or unlink them. Linking sends the browser to the
+provider, which then sends it back to the OAuthComplete view.*/
+
+import React, { useState, useEffect } from 'react'
+
+import { makeStyles } from '@material-ui/core/styles'
+import Card from '@material-ui/core/Card'
+import CardContent from '@material-ui/core/CardContent'
+import Button from '@material-ui/core/Button'
+import List from '@material-ui/core/List'
+import ListItem from '@material-ui/core/ListItem'
+import ListItemText from '@material-ui/core/ListItemText'
+import ListItemSecondaryAction from '@material-ui/core/ListItemSecondaryAction'
+import Typography from '@material-ui/core/Typography'
+import Icon from '@material-ui/core/Icon'
+
+import auth from './../auth/auth-helper'
+import { listIdentities, startProviderLink, unlinkIdentity } from './../auth/api-oidc.js'
+
+const useStyles = makeStyles(theme => ({
+    card: {
+        maxWidth: 600,
+        margin: 'auto',
+        marginTop: theme.spacing(5),
+        paddingBottom: theme.spacing(2)
+    },
+    title: {
+        margin: theme.spacing(2),
+        color: theme.palette.protectedTitle
+    },
+    error: {
+        verticalAlign: 'middle'
+    }
+}))
+
+export default function LinkedAccounts() {
+    const classes = useStyles()
+    const jwt = auth.isAuthenticated()
+    const [ identities, setIdentities ] = useState([])
+    const [ error, setError ] = useState('')
+
+    useEffect( () => {
+        const abortController = new AbortController()
+        const signal = abortController.signal
+
+        listIdentities({ t: jwt.token }, signal)
+            .then( data => {
+                if (data && data.error) console.log(data.error)
+                else if (data) setIdentities(data)
+            })
+
+        return function cleanup() {
+            abortController.abort()
+        }
+    }, [])
+
+    const clickLink = (identity) => {
+        startProviderLink({ provider: identity.id }, { t: jwt.token })
+            .then( data => {
+                if (data.error) setError(data.error)
+                else window.location.assign(data.url)
+            })
+    }
+
+    const clickUnlink = (identity) => {
+        unlinkIdentity({ provider: identity.id }, { t: jwt.token })
+            .then( data => {
+                if (data.error) return setError(data.error)
+                setError('')
+                setIdentities(identities.map( item => item.id === identity.id ? { ...item, linked: false, email: undefined } : item ))
+            })
+    }
+
+    if (identities.length === 0) return null
+
+    return (
+        <Card className={classes.card}>
+            <CardContent>
+                <Typography variant="h6" className={classes.title}>
+                    Linked Accounts
+                </Typography>
+                <List dense>
+                    {identities.map( identity => {
+                        return <ListItem key={identity.id}>
+                            <ListItemText
+                                primary={identity.name}
+                                secondary={identity.linked ? 'Linked' + (identity.email ? ' to ' + identity.email : '') : 'Not linked'}
+                            />
+                            <ListItemSecondaryAction>
+                                { identity.linked
+                                    ? <Button color="secondary" onClick={ () => clickUnlink(identity) }>Unlink</Button>
+                                    : <Button color="primary" onClick={ () => clickLink(identity) }>Link</Button>
+                                }
+                            </ListItemSecondaryAction>
+                        </ListItem>
+                    })}
+                </List>
+                {
+                    error && (
+                        <Typography component="p" color="error">
+                            <Icon color="error" className={classes.error}>error</Icon>
+                            {error}
+                        </Typography>
+                    )
+                }
+            </CardContent>
+        </Card>
+    )
+}
@@ -0,0 +1,153 @@
+/*The Passkeys component is shown under the EditProfile form. It lists the passkeys the user registered, and lets
+them add a new one from this device or remove one. Creating a passkey is done by the browser, which asks the user
+to confirm with their device's screen lock or security key.*/
+
+import React, { useState, useEffect } from 'react'
+
+import { makeStyles } from '@material-ui/core/styles'
+import Card from '@material-ui/core/Card'
+import CardActions from '@material-ui/core/CardActions'
+import CardContent from '@material-ui/core/CardContent'
+import Button from '@material-ui/core/Button'
+import TextField from '@material-ui/core/TextField'
+import List from '@material-ui/core/List'
+import ListItem from '@material-ui/core/ListItem'
+import ListItemText from '@material-ui/core/ListItemText'
+import ListItemSecondaryAction from '@material-ui/core/ListItemSecondaryAction'
+import IconButton from '@material-ui/core/IconButton'
+import Typography from '@material-ui/core/Typography'
+import Icon from '@material-ui/core/Icon'
+import DeleteIcon from '@material-ui/icons/Delete'
+
+import auth from './../auth/auth-helper'
+import { isSupported, startRegistration } from './../auth/webauthn'
+import { listPasskeys, passkeyRegistrationOptions, registerPasskey, removePasskey } from './../auth/api-passkey.js'
+
+const useStyles = makeStyles(theme => ({
+    card: {
+        maxWidth: 600,
+        margin: 'auto',
+        marginTop: theme.spacing(5),
+        paddingBottom: theme.spacing(2)
+    },
+    title: {
+        margin: theme.spacing(2),
+        color: theme.palette.protectedTitle
+    },
+    error: {
+        verticalAlign: 'middle'
+    },
+    textField: {
+        marginLeft: theme.spacing(1),
+        marginRight: theme.spacing(1),
+        width: 300
+    },
+    submit: {
+        margin: 'auto'
+    }
+}))
+
+export default function Passkeys() {
+    const classes = useStyles()
+    const jwt = auth.isAuthenticated()
+    const [ passkeys, setPasskeys ] = useState([])
+    const [ values, setValues ] = useState({ name: '', error: '' })
+
+    useEffect( () => {
+        const abortController = new AbortController()
+        const signal = abortController.signal
+
+        listPasskeys({ t: jwt.token }, signal)
+            .then( data => {
+                if (data && data.error) console.log(data.error)
+                else if (data) setPasskeys(data)
+            })
+
+        return function cleanup() {
+            abortController.abort()
+        }
+    }, [])
+
+    /*The browser creates the passkey with the options from the server, and the result is sent back to be verified
+    and stored. Closing the browser's prompt rejects the ceremony, which is shown as an error.*/
+    const clickAdd = async () => {
+        let options = await passkeyRegistrationOptions({ t: jwt.token })
+        if (!options || options.error) return setValues({ ...values, error: options ? options.error : 'Could not add the passkey' })
+
+        let credential
+        try {
+            credential = await startRegistration(options)
+        }
+        catch(err) {
+            return setValues({ ...values, error: 'The passkey was not created' })
+        }
+
+        let data = await registerPasskey({ t: jwt.token }, values.name || undefined, credential)
+        if (!data || data.error) return setValues({ ...values, error: data ? data.error : 'Could not add the passkey' })
+        setPasskeys([ data, ...passkeys ])
+        setValues({ name: '', error: '' })
+    }
+
+    const clickRemove = (passkey) => {
+        removePasskey({ passkeyId: passkey._id }, { t: jwt.token })
+            .then( data => {
+                if (data && data.error) return console.log(data.error)
+                setPasskeys(passkeys.filter( item => item._id !== passkey._id ))
+            })
+    }
+
+    if (!isSupported()) return null
+
+    return (
+        <Card className={classes.card}>
+            <CardContent>
+                <Typography variant="h6" className={classes.title}>
+                    Passkeys
+                </Typography>
+                <Typography component="p">
+                    Sign in without a password, with your device's screen lock or a security key.
+                </Typography>
+                <List dense>
+                    {passkeys.map( passkey => {
+                        return <ListItem key={passkey._id}>
+                            <ListItemText
+                                primary={passkey.name + (passkey.backedUp ? ' (synced)' : '')}
+                                secondary={'Added: ' + (new Date(passkey.created)).toDateString()
+                                    + ' - Last used: ' + (passkey.lastUsed ? (new Date(passkey.lastUsed)).toLocaleString() : 'never')}
+                            />
+                            <ListItemSecondaryAction>
+                                <IconButton aria-label='Remove' color='secondary' onClick={ () => clickRemove(passkey) }>
+                                    <DeleteIcon />
+                                </IconButton>
+                            </ListItemSecondaryAction>
+                        </ListItem>
+                    })}
+                </List>
+                <TextField
+                    id="passkey-name"
+                    label="Passkey name"
+                    className={classes.textField}
+                    value={values.name}
+                    onChange={ event => setValues({ ...values, name: event.target.value })}
+                    margin="normal"
+                /><br/>
+                {
+                    values.error && (
+                        <Typography component="p" color="error">
+                            <Icon color="error" className={classes.error}>error</Icon>
+                            {values.error}
+                        </Typography>
+                    )
+                }
+            </CardContent>
+            <CardActions>
+                <Button
+                    color="primary"
+                    variant="contained"
+                    onClick={clickAdd}
+                    className={classes.submit}
+                >Add a passkey</Button>
+            </CardActions>
+        </Card>
+    )
+}
@@ -22,6 +22,7 @@ import Edit from '@material-ui/icons/Edit'
 import Person from '@material-ui/icons/Person'
 import Divider from '@material-ui/core/Divider'
 import DeleteUser from './DeleteUser'
+import BlockUser from './BlockUser'
 
 import auth from '../auth/auth-helper';
 import { read, follow } from './api-user.js';
@@ -39,6 +40,10 @@ const useStyles = makeStyles(theme => ({
     title: {
         marginTop: theme.spacing(3),
         color: theme.palette.protectedTitle
+    },
+    actions: {
+        display: 'flex',
+        alignItems: 'center'
     }
 }))
 
@@ -120,7 +125,9 @@ export default function Profile({ match }) {
     }
 
     /*Defining the click handler for FollowProfileButton so that the state of the Profile can be updated when the
-    follow or unfollow action completes*/
+    follow or unfollow action completes. Following a private account only sends a request, so whether the user is
+    followed is checked again in the response rather than toggled. Once the user is followed, their posts are loaded, and
+    they are hidden again when a private account is unfollowed.*/
     const clickFollowButton = (callApi) => {
         callApi(
             { userId: jwt.user._id },
@@ -132,11 +139,26 @@ export default function Profile({ match }) {
                 setValues({ ...values, error: data.error })
             }
             else {
-                setValues({ ...values, user: data, following: !values.following })
+                const following = checkFollow(data)
+                setValues({ ...values, user: data, following: following })
+                if (following) loadPosts(data._id)
+                else if (data.private) setPosts([])
             }
         })
     }
 
+    /*When the owner of a private account approves a follow request from the Requests tab, their profile is loaded
+    again to show the new follower.*/
+    const reloadUser = () => {
+        read(
+            { userId: values.user._id },
+            { t: jwt.token }
+        )
+        .then( data => {
+            if (data && !data.error) setValues({ ...values, user: data })
+        })
+    }
+
     /*This method calls the listByUser fetch method to load the user's posts.
     The loadPosts method will be called with the user ID of the user whose profile is being loaded, after the user
     details have been fetched from the server in the useEffect() hook function. The posts that are loaded for the
@@ -204,7 +226,10 @@ export default function Profile({ match }) {
                             </Link>
                             <DeleteUser userId={values.user._id} />
                         </ListItemSecondaryAction>)                            
-                        :(<FollowProfileButton following={values.following} onButtonClick={clickFollowButton}/>)
+                        :(<div className={classes.actions}>
+                            <FollowProfileButton following={values.following} requested={Boolean(values.user.requested)} onButtonClick={clickFollowButton}/>
+                            { values.user._id && <BlockUser userId={values.user._id} name={values.user.name} /> }
+                        </div>)
                     }
                 </ListItem>
                 <Divider />
@@ -215,7 +240,14 @@ export default function Profile({ match }) {
                     />
                 </ListItem>
             </List>
-            <ProfileTabs user={values.user} posts={posts} removePostUpdate={removePost} />
+            {
+                values.user.private && !values.following && !(jwt.user && jwt.user._id == values.user._id) && (
+                    <Typography component='p' className={classes.title}>
+                        This account is private. Follow it to see its posts.
+                    </Typography>
+                )
+            }
+            <ProfileTabs user={values.user} posts={posts} removePostUpdate={removePost} onRequestApproved={reloadUser} />
         </Paper>
     )    
 }
\ No newline at end of file
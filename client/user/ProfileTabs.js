@@ -8,10 +8,15 @@ import Tabs from '@material-ui/core/Tabs'
 import Tab from '@material-ui/core/Tab'
 
 import FollowGrid from './../user/FollowGrid'
+import FollowRequests from './FollowRequests'
 import PostList from './../post/PostList'
+import auth from './../auth/auth-helper'
 
+/*On their own profile, the owner of a private account also gets a Requests tab, with the users who asked to follow them.*/
 export default function ProfileTabs(props) {
     const [ tab, setTab ] = useState(0)
+    const jwt = auth.isAuthenticated()
+    const showRequests = Boolean(props.user.private && jwt && jwt.user._id == props.user._id)
     
     const handleTabChange = (event, value) => {
         setTab(value)
@@ -30,11 +35,13 @@ export default function ProfileTabs(props) {
                     <Tab label='Posts' />
                     <Tab label='Following' />
                     <Tab label='Followers' />
+                    { showRequests && <Tab label='Requests' /> }
                 </Tabs>
             </AppBar>
             {tab === 0 && <TabContainer><PostList removeUpdate={props.removePostUpdate} posts={props.posts}/></TabContainer>}
             {tab === 1 && <TabContainer><FollowGrid people={props.user.following}/></TabContainer>}
             {tab === 2 && <TabContainer><FollowGrid people={props.user.followers}/></TabContainer>}
+            {tab === 3 && showRequests && <TabContainer><FollowRequests onApprove={props.onRequestApproved}/></TabContainer>}
         </div>
     )
 }
@@ -42,6 +49,7 @@ export default function ProfileTabs(props) {
 ProfileTabs.propTypes = {
     user: PropTypes.object.isRequired,
     removePostUpdate: PropTypes.func.isRequired,
+    onRequestApproved: PropTypes.func.isRequired,
     posts: PropTypes.array.isRequired
 }
 
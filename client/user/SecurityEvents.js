@@ -0,0 +1,121 @@
+/*The SecurityEvents component is shown under the EditProfile form. It lists the recent security events of the
+user's account, such as sign-ins, failed sign-ins and password changes, with the address and the device they came
+from, so the user can spot activity that wasn't theirs. Older events are loaded a page at a time.*/
+
+import React, { useState, useEffect } from 'react'
+
+import { makeStyles } from '@material-ui/core/styles'
+import Card from '@material-ui/core/Card'
+import CardActions from '@material-ui/core/CardActions'
+import CardContent from '@material-ui/core/CardContent'
+import Button from '@material-ui/core/Button'
+import List from '@material-ui/core/List'
+import ListItem from '@material-ui/core/ListItem'
+import ListItemText from '@material-ui/core/ListItemText'
+import Typography from '@material-ui/core/Typography'
+
+import auth from './../auth/auth-helper'
+import { listMyEvents } from './../auth/api-audit.js'
+
+const useStyles = makeStyles(theme => ({
+    card: {
+        maxWidth: 600,
+        margin: 'auto',
+        marginTop: theme.spacing(5),
+        paddingBottom: theme.spacing(2)
+    },
+    title: {
+        margin: theme.spacing(2),
+        color: theme.palette.protectedTitle
+    },
+    submit: {
+        margin: 'auto'
+    }
+}))
+
+const PAGE_SIZE = 50
+
+const LABELS = {
+    'signin': 'Signed in',
+    'signin-failed': 'Failed sign-in',
+    'signout': 'Signed out',
+    'two-factor-failed': 'Wrong two-factor code',
+    'password-changed': 'Password changed',
+    'password-reset': 'Password reset',
+    'email-change-requested': 'Email change requested',
+    'email-changed': 'Email address changed',
+    'profile-updated': 'Profile updated',
+    'follow': 'Followed someone',
+    'unfollow': 'Unfollowed someone',
+    'block': 'Blocked someone',
+    'unblock': 'Unblocked someone',
+    'role-changed': 'Role changed',
+    'account-deleted': 'Account deleted'
+}
+
+//Events done to the user by someone else, such as an admin changing their role, name who did it
+const describe = (event, userId) => {
+    let label = LABELS[event.event] || event.event
+    if (event.actor && event.actor._id !== userId) label += ' by ' + event.actor.name
+    else if (event.subject && event.subject._id !== userId) label += ': ' + event.subject.name
+    return label
+}
+
+export default function SecurityEvents() {
+    const classes = useStyles()
+    const jwt = auth.isAuthenticated()
+    const [ events, setEvents ] = useState([])
+    const [ hasMore, setHasMore ] = useState(false)
+
+    const showPage = (data, previous) => {
+        if (data && data.error) return console.log(data.error)
+        if (!data) return
+        setEvents(previous.concat(data))
+        setHasMore(data.length === PAGE_SIZE)
+    }
+
+    useEffect( () => {
+        const abortController = new AbortController()
+        const signal = abortController.signal
+
+        listMyEvents({}, { t: jwt.token }, signal)
+            .then( data => showPage(data, []) )
+
+        return function cleanup() {
+            abortController.abort()
+        }
+    }, [])
+
+    const clickMore = () => {
+        listMyEvents({ before: events[events.length - 1].created }, { t: jwt.token })
+            .then( data => showPage(data, events) )
+    }
+
+    return (
+        <Card className={classes.card}>
+            <CardContent>
+                <Typography variant="h6" className={classes.title}>
+                    Security Activity
+                </Typography>
+                <List dense>
+                    {events.map( event => {
+                        return <ListItem key={event._id}>
+                            <ListItemText
+                                primary={describe(event, jwt.user._id)}
+                                secondary={(new Date(event.created)).toLocaleString() + ' - ' +
+                                    (event.ip || 'Unknown address') + ' - ' + (event.userAgent || 'Unknown device')}
+                            />
+                        </ListItem>
+                    })}
+                </List>
+            </CardContent>
+            { hasMore &&
+                <CardActions>
+                    <Button color="primary" onClick={clickMore} className={classes.submit}>
+                        Show older
+                    </Button>
+                </CardActions>
+            }
+        </Card>
+    )
+}
@@ -0,0 +1,121 @@
+/*The Sessions component is shown under the EditProfile form. It lists the devices the user is
+signed in on, with the address and the time they were last used, and lets the user sign out any one
+of them or every one of them at once.
+If the session of the current device is revoked, the stored credentials are cleared and the user is
+redirected to the Sign In view.*/
+
+import React, { useState, useEffect } from 'react'
+import { Redirect } from 'react-router-dom'
+
+import { makeStyles } from '@material-ui/core/styles'
+import Card from '@material-ui/core/Card'
+import CardActions from '@material-ui/core/CardActions'
+import CardContent from '@material-ui/core/CardContent'
+import Button from '@material-ui/core/Button'
+import List from '@material-ui/core/List'
+import ListItem from '@material-ui/core/ListItem'
+import ListItemText from '@material-ui/core/ListItemText'
+import ListItemSecondaryAction from '@material-ui/core/ListItemSecondaryAction'
+import IconButton from '@material-ui/core/IconButton'
+import Typography from '@material-ui/core/Typography'
+import ExitToApp from '@material-ui/icons/ExitToApp'
+
+import auth from './../auth/auth-helper'
+import { listSessions, revokeSession, revokeAllSessions } from './../auth/api-session.js'
+
+const useStyles = makeStyles(theme => ({
+    card: {
+        maxWidth: 600,
+        margin: 'auto',
+        marginTop: theme.spacing(5),
+        paddingBottom: theme.spacing(2)
+    },
+    title: {
+        margin: theme.spacing(2),
+        color: theme.palette.protectedTitle
+    },
+    submit: {
+        margin: 'auto'
+    }
+}))
+
+export default function Sessions() {
+    const classes = useStyles()
+    const jwt = auth.isAuthenticated()
+    const [ sessions, setSessions ] = useState([])
+    const [ redirectToSignin, setRedirectToSignin ] = useState(false)
+
+    useEffect( () => {
+        const abortController = new AbortController()
+        const signal = abortController.signal
+
+        listSessions({ t: jwt.token }, signal)
+            .then( data => {
+                if (data && data.error) console.log(data.error)
+                else if (data) setSessions(data)
+            })
+
+        return function cleanup() {
+            abortController.abort()
+        }
+    }, [])
+
+    //Once the current device is signed out, the user has to sign in again
+    const signedOut = () => {
+        auth.clearJWT( () => setRedirectToSignin(true) )
+    }
+
+    const clickRevoke = (session) => {
+        revokeSession({ sessionId: session._id }, { t: jwt.token })
+            .then( data => {
+                if (data && data.error) return console.log(data.error)
+                if (session.current) return signedOut()
+                setSessions(sessions.filter( item => item._id !== session._id ))
+            })
+    }
+
+    const clickRevokeAll = () => {
+        revokeAllSessions({ t: jwt.token })
+            .then( data => {
+                if (data && data.error) console.log(data.error)
+                else signedOut()
+            })
+    }
+
+    if (redirectToSignin) {
+        return <Redirect to='/signin' />
+    }
+
+    return (
+        <Card className={classes.card}>
+            <CardContent>
+                <Typography variant="h6" className={classes.title}>
+                    Sessions
+                </Typography>
+                <List dense>
+                    {sessions.map( session => {
+                        return <ListItem key={session._id}>
+                            <ListItemText
+                                primary={(session.current ? '(This device) ' : '') + (session.device || 'Unknown device')}
+                                secondary={(session.ip || '') + ' - Last active: ' + (new Date(session.lastSeen)).toLocaleString()}
+                            />
+                            <ListItemSecondaryAction>
+                                <IconButton aria-label='Sign out' color='secondary' onClick={ () => clickRevoke(session) }>
+                                    <ExitToApp />
+                                </IconButton>
+                            </ListItemSecondaryAction>
+                        </ListItem>
+                    })}
+                </List>
+            </CardContent>
+            <CardActions>
+                <Button
+                    color="secondary"
+                    variant="contained"
+                    onClick={clickRevokeAll}
+                    className={classes.submit}
+                >Sign out everywhere</Button>
+            </CardActions>
+        </Card>
+    )
+}
@@ -16,6 +16,7 @@ import DialogContentText from '@material-ui/core/DialogContentText'
 import DialogTitle from '@material-ui/core/DialogTitle'
 
 import { create } from './api-user.js';
+import { solveChallenge } from './../auth/proof-of-work';
 
 const useStyles = makeStyles(theme => ({
     card: {
@@ -44,14 +45,18 @@ const useStyles = makeStyles(theme => ({
 }))
   
 
-export default function Signup() {
+export default function Signup({ location }) {
     const classes = useStyles()
     /*the state is initialized using the useState hook with empty input field values, an empty error message,
-    and set the dialog open variable to false.*/
+    and set the dialog open variable to false. The invite code is taken from the ?invite= parameter of the
+    links users share from their profile.*/
     const [ values, setValues ] = useState({
         name: '',
+        username: '',
         password: '',
         email: '',
+        inviteCode: new URLSearchParams(location.search).get('invite') || '',
+        solving: false,
         open: false,
         error: ''        
     })
@@ -63,20 +68,29 @@ export default function Signup() {
 
     /*The clickSubmit function is called when the form is submitted. It takes the input values from the
     state and calls the create fetch method to sign up the user with the backend. Then, depending on the
-    response from the server, either an error message is shown or a success dialog is shown.*/
-    const clickSubmit = () => {
+    response from the server, either an error message is shown or a success dialog is shown.
+    Before that, the browser solves the anti-bot challenge the server requires, with the submit button disabled. The fields
+    can still be edited meanwhile, so the state is updated from its latest values.*/
+    const clickSubmit = async () => {
+        setValues( values => ({ ...values, solving: true }))
+        const proofOfWork = await solveChallenge('signup')
+        if (proofOfWork.error) return setValues( values => ({ ...values, solving: false, error: proofOfWork.error }))
+
         const user = {
             name: values.name || undefined,
+            username: values.username || undefined,
             password: values.password || undefined,
-            email: values.email || undefined
+            email: values.email || undefined,
+            inviteCode: values.inviteCode || undefined,
+            proofOfWork: proofOfWork
         }
         create(user)
             .then( data => {
                 if (data.error) {
-                    setValues({ ...values, error: data.error })
+                    setValues( values => ({ ...values, solving: false, error: data.error }))
                 }
                 else {
-                    setValues({ ...values, error: '', open: true })
+                    setValues( values => ({ ...values, solving: false, error: '', open: true }))
                 }
             })
 
@@ -106,6 +120,16 @@ export default function Signup() {
                         margin='normal'
                     />
                     <br/>
+                    <TextField
+                        id='username'
+                        label='Username'
+                        helperText='Your profile will be at /@username'
+                        className={classes.textField}
+                        value={values.username}
+                        onChange={ event => handleChange(event, 'username')}
+                        margin='normal'
+                    />
+                    <br/>
                     <TextField
                         id='email'
                         type='email'
@@ -126,6 +150,15 @@ export default function Signup() {
                         margin="normal"
                     />
                     <br/>
+                    <TextField
+                        id='inviteCode'
+                        label='Invite code'
+                        className={classes.textField}
+                        value={values.inviteCode}
+                        onChange={ event => handleChange(event, 'inviteCode')}
+                        margin="normal"
+                    />
+                    <br/>
                     {
                         values.error && (
                             <Typography component='p' color='error'>
@@ -140,8 +173,9 @@ export default function Signup() {
                         color='primary'
                         variant='contained'
                         onClick={clickSubmit}
+                        disabled={values.solving}
                         className={classes.submit}
-                    >Submit
+                    >{values.solving ? 'Checking...' : 'Submit'}
                     </Button>
                 </CardActions>
             </Card>
@@ -149,7 +183,7 @@ export default function Signup() {
                 <DialogTitle>New Account</DialogTitle>
                 <DialogContent>
                     <DialogContentText>
-                        New Account Successfully Created.
+                        New Account Successfully Created. We have sent you an email to verify your address.
                     </DialogContentText>
                 </DialogContent>
                 <DialogActions>
@@ -0,0 +1,232 @@
+/*The TwoFactor component is shown under the EditProfile form, and lets the user turn two-factor
+authentication on and off.
+Enrollment takes two steps: the server generates a secret, shown as a QR code to scan with an authenticator
+app, and the user confirms it with a first code from the app. The recovery codes are then shown once, to be
+kept somewhere safe. Turning it off, or getting new recovery codes, takes a valid code as well.*/
+
+import React, { useState, useEffect } from 'react'
+
+import { makeStyles } from '@material-ui/core/styles'
+import Card from '@material-ui/core/Card'
+import CardActions from '@material-ui/core/CardActions'
+import CardContent from '@material-ui/core/CardContent'
+import Button from '@material-ui/core/Button'
+import TextField from '@material-ui/core/TextField'
+import Typography from '@material-ui/core/Typography'
+import Icon from '@material-ui/core/Icon'
+
+import auth from './../auth/auth-helper'
+import {
+    twoFactorStatus,
+    setupTwoFactor,
+    enableTwoFactor,
+    regenerateRecoveryCodes,
+    disableTwoFactor
+} from './../auth/api-two-factor.js'
+
+const useStyles = makeStyles(theme => ({
+    card: {
+        maxWidth: 600,
+        margin: 'auto',
+        textAlign: 'center',
+        marginTop: theme.spacing(5),
+        paddingBottom: theme.spacing(2)
+    },
+    title: {
+        margin: theme.spacing(2),
+        color: theme.palette.protectedTitle
+    },
+    error: {
+        verticalAlign: 'middle'
+    },
+    textField: {
+        marginLeft: theme.spacing(1),
+        marginRight: theme.spacing(1),
+        width: 300
+    },
+    secret: {
+        fontFamily: 'monospace',
+        wordBreak: 'break-all'
+    },
+    codes: {
+        fontFamily: 'monospace',
+        margin: theme.spacing(2)
+    },
+    submit: {
+        margin: 'auto'
+    }
+}))
+
+export default function TwoFactor() {
+    const classes = useStyles()
+    const jwt = auth.isAuthenticated()
+    const [ values, setValues ] = useState({
+        enabled: false,
+        recoveryCodesLeft: 0,
+        setup: null,
+        recoveryCodes: [],
+        code: '',
+        password: '',
+        error: ''
+    })
+
+    useEffect( () => {
+        const abortController = new AbortController()
+        const signal = abortController.signal
+
+        twoFactorStatus({ t: jwt.token }, signal)
+            .then( data => {
+                if (data && data.error) console.log(data.error)
+                else if (data) setValues({ ...values, enabled: data.enabled, recoveryCodesLeft: data.recoveryCodesLeft })
+            })
+
+        return function cleanup() {
+            abortController.abort()
+        }
+    }, [])
+
+    const handleChange = (event, name) => {
+        setValues({ ...values, [name]: event.target.value })
+    }
+
+    const clickSetup = () => {
+        setupTwoFactor({ t: jwt.token })
+            .then( data => {
+                if (data.error) setValues({ ...values, error: data.error })
+                else setValues({ ...values, error: '', setup: data, recoveryCodes: [] })
+            })
+    }
+
+    //The recovery codes are returned when two-factor authentication is turned on, and when they are renewed
+    const showRecoveryCodes = (data) => {
+        if (data.error) {
+            setValues({ ...values, error: data.error, code: '' })
+        }
+        else {
+            setValues({ ...values, error: '', code: '', setup: null, enabled: true,
+                recoveryCodes: data.recoveryCodes, recoveryCodesLeft: data.recoveryCodes.length })
+        }
+    }
+
+    const clickEnable = () => {
+        enableTwoFactor({ t: jwt.token }, values.code).then(showRecoveryCodes)
+    }
+
+    const clickRegenerate = () => {
+        regenerateRecoveryCodes({ t: jwt.token }, values.code).then(showRecoveryCodes)
+    }
+
+    const clickDisable = () => {
+        disableTwoFactor({ t: jwt.token }, values.password, values.code)
+            .then( data => {
+                if (data.error) setValues({ ...values, error: data.error, code: '' })
+                else setValues({ ...values, error: '', code: '', password: '', enabled: false, recoveryCodes: [], recoveryCodesLeft: 0 })
+            })
+    }
+
+    const codeField = (
+        <span>
+            <TextField
+                id="two-factor-code"
+                label="Authentication code"
+                autoComplete="one-time-code"
+                className={classes.textField}
+                value={values.code}
+                onChange={ event => handleChange(event, 'code')}
+                margin="normal"
+            /><br/>
+        </span>
+    )
+
+    return (
+        <Card className={classes.card}>
+            <CardContent>
+                <Typography variant="h6" className={classes.title}>
+                    Two-Factor Authentication
+                </Typography>
+                {
+                    !values.enabled && !values.setup && (
+                        <Typography component="p">
+                            Protect your account with the codes of an authenticator app, on top of your password.
+                        </Typography>
+                    )
+                }
+                {
+                    values.setup && (
+                        <span>
+                            <Typography component="p">
+                                Scan this QR code with your authenticator app, then enter the code it shows.
+                            </Typography>
+                            <img src={values.setup.qr} alt="Two-factor QR code" />
+                            <Typography component="p" variant="caption" className={classes.secret}>
+                                Or enter this key by hand: {values.setup.secret}
+                            </Typography>
+                            {codeField}
+                        </span>
+                    )
+                }
+                {
+                    values.recoveryCodes.length > 0 && (
+                        <span>
+                            <Typography component="p">
+                                Keep these recovery codes somewhere safe. Each one can be used once to sign in if you lose your phone. They won't be shown again.
+                            </Typography>
+                            <Typography component="div" className={classes.codes}>
+                                {values.recoveryCodes.map( code => <div key={code}>{code}</div> )}
+                            </Typography>
+                        </span>
+                    )
+                }
+                {
+                    values.enabled && (
+                        <span>
+                            <Typography component="p">
+                                Two-factor authentication is on. You have {values.recoveryCodesLeft} recovery codes left.
+                            </Typography>
+                            <TextField
+                                id="two-factor-password"
+                                type="password"
+                                label="Password (to turn it off)"
+                                className={classes.textField}
+                                value={values.password}
+                                onChange={ event => handleChange(event, 'password')}
+                                margin="normal"
+                            /><br/>
+                            {codeField}
+                        </span>
+                    )
+                }
+                {
+                    values.error && (
+                        <Typography component="p" color="error">
+                            <Icon color="error" className={classes.error}>error</Icon>
+                            {values.error}
+                        </Typography>
+                    )
+                }
+            </CardContent>
+            <CardActions>
+                { !values.enabled && !values.setup &&
+                    <Button color="primary" variant="contained" onClick={clickSetup} className={classes.submit}>
+                        Enable
+                    </Button>
+                }
+                { values.setup &&
+                    <Button color="primary" variant="contained" onClick={clickEnable} className={classes.submit}>
+                        Verify and enable
+                    </Button>
+                }
+                { values.enabled &&
+                    <span className={classes.submit}>
+                        <Button color="primary" onClick={clickRegenerate}>
+                            New recovery codes
+                        </Button>
+                        <Button color="secondary" variant="contained" onClick={clickDisable}>
+                            Disable
+                        </Button>
+                    </span>
+                }
+            </CardActions>
+        </Card>
+    )
+}
@@ -0,0 +1,47 @@
+/*The UsernameProfile component shows the profile at the '/@:username' path. It finds the ID of the user with that
+username, then renders the Profile component for it. When the username is an old one of the user, who has changed it
+since, the browser is redirected to the profile URL with the current username.*/
+
+import React, { useState, useEffect } from 'react';
+import { Redirect } from 'react-router-dom';
+
+import Typography from '@material-ui/core/Typography'
+
+import Profile from './Profile'
+import { findByUsername } from './api-user.js';
+
+export default function UsernameProfile({ match }) {
+    const [ values, setValues ] = useState({
+        user: null,
+        error: ''
+    })
+
+    useEffect( () => {
+        const abortController = new AbortController();
+        const signal = abortController.signal;
+
+        findByUsername({ username: match.params.username }, signal)
+            .then( data => {
+                if (!data) return
+                if (data.error) setValues({ user: null, error: data.error })
+                else setValues({ user: data, error: '' })
+            })
+
+        return function cleanup() {
+            abortController.abort()
+        }
+    }, [match.params.username])
+
+    if (values.error) {
+        return (
+            <Typography component='p' color='error' align='center'>
+                {values.error}
+            </Typography>
+        )
+    }
+    if (!values.user) return null
+    if (values.user.username !== match.params.username.toLowerCase()) {
+        return (<Redirect to={'/@' + values.user.username} />)
+    }
+    return (<Profile match={{ params: { userId: values.user._id } }} />)
+}
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {Link} from 'react-router-dom';
 
 import { makeStyles } from '@material-ui/core/styles';
@@ -10,11 +10,15 @@ import ListItemSecondaryAction from '@material-ui/core/ListItemSecondaryAction';
 import ListItemText from '@material-ui/core/ListItemText';
 import Avatar from '@material-ui/core/Avatar';
 import IconButton from '@material-ui/core/IconButton';
+import TextField from '@material-ui/core/TextField';
+import MenuItem from '@material-ui/core/MenuItem';
 import Typography from '@material-ui/core/Typography';
 import ArrowForward from '@material-ui/icons/ArrowForward';
 import Person from '@material-ui/icons/Person';
 
+import auth from './../auth/auth-helper';
 import { list } from './api-user.js';
+import { profilePath } from './profile-path';
 
 const useStyles = makeStyles(theme => ({
     root: theme.mixins.gutters({
@@ -24,9 +28,26 @@ const useStyles = makeStyles(theme => ({
     title: {
         margin: `${theme.spacing(4)}px 0 ${theme.spacing(2)}px`,
         color: theme.palette.openTitle
+    },
+    textField: {
+        marginRight: theme.spacing(2),
+        width: 300
+    },
+    status: {
+        margin: theme.spacing(2),
+        textAlign: 'center'
     }
 }))
 
+const SORTS = [
+    { value: 'newest', label: 'Newest' },
+    { value: 'followers', label: 'Most followers' },
+    { value: 'name', label: 'Name' }
+]
+
+//Time to wait after the last key typed in the search box before searching, in milliseconds
+const SEARCH_DELAY = 300
+
 export default function Users() {
     
     const classes = useStyles();
@@ -38,8 +59,18 @@ export default function Users() {
     declare a state variable, similar to using "this.state" in class component definitions. The argument that's passed
     to useState is the initial value of this variable(in other words, the initial state). Invoking useState returns the
     current state and a function that updates the state value, which is similar to "this.setState" in a class definition.
+    The users are loaded a page at a time. next is the cursor of the next page, or null once the last page is loaded.
     */
     const [ users, setUsers ] = useState([]);
+    const [ next, setNext ] = useState(null);
+    const [ loading, setLoading ] = useState(false);
+    const [ filters, setFilters ] = useState({ search: '', sort: 'newest' });
+    const bottom = useRef(null);
+    const jwt = auth.isAuthenticated();
+    //Signed-in users send their credentials, so that the users who blocked them are left out
+    const credentials = jwt ? { t: jwt.token } : null;
+    //The AbortController of the next page while it is loading
+    const page = useRef(null);
 
     /*The Effect Hook, useEffect, serves the purpose of the componentDidMount, componentDidUpdate, and componentWillUnmount
     React life cycle methods that we would otherwise use in React classes. Using this hook in a function component allows us
@@ -48,35 +79,88 @@ export default function Users() {
     state. Optionally, we can also define how to clean up after an effect, for example, to perform an action such as aborting
     a fetch signal when the component unmounts to avoid memory leaks.
     In our "Users" component, we use "useEffect" to call the list method from the "api-user.js" helper methods. This will fetch
-    the user list from the backend and load the user data into the component by updating the state.
+    the first page of users from the backend and load the user data into the component by updating the state.
 
     In this effect, we also add a cleanup function to abort the fetch call when the component unmounts. To associate a signal
     with the fetch call, we use the AbortController web API, which allows us to abort DOM requests as needed.
-    In the second argument of this useEffect hook, we pass an empty array so that this effect cleanup runs only once upon mounting
-    and unmounting, and not after every render.
+    In the second argument of this useEffect hook, we pass the search and the sort, so that the list starts over from the
+    first page whenever they change. The search waits for the user to stop typing. A next page of the previous search that
+    is still loading is aborted, and no other page is loaded until the first one of the new search comes.
     */
     useEffect( () => {
         const abortController = new AbortController();
         const signal = abortController.signal;
+        setNext(null)
+        setLoading(false)
 
-        list(signal)
-            .then( data => {
-                if (data && data.error) {
-                    console.log(data.error)
-                }
-                else {
-                    setUsers(data)
-                }
-            })
+        const timer = setTimeout( () => {
+            setLoading(true)
+            list({ search: filters.search, sort: filters.sort }, credentials, signal)
+                .then( data => {
+                    if (signal.aborted) return
+                    setLoading(false)
+                    if (!data) return
+                    if (data.error) {
+                        console.log(data.error)
+                    }
+                    else {
+                        setUsers(data.users)
+                        setNext(data.next)
+                    }
+                })
+        }, filters.search ? SEARCH_DELAY : 0)
 
         return function cleanup() {
+            clearTimeout(timer)
             abortController.abort()
+            if (page.current) page.current.abort()
+        }
+    }, [filters.search, filters.sort])
+
+    /*The next page is loaded when the end of the list scrolls into view. The IntersectionObserver watches an empty
+    element placed after the list, and is set up again with the new cursor after each page. Its request is only aborted
+    by the effect above, when the search changes or the component unmounts, since the cursor changing is what it waits for.*/
+    useEffect( () => {
+        if (!next || !bottom.current || typeof IntersectionObserver === 'undefined') return
+
+        const observer = new IntersectionObserver( entries => {
+            if (!entries[0].isIntersecting) return
+            observer.disconnect()
+            const abortController = new AbortController();
+            const signal = abortController.signal;
+            page.current = abortController
+            setLoading(true)
+            list({ search: filters.search, sort: filters.sort, after: next }, credentials, signal)
+                .then( data => {
+                    if (signal.aborted) return
+                    page.current = null
+                    setLoading(false)
+                    if (!data) return
+                    if (data.error) {
+                        console.log(data.error)
+                    }
+                    else {
+                        setUsers( users => users.concat(data.users) )
+                        setNext(data.next)
+                    }
+                })
+        })
+        observer.observe(bottom.current)
+
+        return function cleanup() {
+            observer.disconnect()
         }
-    }, [])
+    }, [next])
+
+    const handleChange = (event, name) => {
+        setFilters({ ...filters, [name]: event.target.value })
+    }
 
     /*Finally, in the return of the Users function component, we add the actual view content.
     In this view, to generate each list item, we iterate through the array of users in the state using the map function. A list item
     is rendered with an individual user's name from each item that's accessed per iteration on the users array.
+    Above the list, a search box and a sort menu filter the users, and below it, an empty element marks the end of the list for
+    the infinite scroll.
     To add this Users component to the React application, we need to update the "MainRouter" component with a Route that renders this
     component at the '/users' path. Add the Route inside the Switch component after the Home route.
     */
@@ -85,14 +169,34 @@ export default function Users() {
             <Typography variant='h6' className={classes.title}>
                 All Users
             </Typography>
+            <TextField
+                id='search'
+                type='search'
+                label='Search by name or about'
+                className={classes.textField}
+                value={filters.search}
+                onChange={ event => handleChange(event, 'search')}
+            />
+            <TextField
+                id='sort'
+                select
+                label='Sort by'
+                value={filters.sort}
+                onChange={ event => handleChange(event, 'sort')}
+            >
+                {SORTS.map( sort => <MenuItem key={sort.value} value={sort.value}>{sort.label}</MenuItem> )}
+            </TextField>
             <List dense>
                 {users.map( (user, idx) => {
-                    return <Link to={'/user/' + user._id} key={idx}>
+                    return <Link to={profilePath(user)} key={idx}>
                                 <ListItem button>
                                     <ListItemAvatar>
                                         <Avatar src={user.photo}/>
                                     </ListItemAvatar>
-                                    <ListItemText primary={user.name} />
+                                    <ListItemText
+                                        primary={user.name}
+                                        secondary={user.followerCount + (user.followerCount === 1 ? ' follower' : ' followers')}
+                                    />
                                     <ListItemSecondaryAction>
                                         <IconButton>
                                             <ArrowForward />
@@ -102,7 +206,15 @@ export default function Users() {
                             </Link>
                 })}
             </List>
+            <div ref={bottom} />
+            {
+                (loading || users.length === 0) && (
+                    <Typography component='p' className={classes.status}>
+                        {loading ? 'Loading...' : 'No users found'}
+                    </Typography>
+                )
+            }
         </Paper>
     )
 
-}
\ No newline at end of file
+}
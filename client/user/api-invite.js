@@ -0,0 +1,52 @@
+// FETCH FOR THE INVITES API
+/*These methods fetch the invite API endpoints, so that the signed-in user can create invite codes to share, list
+them and delete them.*/
+
+import authFetch from './../auth/auth-fetch'
+
+//Listing the signed-in user's invites, with the users who signed up with them
+const listInvites = async (credentials, signal) => {
+    try {
+        let response = await authFetch('/api/invites/', {
+            method: 'GET',
+            signal: signal,
+            headers: {
+                'Accept': 'application/json'
+            }
+        }, credentials)
+        return await response.json()
+    }
+    catch(err) { console.log(err) }
+}
+
+//Creating an invite, with the number of signups it allows and the number of days it lasts
+const createInvite = async (credentials, invite) => {
+    try {
+        let response = await authFetch('/api/invites/', {
+            method: 'POST',
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(invite)
+        }, credentials)
+        return await response.json()
+    }
+    catch(err) { console.log(err) }
+}
+
+//Deleting an invite, so that it can't be used anymore
+const removeInvite = async (params, credentials) => {
+    try {
+        let response = await authFetch('/api/invites/' + params.inviteId, {
+            method: 'DELETE',
+            headers: {
+                'Accept': 'application/json'
+            }
+        }, credentials)
+        return await response.json()
+    }
+    catch(err) { console.log(err) }
+}
+
+export { listInvites, createInvite, removeInvite }
@@ -2,6 +2,8 @@
 /*Here we will add methods for accessing each of the user CRUD API endpoints, which the React components
 can use to exchange user data with the server and database as required. */
 
+import authFetch from './../auth/auth-fetch'
+
 //Creating a user
 /*The create method will take user data from the view component, which is where we will invoke this method.
 Then, it will use fetch to make a POST call at the create API route, '/api/users', to create a new user in
@@ -25,41 +27,64 @@ const create = async (user) => {
 }
 
 //Listing users
-/*The list method will use fetch to make a GET call to retrieve all the users in the database, and then return
+/*The list method will use fetch to make a GET call to retrieve a page of users from the database, and then return
 the response from the server as a promise to the component.
-The returned promise, if it resolves successfully, will give the component an array containing the user objects
-that were retrieved from the database. In the case of a single user read, we will deal with a single user object
+The params are the sort, search, after and limit parameters of the query string, leaving out the empty ones.
+Signed-in users pass their credentials, so that the server leaves out the users who blocked them, and null otherwise.
+The returned promise, if it resolves successfully, will give the component the users of the page, with the cursor of
+the next one, or null on the last page. In the case of a single user read, we will deal with a single user object
 instead. */
-const list = async (signal) => {
+const list = async (params, credentials, signal) => {
     try {
-        let response = await fetch('/api/users/', {
+        let query = new URLSearchParams()
+        Object.keys(params).forEach( key => { if (params[key]) query.append(key, params[key]) })
+        const options = {
             method: 'GET',
             signal: signal
-        })
+        }
+        let response = credentials
+            ? await authFetch('/api/users/?' + query.toString(), options, credentials)
+            : await fetch('/api/users/?' + query.toString(), options)
         return await response.json();
     }
     catch(err) { console.log(err) }
 }
 
+//Finding a user by username
+/*The findByUsername method resolves a username from a '/@username' URL to the ID of the user, with their current
+username, which differs when the URL has an old username of theirs.*/
+const findByUsername = async (params, signal) => {
+    try {
+        let response = await fetch('/api/users/username/' + encodeURIComponent(params.username), {
+            method: 'GET',
+            signal: signal,
+            headers: {
+                'Accept': 'application/json'
+            }
+        })
+        return await response.json()
+    }
+    catch(err) { console.log(err) }
+}
+
 //Reading a user profile
 /*This method will use fetch to make a GET call to retrieve a specific user by ID. Since this is a protected route,
 besides passing the user ID as a parameter, the requesting component must also provide valid credentials, which,
 in this case, will be a valid JWT received after a successful sign-in.
-The JWT is attached to the GET fetch call in the Authorization header using the Bearer scheme, and then the response
+The JWT is attached to the GET fetch call in the Authorization header using the Bearer scheme by authFetch, and then the response
 from the server is returned to the component in a promise. This promise, when it resolves, will either give the component
 the user details for the specific user or notify that access is restricted to authenticated users.
 */
 const read = async (params, credentials, signal) => {
     try{
-        let response = await fetch('/api/users/' + params.userId, {
+        let response = await authFetch('/api/users/' + params.userId, {
             method: 'GET',
             signal: signal,
             headers: {
                 'Accept': 'application/json',
-                'Content-Type': 'application/json',
-                'Authorization': 'Bearer ' + credentials.t
+                'Content-Type': 'application/json'
             }
-        })
+        }, credentials)
         return await response.json();
     }
     catch(err) { console.log(err) }
@@ -72,33 +97,83 @@ the credential.
 */
 const update = async (params, credentials, user) => {
     try {
-        let response = await fetch('/api/users/' + params.userId, {
+        let response = await authFetch('/api/users/' + params.userId, {
             method: 'PUT',
             headers: {
-                'Accept': 'application/json',
-                'Authorization': 'Bearer ' + credentials.t
+                'Accept': 'application/json'
             },
             body: user
-        })
+        }, credentials)
         return await response.json();
     }
     catch(err) { console.log(err) }
 }
 
+//Changing the password
+/*The changePassword method sends the current password along with the new one, since the server needs the current
+one to accept the change.*/
+const changePassword = async (params, credentials, passwords) => {
+    try {
+        let response = await authFetch('/api/users/' + params.userId + '/password', {
+            method: 'PUT',
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(passwords)
+        }, credentials)
+        return await response.json()
+    }
+    catch(err) { console.log(err) }
+}
+
+//Changing the email address
+/*The changeEmail method sends the new email address along with the current password. The server emails a link to the
+new address, which has to be opened for the change to take effect.*/
+const changeEmail = async (params, credentials, change) => {
+    try {
+        let response = await authFetch('/api/users/' + params.userId + '/email', {
+            method: 'PUT',
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(change)
+        }, credentials)
+        return await response.json()
+    }
+    catch(err) { console.log(err) }
+}
+
+//Confirming the new email address with the token from the link sent to it
+const confirmEmailChange = async (token) => {
+    try {
+        let response = await fetch('/auth/email/confirm/', {
+            method: 'POST',
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ token: token })
+        })
+        return await response.json()
+    }
+    catch(err) { console.log(err) }
+}
+
 //Deleting a user
 /*The remove method will allow the view component to delete a specific user from the database and use fetch to make a DELETE call.
 This is a protected route that will require a valid JWT as a credential, similar to the read and update methods.
 */
 const remove = async (params, credentials) => {
     try {
-        let response = await fetch('/api/users/' + params.userId, {
+        let response = await authFetch('/api/users/' + params.userId, {
             method: 'DELETE',
             headers: {
                 'Accept': 'application/json',
-                'Content-Type': 'application/json',
-                'Authorization': 'Bearer ' + credentials.t
+                'Content-Type': 'application/json'
             }
-        })
+        }, credentials)
         return response.json();
     }
     catch(err) { console.log(err) }
@@ -107,15 +182,14 @@ const remove = async (params, credentials) => {
 //Follow fetch method
 const follow = async (params, credentials, followId) => {
     try {
-        let response = await fetch('/api/users/follow/', {
+        let response = await authFetch('/api/users/follow/', {
             method: 'PUT',
             headers: {
                 'Accept': 'application/json',
-                'Content-Type': 'application/json',
-                'Authorization': 'Bearer ' + credentials.t 
+                'Content-Type': 'application/json'
             },
             body: JSON.stringify({ userId:params.userId, followId: followId })
-        })
+        }, credentials)
         return await response.json()
     }
     catch(err) { console.log(err) }
@@ -124,15 +198,108 @@ const follow = async (params, credentials, followId) => {
 //Unfollow fetch method
 const unfollow = async (params, credentials, unfollowId) => {
     try {
-        let response = await fetch('/api/users/unfollow/', {
+        let response = await authFetch('/api/users/unfollow/', {
             method: 'PUT',
             headers: {
                 'Accept': 'application/json',
-                'Content-Type': 'application/json',
-                'Authorization': 'Bearer ' + credentials.t 
+                'Content-Type': 'application/json'
             },
             body: JSON.stringify({ userId:params.userId, unfollowId: unfollowId })
-        })
+        }, credentials)
+        return await response.json()
+    }
+    catch(err) { console.log(err) }
+}
+
+//Follow requests
+/*The owner of a private account lists the users who asked to follow them, and approves or rejects each of them with
+the requester's ID. Approving and rejecting respond with the remaining requests.*/
+const listRequests = async (credentials, signal) => {
+    try {
+        let response = await authFetch('/api/users/requests/', {
+            method: 'GET',
+            signal: signal,
+            headers: {
+                'Accept': 'application/json'
+            }
+        }, credentials)
+        return await response.json()
+    }
+    catch(err) { console.log(err) }
+}
+
+const approveRequest = async (credentials, requesterId) => {
+    try {
+        let response = await authFetch('/api/users/requests/approve/', {
+            method: 'PUT',
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ requesterId: requesterId })
+        }, credentials)
+        return await response.json()
+    }
+    catch(err) { console.log(err) }
+}
+
+const rejectRequest = async (credentials, requesterId) => {
+    try {
+        let response = await authFetch('/api/users/requests/reject/', {
+            method: 'PUT',
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ requesterId: requesterId })
+        }, credentials)
+        return await response.json()
+    }
+    catch(err) { console.log(err) }
+}
+
+//Blocking
+/*The users the signed-in user blocked are listed in their settings. Blocking and unblocking take the ID of the other
+user, and respond with the updated list.*/
+const listBlocked = async (credentials, signal) => {
+    try {
+        let response = await authFetch('/api/users/blocked/', {
+            method: 'GET',
+            signal: signal,
+            headers: {
+                'Accept': 'application/json'
+            }
+        }, credentials)
+        return await response.json()
+    }
+    catch(err) { console.log(err) }
+}
+
+const block = async (credentials, blockId) => {
+    try {
+        let response = await authFetch('/api/users/block/', {
+            method: 'PUT',
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ blockId: blockId })
+        }, credentials)
+        return await response.json()
+    }
+    catch(err) { console.log(err) }
+}
+
+const unblock = async (credentials, unblockId) => {
+    try {
+        let response = await authFetch('/api/users/unblock/', {
+            method: 'PUT',
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ unblockId: unblockId })
+        }, credentials)
         return await response.json()
     }
     catch(err) { console.log(err) }
@@ -141,19 +308,18 @@ const unfollow = async (params, credentials, unfollowId) => {
 // Finding people to follow
 const findPeople = async (params, credentials, signal) => {
     try {
-        let response = await fetch('/api/users/findpeople/' + params.userId, {
+        let response = await authFetch('/api/users/findpeople/' + params.userId, {
             method: 'GET',
             signal: signal,
             headers: {
                 'Accept': 'application/json',
-                'Content-Type': 'application/json',
-                'Authorization': 'Bearer ' + credentials.t 
+                'Content-Type': 'application/json'
             }
-        })
+        }, credentials)
         return await response.json()
     }
     catch(err) { console.log(err) }
 }
 
 
-export { create, list, read, update, remove, follow, unfollow, findPeople };
\ No newline at end of file
+export { create, list, findByUsername, read, update, changePassword, changeEmail, confirmEmailChange, remove, follow, unfollow, listRequests, approveRequest, rejectRequest, listBlocked, block, unblock, findPeople };
\ No newline at end of file
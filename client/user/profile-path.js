@@ -0,0 +1,9 @@
+//PROFILE PATH
+/*Profiles are shown at '/@username', or at '/user/:userId' for the users who haven't picked a username yet.
+profilePath returns the path of the profile of a user object from the API, which has their _id and username.*/
+
+const profilePath = (user) => {
+    return user.username ? '/@' + user.username : '/user/' + user._id
+}
+
+export { profilePath }
@@ -4,15 +4,107 @@ as well as for security purposes.
 These variables will give us the flexibility to change values from a single
 file and use it across the backend code.*/
 
+/*TRUST_PROXY is 'true' to trust every proxy, a number of proxies in front of the app, or the addresses of the trusted
+proxies, such as 'loopback' or '10.0.0.1, 10.0.0.2'.*/
+const trustProxy = (value) => {
+    if (!value || value === 'false') return false
+    if (value === 'true') return true
+    return /^\d+$/.test(value) ? parseInt(value, 10) : value
+}
+
 const config = {
     env: process.env.NODE_ENV || 'development',             //To differentiate between development and production modes
     port: process.env.PORT || 3000,                         //To define the listening port for the server
     jwtSecret: process.env.JWT_SECRET || "Ironhackers",     //The secret key to be used to sign JWT
+    /*'header' sends the access token to the client, which attaches it to its requests in the Authorization header.
+    'cookie' keeps it in an httpOnly cookie that scripts can't read, with CSRF tokens on state-changing requests,
+    and lets the server render the pages for the signed-in user.*/
+    authMode: process.env.AUTH_MODE === 'cookie' ? 'cookie' : 'header',
+    accessTokenTTL: 15 * 60,                                //Lifetime of an access token (JWT), in seconds
+    refreshTokenTTL: 30 * 24 * 60 * 60,                     //Lifetime of a refresh token, in seconds
+    browserSessionTTL: 12 * 60 * 60,                        //Lifetime of a refresh token when "remember me" is off, in seconds
     mongoUri: process.env.MONGODB_URI ||                    //The location of the MongoDB database instance for the project
             process.env.MONGO_HOST ||
             'mongodb://' + (process.env.IP || 'localhost') + ':' +
             (process.env.MONGO_PORT || '27017') +
-            '/mern-social-app'
+            '/mern-social-app',
+    /*Behind a reverse proxy, every request comes from the proxy's address, so the limiter would count all the clients
+    as one. With trustProxy, Express takes the client's address from the X-Forwarded-For header the proxy sets instead.
+    It is Express' 'trust proxy' setting, off by default, since the header can be forged when there is no proxy.*/
+    trustProxy: trustProxy(process.env.TRUST_PROXY),
+    appUrl: process.env.APP_URL ||                          //The public address of the app, used to build the links sent by email
+            'http://localhost:' + (process.env.PORT || 3000),
+    passwordResetTTL: 60 * 60,                              //Lifetime of a password reset link, in seconds
+    emailVerificationTTL: 24 * 60 * 60,                     //Lifetime of an email verification link, in seconds
+    magicLinkTTL: 15 * 60,                                  //Lifetime of an emailed sign-in link, in seconds
+    emailChangeTTL: 24 * 60 * 60,                           //Lifetime of the link confirming a new email address, in seconds
+    twoFactorChallengeTTL: 5 * 60,                          //Time given to enter the two-factor code after the password, in seconds
+    webauthn: {
+        rpName: process.env.WEBAUTHN_RP_NAME || 'MERN Social',
+        rpID: process.env.WEBAUTHN_RP_ID,                   //The domain passkeys are bound to, the host name of appUrl by default
+        challengeTTL: 5 * 60                                //Time given to complete a passkey ceremony, in seconds
+    },
+    /*The OpenID Connect providers users can sign in with, such as the company's identity provider. Each one needs the
+    issuer URL, where its configuration is discovered, and the client registered for this app, with
+    APP_URL + '/auth/oidc/<id>/callback' as its redirect URI. Providers without an issuer are left out.*/
+    oidc: {
+        providers: [
+            {
+                id: 'company',
+                name: process.env.OIDC_NAME || 'Company SSO',
+                issuer: process.env.OIDC_ISSUER,
+                clientId: process.env.OIDC_CLIENT_ID,
+                clientSecret: process.env.OIDC_CLIENT_SECRET,
+                scope: 'openid email profile'
+            }
+        ].filter( provider => provider.issuer ),
+        stateTTL: 10 * 60                                   //Time given to sign in at the provider, in seconds
+    },
+    /*With invites.required, new accounts can only be created with an invite code, including the ones created on a first
+    sign-in with an OpenID Connect provider. invites.createdBy tells who can make invites: 'user' for every verified
+    user, or 'admin' for admins only.*/
+    invites: {
+        required: process.env.INVITE_ONLY === 'true',
+        createdBy: process.env.INVITES_CREATED_BY === 'admin' ? 'admin' : 'user',
+        maxUses: 100,                                       //The most signups a single code can be used for
+        ttl: 7,                                             //Days an invite lasts by default
+        maxTTL: 90                                          //The longest an invite can last, in days
+    },
+    /*Signups and sign-ins take a proof of work: the browser has to find a hash with difficulty leading zero bits, which
+    takes about 2^difficulty tries. Each signup, failed signup or failed sign-in recently counted by the limiter for the
+    IP address adds one bit, which doubles the work, up to maxDifficulty.*/
+    proofOfWork: {
+        ttl: 5 * 60,                                        //Time given to solve a challenge and submit the form, in seconds
+        signup: { difficulty: 16, maxDifficulty: 24 },
+        signin: { difficulty: 12, maxDifficulty: 22 }
+    },
+    usernames: {
+        redirectTTL: 30 * 24 * 60 * 60                      //How long an old username keeps leading to the profile after a rename, in seconds
+    },
+    limiter: {
+        store: process.env.LIMITER_STORE || 'memory',       //'memory' keeps the counters in this process, 'mongo' shares them between instances
+        account: { maxFailures: 5, window: 15 * 60, lockout: 60, maxLockout: 60 * 60 },          //Failed sign-ins per account
+        ip: { maxFailures: 20, window: 15 * 60, lockout: 5 * 60, maxLockout: 24 * 60 * 60 },     //Failed sign-ins per IP address
+        signup: { maxFailures: 5, window: 60 * 60, lockout: 60 * 60, maxLockout: 24 * 60 * 60 }, //Signups per IP address
+        signupFailures: { maxFailures: 20, window: 60 * 60, lockout: 60 * 60, maxLockout: 24 * 60 * 60 }, //Failed signups per IP address
+        magicLink: { maxFailures: 5, window: 60 * 60, lockout: 60 * 60, maxLockout: 24 * 60 * 60 }, //Sign-in links per email and per IP address
+        passwordReset: { maxFailures: 5, window: 60 * 60, lockout: 60 * 60, maxLockout: 24 * 60 * 60 }, //Reset links per email and per IP address
+        verification: { maxFailures: 5, window: 60 * 60, lockout: 60 * 60, maxLockout: 24 * 60 * 60 }, //Resent verification links per user and per IP address
+        username: { maxFailures: 3, window: 24 * 60 * 60, lockout: 7 * 24 * 60 * 60, maxLockout: 30 * 24 * 60 * 60 } //Username changes per user
+    },
+    /*Outside production, the emails are written to files by default. In production, MAIL_TRANSPORT has to be set, or the
+    server refuses to start, so that the emails don't end up in files that nobody reads.*/
+    mailer: {
+        transport: process.env.MAIL_TRANSPORT ||            //'file' writes every email to mailer.dir, 'smtp' sends them to mailer.smtp
+                (process.env.NODE_ENV === 'production' ? undefined : 'file'),
+        from: process.env.MAIL_FROM || 'MERN Social <no-reply@mern-social.local>',
+        dir: process.env.MAIL_DIR || 'mail',
+        smtp: {
+            host: process.env.SMTP_HOST || 'localhost',
+            port: process.env.SMTP_PORT || 1025,            //The default port of local SMTP catch-alls such as MailHog
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+        }
+    }
 }
 
 export default config
\ No newline at end of file
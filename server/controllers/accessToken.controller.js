@@ -0,0 +1,98 @@
+/*The access token controller lets a signed-in user create, list and revoke their personal access tokens.
+These routes only accept a JWT from a browser session, so a leaked token can't be used to create new ones.*/
+
+import errorHandler from '../helpers/dbErrorHandler';
+import AccessToken from '../models/accessToken.model';
+import tokens from '../helpers/tokens';
+
+//The fields of a token that are shown to its owner. Neither the token nor its hash are ever returned after creation
+const describe = token => ({
+    _id: token._id,
+    name: token.name,
+    prefix: token.prefix,
+    scopes: token.scopes,
+    created: token.created,
+    lastUsed: token.lastUsed,
+    expires: token.expires
+})
+
+const list = async (req, res) => {
+    try {
+        let accessTokens = await AccessToken.find({ user: req.auth._id }).sort('-created')
+        res.json(accessTokens.map(describe))
+    }
+    catch(err) {
+        return res.status(400).json({
+            error: errorHandler.getErrorMessage(err)
+        })
+    }
+}
+
+/*When the Express app gets a POST request at '/auth/tokens', a new token is generated with the name, the scopes
+and the optional number of days until it expires, given in req.body. The token itself is only sent back in
+this response, and the user has to copy it right away.*/
+const create = async (req, res) => {
+    const token = AccessToken.PREFIX + tokens.randomToken(24)
+    const days = Number(req.body.expiresInDays)
+    try {
+        let accessToken = await new AccessToken({
+            name: req.body.name,
+            scopes: Array.isArray(req.body.scopes) ? req.body.scopes : [],
+            hash: tokens.hashToken(token),
+            prefix: token.slice(0, AccessToken.PREFIX.length + 6),
+            user: req.auth._id,
+            expires: days > 0 ? new Date(Date.now() + days * 24 * 60 * 60 * 1000) : undefined
+        }).save()
+        res.json({ ...describe(accessToken), token })
+    }
+    catch(err) {
+        return res.status(400).json({
+            error: errorHandler.getErrorMessage(err)
+        })
+    }
+}
+
+/*Whenever a route with the :tokenId parameter is requested, the token is loaded in req.accessToken.*/
+const accessTokenByID = async (req, res, next, id) => {
+    try {
+        let accessToken = await AccessToken.findById(id)
+        if (!accessToken) {
+            return res.status(400).json({
+                error: 'Token not found'
+            })
+        }
+        req.accessToken = accessToken
+        next()
+    }
+    catch(err) {
+        return res.status(400).json({
+            error: 'Could not retrieve token'
+        })
+    }
+}
+
+/*The isOwner method checks whether the token belongs to the signed-in user before executing the next method.*/
+const isOwner = (req, res, next) => {
+    let isOwner = req.accessToken && req.auth && req.accessToken.user == req.auth._id
+    if (!isOwner) {
+        return res.status(403).json({
+            error: 'User is not authorized'
+        })
+    }
+    next()
+}
+
+//Revoking a token deletes it, and requests made with it fail right away
+const revoke = async (req, res) => {
+    try {
+        await req.accessToken.remove()
+        res.json({ message: 'Token revoked' })
+    }
+    catch(err) {
+        return res.status(400).json({
+            error: errorHandler.getErrorMessage(err)
+        })
+    }
+}
+
+export default { list, create, accessTokenByID, isOwner, revoke }
@@ -0,0 +1,143 @@
+/*The account controller handles the changes to a user's credentials, which are kept out of the profile update:
+changing the password, and changing the email address. Both take the current password, so somebody who gets hold
+of a signed-in browser or a stolen access token can't take over the account.
+A new email address only replaces the old one once the user opens the confirmation link sent to it, and the old
+address is told about the request.*/
+
+import User from '../models/user.model';
+import OneTimeToken from '../models/oneTimeToken.model';
+import errorHandler from '../helpers/dbErrorHandler';
+import tokens from '../helpers/tokens';
+import mailer from '../helpers/mailer';
+import limiter from '../helpers/limiter';
+import audit from '../helpers/audit';
+import config from './../../config/config';
+import authCtrl from './auth.controller';
+
+/*Checks the current password of the user in req.profile. Wrong passwords are limited like failed sign-ins, per
+account, so these routes can't be used to guess the password of a signed-in account. Sends the error response
+and returns false when the password can't be accepted.*/
+const checkPassword = async (req, res) => {
+    const rules = [ { key: 'reauth:' + req.profile._id, ...config.limiter.account } ]
+    const seconds = await limiter.lockedFor(rules)
+    if (seconds) {
+        limiter.tooManyAttempts(res, seconds)
+        return false
+    }
+    if (!req.profile.hasPassword) {
+        res.status(400).json({ error: 'Your account has no password yet. Set one with "Forgot password?" first' })
+        return false
+    }
+    if (!await req.profile.authenticate(req.body.currentPassword)) {
+        await limiter.fail(rules)
+        res.status(403).json({ error: 'The current password is incorrect' })
+        return false
+    }
+    await limiter.reset(rules)
+    return true
+}
+
+//Changing the password
+/*When the Express app gets a PUT request at '/api/users/:userId/password', the new password in req.body replaces the
+current one, once the current one is checked. Every other session of the user is signed out, and the one the
+request was made from stays signed in.*/
+const changePassword = async (req, res) => {
+    try {
+        if (!await checkPassword(req, res)) return
+
+        let user = req.profile
+        await user.setPassword(req.body.newPassword)
+        user.updated = Date.now()
+        await user.save()
+        await authCtrl.revokeSessions({ user: user._id, jti: { $ne: req.auth.jti } })
+        await audit.record(req, 'password-changed')
+        return res.json({ message: 'Your password has been changed.' })
+    }
+    catch(err) {
+        return res.status(400).json({
+            error: errorHandler.getErrorMessage(err)
+        })
+    }
+}
+
+//Changing the email address
+/*When the Express app gets a PUT request at '/api/users/:userId/email', a confirmation link is emailed to the new
+address in req.body, once the current password is checked. Any link sent before is discarded. The old address gets
+a notice, so the owner of the account learns about a change they didn't ask for.*/
+const requestEmailChange = async (req, res) => {
+    try {
+        if (!await checkPassword(req, res)) return
+
+        let user = req.profile
+        const email = String(req.body.email || '').trim()
+        if (!/.+\@.+\..+/.test(email)) return res.status(400).json({ error: 'Please fill a valid email address' })
+        if (email === user.email) return res.status(400).json({ error: 'This is already your email address' })
+        if (await User.exists({ email: email })) return res.status(400).json({ error: 'Email already exists' })
+
+        await OneTimeToken.deleteMany({ user: user._id, purpose: 'email-change', used: null })
+        const token = tokens.randomToken()
+        await new OneTimeToken({
+            hash: tokens.hashToken(token),
+            user: user._id,
+            purpose: 'email-change',
+            data: { email },
+            expires: new Date(Date.now() + config.emailChangeTTL * 1000)
+        }).save()
+        await audit.record(req, 'email-change-requested', { details: { email } })
+
+        await mailer.send({
+            to: email,
+            subject: 'Confirm your new MERN Social email address',
+            text: 'Hi ' + user.name + ',\n\n' +
+                'To use this address for your MERN Social account, open the link below.\n\n' +
+                config.appUrl + '/confirm-email/' + token + '\n\n' +
+                'The link expires in ' + Math.round(config.emailChangeTTL / 3600) + ' hours. ' +
+                'If you didn\'t ask for it, you can ignore this email.'
+        })
+        await mailer.send({
+            to: user.email,
+            subject: 'Your MERN Social email address is being changed',
+            text: 'Hi ' + user.name + ',\n\n' +
+                'Somebody asked to change the email address of your MERN Social account to ' + email + '. ' +
+                'The change will take effect once the new address is confirmed.\n\n' +
+                'If it wasn\'t you, change your password and sign out your other sessions from your profile.'
+        })
+        return res.json({ message: 'A confirmation link has been sent to ' + email + '.' })
+    }
+    catch(err) {
+        console.log(err)
+        return res.status(400).json({ error: 'Could not change the email address' })
+    }
+}
+
+/*When the Express app gets a POST request at '/auth/email/confirm', the token from the confirmation link is consumed,
+and the new address it was issued for replaces the user's email address, already verified.*/
+const confirmEmailChange = async (req, res) => {
+    const invalid = { error: 'This confirmation link is invalid or has expired' }
+    try {
+        let claimed = await OneTimeToken.findOneAndUpdate({
+            hash: tokens.hashToken(req.body.token),
+            purpose: 'email-change',
+            used: null,
+            expires: { $gt: Date.now() }
+        }, { used: Date.now() })
+        if (!claimed) return res.status(400).json(invalid)
+
+        let user = await User.findById(claimed.user)
+        if (!user) return res.status(400).json(invalid)
+        const previous = user.email
+        user.email = claimed.data.email
+        user.verified = true
+        user.updated = Date.now()
+        await user.save()
+        await audit.record(req, 'email-changed', { actor: user._id, details: { from: previous, to: user.email } })
+        return res.json({ message: 'Your email address has been changed.', email: user.email, verified: true })
+    }
+    catch(err) {
+        return res.status(400).json({
+            error: errorHandler.getErrorMessage(err) || invalid.error
+        })
+    }
+}
+
+export default { changePassword, requestEmailChange, confirmEmailChange }
@@ -0,0 +1,54 @@
+/*The admin controller holds the actions that only admins can take on other users' accounts, such as listing
+every account with its email and role, and changing the role of a user.
+Deleting any user or post is done with the remove methods of the user and post controllers, on the admin routes
+that are protected with requireRole('admin').*/
+
+import errorHandler from '../helpers/dbErrorHandler';
+import User from '../models/user.model';
+import audit from '../helpers/audit';
+
+const ROLES = ['user', 'moderator', 'admin']
+
+//Listing all the users with the fields admins need to manage them
+const listUsers = async (req, res) => {
+    try {
+        let users = await User.find().select('name username email role verified created photo').sort('-created')
+        res.json(users)
+    }
+    catch (err) {
+        return res.status(400).json({
+            error: errorHandler.getErrorMessage(err)
+        })
+    }
+}
+
+/*When the Express app gets a PUT request at '/api/admin/users/:userId/role', the role in req.body is given to the
+user loaded by userByID. Admins can't change their own role, so there is always at least one admin left.*/
+const setRole = async (req, res) => {
+    if (!ROLES.includes(req.body.role)) {
+        return res.status(400).json({
+            error: 'Invalid role'
+        })
+    }
+    if (req.profile._id == req.auth._id) {
+        return res.status(400).json({
+            error: 'You can\'t change your own role'
+        })
+    }
+    try {
+        let user = await User.findByIdAndUpdate(req.profile._id, { role: req.body.role }, { new: true })
+                            .select('name username email role verified created photo')
+        await audit.record(req, 'role-changed', {
+            subject: req.profile._id,
+            details: { from: req.profile.role, to: req.body.role }
+        })
+        res.json(user)
+    }
+    catch (err) {
+        return res.status(400).json({
+            error: errorHandler.getErrorMessage(err)
+        })
+    }
+}
+
+export default { listUsers, setRole }
@@ -0,0 +1,85 @@
+/*The audit controller lets users see the recent security events of their own account, and lets admins search the
+whole audit log.
+Events are returned with the most recent first, a page at a time. To get the next page, the client passes the
+'created' date of the last event it got as the 'before' parameter.*/
+
+import mongoose from 'mongoose';
+import errorHandler from '../helpers/dbErrorHandler';
+import AuditEvent from '../models/auditEvent.model';
+
+const DEFAULT_LIMIT = 50
+const MAX_LIMIT = 200
+
+const pageSize = (limit) => Math.min(parseInt(limit) || DEFAULT_LIMIT, MAX_LIMIT)
+
+const isDate = (value) => value && !isNaN(new Date(value))
+
+/*The users in the events are populated with userFields. Users only get the names of the others in their own events,
+such as who followed them, while admins also get the email addresses.*/
+const find = (query, params, userFields) => {
+    if (isDate(params.before)) query.created = { ...query.created, $lt: new Date(params.before) }
+    return AuditEvent.find(query)
+                     .sort('-created')
+                     .limit(pageSize(params.limit))
+                     .populate('actor', userFields)
+                     .populate('subject', userFields)
+                     .exec()
+}
+
+/*The mine controller function returns the events the signed-in user took part in, either as the actor, such as
+their sign-ins, or as the subject, such as an admin changing their role.*/
+const mine = async (req, res) => {
+    try {
+        let events = await find({ $or: [ { actor: req.auth._id }, { subject: req.auth._id } ] }, req.query, '_id name username')
+        res.json(events)
+    }
+    catch(err) {
+        return res.status(400).json({
+            error: errorHandler.getErrorMessage(err)
+        })
+    }
+}
+
+/*The list controller function returns the events that match the filters in the query string: the event name, the
+actor, the subject (or 'user', for either of them), the IP address, and a 'from' and 'to' date range. Malformed
+user IDs and dates are refused rather than ignored, so a typo doesn't widen the search.*/
+const list = async (req, res) => {
+    const { event, actor, subject, user, ip, from, to } = req.query
+    let query = {}
+
+    for (let id of [actor, subject, user]) {
+        if (id && !mongoose.Types.ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid user ID' })
+    }
+    for (let date of [from, to]) {
+        if (date && !isDate(date)) return res.status(400).json({ error: 'Invalid date' })
+    }
+    if (event && !AuditEvent.EVENTS.includes(event)) return res.status(400).json({ error: 'Unknown event' })
+
+    if (event) query.event = event
+    if (actor) query.actor = actor
+    if (subject) query.subject = subject
+    if (user) query.$or = [ { actor: user }, { subject: user } ]
+    if (ip) query.ip = String(ip)
+    if (from || to) {
+        query.created = {}
+        if (from) query.created.$gte = new Date(from)
+        if (to) query.created.$lte = new Date(to)
+    }
+
+    try {
+        let events = await find(query, req.query, '_id name username email')
+        res.json(events)
+    }
+    catch(err) {
+        return res.status(400).json({
+            error: errorHandler.getErrorMessage(err)
+        })
+    }
+}
+
+/*The names of the events, for the filters of the admin's audit log.*/
+const events = (req, res) => {
+    return res.json(AuditEvent.EVENTS)
+}
+
+export default { mine, list, events }
@@ -4,59 +4,271 @@ but also provide JWT and express-jwt functionality to enable authentication and
 protected user API endpoints.*/
 
 import User from '../models/user.model';
+import RefreshToken from '../models/refreshToken.model';
+import Session from '../models/session.model';
+import AccessToken from '../models/accessToken.model';
 import jwt from 'jsonwebtoken';
 import expressJwt from 'express-jwt';
 import config from './../../config/config';
+import tokens from '../helpers/tokens';
+import limiter from '../helpers/limiter';
+import audit from '../helpers/audit';
+import csrf from '../helpers/csrf';
+
+/*The refresh token cookie is httpOnly, so it can't be read by scripts running in the page, and it is
+only sent to the '/auth' routes, where it is needed.
+Several accounts can be signed in on the same browser, so each one has its own refresh token cookie, named after the
+user's ID, and the client tells '/auth/refresh' and '/auth/signout' which account it means.*/
+const refreshCookie = {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: config.env === 'production',
+    path: '/auth'
+}
+const refreshCookieName = userId => 'rt_' + userId
+
+//The cookie of the account in req.body.account, if it is a well-formed user ID
+const accountCookie = req => {
+    const account = String(req.body.account || '')
+    return /^[0-9a-f]{24}$/.test(account) ? refreshCookieName(account) : null
+}
+
+/*In the cookie auth mode, the access token is kept in the 't' cookie instead of being handed to the client. It is
+sent to every route, including top-level navigations from other sites (SameSite lax), so the server can render the
+pages for the signed-in user, and state-changing requests are protected with CSRF tokens.*/
+const accessCookie = {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: config.env === 'production',
+    path: '/'
+}
+const cookieMode = config.authMode === 'cookie'
+
+//Issuing tokens
+/*Every successful sign-in ends here. A session is recorded for the device that signed in, then a short-lived
+access token is signed with the user's _id, role and the session's jti and returned in the response body, together
+with the user's details, while a new refresh token is stored (hashed) in the database and set in the user's 'rt_' cookie.
+When a rotated refresh token is being replaced, the existing session is passed in options.session and kept alive instead.
+A new session is remembered when options.remember is set, that is when the user ticked "remember me": its refresh token
+cookie is kept for config.refreshTokenTTL. Otherwise the cookie is only kept until the browser is closed, and the session
+expires after config.browserSessionTTL without being refreshed.
+Sign-ins that end with a redirect rather than a JSON response, such as OpenID Connect, only call issueSession to set
+the cookies, and the client gets its access token from '/auth/refresh'.
+Every new session is recorded in the audit log as a sign-in, whichever way the user signed in.
+In the cookie auth mode, the JWT is set in the 't' cookie along with the CSRF token cookie, and left out of the response.
+*/
+const issueSession = async (req, res, user, options = {}) => {
+    let session = options.session
+    if (!session) {
+        session = new Session({
+            jti: tokens.randomToken(16),
+            user: user._id,
+            device: req.get('User-Agent'),
+            ip: req.ip,
+            remember: Boolean(options.remember)
+        })
+        await audit.record(req, 'signin', { actor: user._id })
+    }
+    const ttl = session.remember ? config.refreshTokenTTL : config.browserSessionTTL
+    const expires = new Date(Date.now() + ttl * 1000)
+    session.lastSeen = Date.now()
+    session.expires = expires
+    await session.save()
+
+    const token = jwt.sign(
+        { _id: user._id, jti: session.jti, role: user.role },
+        config.jwtSecret,
+        { expiresIn: config.accessTokenTTL }
+    );
+    const refreshToken = tokens.randomToken(48)
+
+    await new RefreshToken({
+        hash: tokens.hashToken(refreshToken),
+        user: user._id,
+        family: session.jti,
+        expires: expires
+    }).save()
+
+    res.cookie(refreshCookieName(user._id), refreshToken, session.remember ? { ...refreshCookie, maxAge: ttl * 1000 } : refreshCookie)
+    if (cookieMode) {
+        res.cookie('t', token, { ...accessCookie, maxAge: config.accessTokenTTL * 1000 })
+        csrf.setCookie(req, res)
+    }
+
+    return {
+        token: cookieMode ? undefined : token,
+        user: clientUser(user)
+    }
+}
+
+//The details of the signed-in user that the client keeps with its credentials
+const clientUser = (user) => ({
+    _id: user._id,
+    name: user.name,
+    username: user.username,
+    email: user.email,
+    photo: user.photo,
+    verified: user.verified,
+    role: user.role
+})
+
+const sendAuthResponse = async (req, res, user, options) => {
+    return res.json(await issueSession(req, res, user, options))
+}
+
+/*Once a user has proven who they are, finishSignin either signs them in, or, when they have turned on
+two-factor authentication, answers with a short-lived challenge token instead. The client then has to post
+that token with a code from the authenticator app to '/auth/signin/2fa' to get a session.
+The "remember me" choice is carried in the challenge, since the session is only created once the code is checked.*/
+const twoFactorChallenge = (user, remember) => {
+    return jwt.sign(
+        { _id: user._id, purpose: '2fa', remember: Boolean(remember) },
+        config.jwtSecret,
+        { expiresIn: config.twoFactorChallengeTTL }
+    )
+}
+
+const finishSignin = async (req, res, user, remember) => {
+    if (user.twoFactor && user.twoFactor.enabled) {
+        return res.json({ twoFactorRequired: true, challenge: twoFactorChallenge(user, remember) })
+    }
+    return await sendAuthResponse(req, res, user, { remember })
+}
+
+/*Revoking the sessions that match the query also revokes their refresh tokens, so they can't be renewed.*/
+const revokeSessions = async (query) => {
+    let sessions = await Session.find({ ...query, revoked: false }).select('jti')
+    let jtis = sessions.map( session => session.jti )
+    await Session.updateMany({ jti: { $in: jtis } }, { revoked: true })
+    await RefreshToken.updateMany({ family: { $in: jtis } }, { revoked: true })
+}
 
 //Signin
 /*When the Express app gets a POST request at '/auth/signin', it executes the signin controller function.
 The POST request object receives the email and password in req.body. This email is used to retrieve a
 matching user from the database. Then, the password authentication method defined in UserSchema is used to
 verify the password that's received in req.body from the client.
-If the password is successfully verified, the JWT module is used to generate a signed JWT using a secret key
-and the user's _id value.
-Then, the signed JWT is returned to the authenticated client, along with the user's details. Optionally, we
-can also set the token to a cookie in the response object so that it is available to the client-side if cookies
-are the chosen form of JWT storage. On the client-side, this token must be attached as an Authorization header
-when requesting protected routes from the server. To sign-out a user, the client-side can simply delete this
-token depending on how it is being stored.
+If the password is successfully verified, sendAuthResponse generates a signed JWT that expires after
+config.accessTokenTTL seconds, and a refresh token that the client can exchange for a new JWT at '/auth/refresh'.
+Users with two-factor authentication get a challenge token instead, as explained in finishSignin.
+Then, the signed JWT is returned to the authenticated client, along with the user's details. On the client-side,
+this token must be attached as an Authorization header when requesting protected routes from the server.
 */
+/*Failed sign-ins are counted per account and per IP address by the limiter, which locks them out for a while
+when there are too many. Whatever went wrong, the same message is returned, and a password is hashed even when
+there is no account for the email, so the response doesn't tell whether an account exists.*/
+const signinRules = (req) => [
+    { key: 'signin-account:' + String(req.body.email).toLowerCase(), ...config.limiter.account },
+    { key: 'signin-ip:' + req.ip, ...config.limiter.ip }
+]
+const signinFailed = { error: 'Invalid email or password' }
+const dummyUser = new User()
+dummyUser.setPassword(tokens.randomToken()).catch( err => console.log(err) )
+
 const signin = async (req, res) => {
     try {
-        let user = await User.findOne({ 'email': req.body.email })
+        const rules = signinRules(req)
+        const seconds = await limiter.lockedFor(rules)
+        if (seconds) return limiter.tooManyAttempts(res, seconds)
 
-        if (!user) return res.status(401).json({ error: 'User not found'})
-        if (!user.authenticate(req.body.password)) return res.status(401).send({ error: 'Email and password do not match.'})
+        let user = await User.findOne({ 'email': String(req.body.email) })
 
-        const token = jwt.sign({ _id: user._id }, config.jwtSecret);
-        res.cookie('t', token, { expire: new Date() + 9999 })
+        if (!await (user || dummyUser).authenticate(req.body.password) || !user) {
+            await limiter.fail(rules)
+            await audit.record(req, 'signin-failed', {
+                actor: user ? user._id : undefined,
+                details: { email: String(req.body.email) }
+            })
+            return res.status(401).json(signinFailed)
+        }
+        await limiter.reset(rules.slice(0, 1))
 
-        return res.json({
-            token,
-            user: {
-                _id: user._id,
-                name: user.name,
-                email: user.email,
-                photo: user.photo
-            }
-        })
+        //Passwords still hashed in an older format were hashed again by authenticate, and the new hash is stored
+        if (user.isModified('hashed_password')) await user.save({ validateBeforeSave: false })
+
+        return await finishSignin(req, res, user, req.body.remember)
     }
     catch(err) {
         return res.status(401).json({ error: 'Could not sign in'})
     }
 }
 
+//Refreshing the access token
+/*When the Express app gets a POST request at '/auth/refresh', the refresh token in the cookie of the account in req.body is exchanged
+for a new access token and a new refresh token (rotation), and the presented token can't be used again.
+If a token that was already used or revoked is presented, somebody else holds a copy of it. In that case the session
+the token belongs to is revoked, and both the legitimate user and the attacker will have to sign in again.
+In the cookie auth mode, the request needs the CSRF token like any other state-changing request, and the access token
+cookie is replaced with one for this account, which makes it the active account of the browser.
+*/
+const refresh = async (req, res) => {
+    const cookie = accountCookie(req)
+    const presented = cookie && req.cookies[cookie]
+    if (!presented) return res.status(401).json({ error: 'Refresh token required' })
+
+    try {
+        let stored = await RefreshToken.findOne({ hash: tokens.hashToken(presented) })
+        if (!stored || stored.expires < Date.now() || cookie !== refreshCookieName(stored.user)) {
+            res.clearCookie(cookie, refreshCookie)
+            return res.status(401).json({ error: 'Invalid refresh token' })
+        }
+        if (cookieMode && !csrf.verify(req)) {
+            return res.status(403).json({ error: 'Invalid CSRF token' })
+        }
+
+        /*Marking the token as used is done atomically, so two requests racing with the same token can't
+        both get a new one.*/
+        let claimed = await RefreshToken.findOneAndUpdate(
+            { _id: stored._id, used: null, revoked: false },
+            { used: Date.now() }
+        )
+        if (!claimed) {
+            await revokeSessions({ jti: stored.family })
+            res.clearCookie(cookie, refreshCookie)
+            return res.status(401).json({ error: 'Refresh token reuse detected' })
+        }
+
+        let session = await Session.findOne({ jti: stored.family, revoked: false })
+        let user = await User.findById(stored.user)
+        if (!session || !user) {
+            res.clearCookie(cookie, refreshCookie)
+            return res.status(401).json({ error: 'Session has been revoked' })
+        }
+
+        return await sendAuthResponse(req, res, user, { session })
+    }
+    catch(err) {
+        return res.status(401).json({ error: 'Could not refresh the session' })
+    }
+}
+
 //Signout
-/*When the Express app gets a GET request at '/auth/signout', it executes the signout controller function.
-The signout function clears the response cookie containing the signed JWT. This is an optional endpoint and
-not really necessary for auth purposes if cookies are not used at all in the frontend.
-With JWT, user state storage is the client's responsibility, and there are multiple options for client-side
-storage besides cookies. On signout, the client needs to delete the token on the client-side to establish
-that the user is no longer authenticated. On the server-side, we can use and verify the token that's generated
-at sign-in to protect routes that should not be accessed without valid authentication.
+/*When the Express app gets a POST request at '/auth/signout', it executes the signout controller function.
+The signout function revokes the session of the current sign-in, which invalidates both its access token and its
+refresh tokens, and clears the cookies containing the signed JWT and the refresh token.
+On signout, the client also needs to delete the access token it stored.
+It is a POST request so that other sites can't sign users out with a link, and in the cookie auth mode it needs the
+CSRF token. Only the account in req.body is signed out, the other accounts signed in on the browser stay signed in.
 */
-const signout = (req, res) => {
-    res.clearCookie('t')
+const signout = async (req, res) => {
+    const cookie = accountCookie(req)
+    try {
+        if (cookie && req.cookies[cookie]) {
+            let stored = await RefreshToken.findOne({ hash: tokens.hashToken(req.cookies[cookie]) })
+            if (stored && cookieMode && !csrf.verify(req)) {
+                return res.status(403).json({ error: 'Invalid CSRF token' })
+            }
+            if (stored) {
+                await revokeSessions({ jti: stored.family })
+                await audit.record(req, 'signout', { actor: stored.user })
+            }
+        }
+    }
+    catch(err) {
+        console.log(err)
+    }
+    res.clearCookie('t', accessCookie)
+    if (cookie) res.clearCookie(cookie, refreshCookie)
     return res.status(200).json({ message: 'Signed out'})
 }
 
@@ -69,15 +281,149 @@ we will use the express-jwt module.*/
 
 //Requiring sign-in
 /*This method uses express-jwt to verify that the incoming request has a valid JWT in the Authorization header.
-If the token is valid, it appends the verified user's ID in an 'auth' key to the request object; otherwise,
-it throws an authentication error.
+If the token is valid, it appends the verified user's ID and the session's jti in an 'auth' key to the request object;
+otherwise, it throws an authentication error.
+Then, checkSession makes sure that the session the token was issued for hasn't been revoked, and records when it was
+last used.
 We can add requireSignin to any route that should be protected against unauthenticated access.
 */
-const requireSignin = expressJwt({
+/*Scripts can authenticate with a personal access token instead, sent the same way in the Authorization header. It
+is looked up by its hash, and req.auth gets the owner's _id and role along with the scopes of the token. Since a
+token is only meant for the routes its scopes allow, it is refused on any route that doesn't declare a scope with
+requireScope, such as the account and admin routes.
+*/
+/*In the cookie auth mode, requests without an Authorization header are authenticated with the 't' cookie, and the
+state-changing ones are refused without the CSRF token of the session.
+*/
+const bearerToken = req => {
+    const header = req.headers.authorization || ''
+    return header.startsWith('Bearer ') ? header.slice(7) : null
+}
+
+const verifyJwt = expressJwt({
     secret: config.jwtSecret,
     userProperty: 'auth'
 })
 
+const verifyCookieJwt = expressJwt({
+    secret: config.jwtSecret,
+    userProperty: 'auth',
+    getToken: req => req.cookies.t || null
+})
+
+const checkAccessToken = async (req, res, next, token) => {
+    try {
+        let accessToken = await AccessToken.findOne({ hash: tokens.hashToken(token) })
+        if (!accessToken || (accessToken.expires && accessToken.expires < Date.now())) {
+            return res.status(401).json({ error: 'Invalid access token' })
+        }
+        const scoped = req.route.stack.some( layer => layer.handle.scope )
+        if (!scoped) return res.status(403).json({ error: 'This route can\'t be used with an access token' })
+
+        let user = await User.findById(accessToken.user).select('role')
+        if (!user) return res.status(401).json({ error: 'Invalid access token' })
+
+        if (!accessToken.lastUsed || Date.now() - accessToken.lastUsed > 60 * 1000) {
+            await AccessToken.updateOne({ _id: accessToken._id }, { lastUsed: Date.now() })
+        }
+        req.auth = { _id: String(user._id), role: user.role, scopes: accessToken.scopes }
+        next()
+    }
+    catch(err) {
+        return res.status(401).json({ error: 'Could not verify the access token' })
+    }
+}
+
+const verifyToken = (req, res, next) => {
+    const token = bearerToken(req)
+    if (token && token.startsWith(AccessToken.PREFIX)) return checkAccessToken(req, res, next, token)
+    if (token || !cookieMode) return verifyJwt(req, res, next)
+    verifyCookieJwt(req, res, err => {
+        if (err) return next(err)
+        if (!csrf.isSafe(req) && !csrf.verify(req)) {
+            return res.status(403).json({ error: 'Invalid CSRF token' })
+        }
+        next()
+    })
+}
+
+const checkSession = async (req, res, next) => {
+    //Access tokens have no session, they were checked in verifyToken
+    if (req.auth.scopes) return next()
+    try {
+        let session = await Session.findOne({ jti: req.auth.jti, user: req.auth._id })
+        if (!session || session.revoked) return res.status(401).json({ error: 'Session has been revoked' })
+
+        //The last seen time doesn't need to be exact, so the session is only written once a minute
+        if (Date.now() - session.lastSeen > 60 * 1000) {
+            await Session.updateOne({ _id: session._id }, { lastSeen: Date.now(), ip: req.ip })
+        }
+        next()
+    }
+    catch(err) {
+        return res.status(401).json({ error: 'Could not verify the session' })
+    }
+}
+
+const requireSignin = [
+    verifyToken,
+    checkSession
+]
+
+/*The route parameters, such as :userId with userByID, are loaded before the route's own middleware runs, so req.auth
+isn't set yet when they are. viewer tells who sent the request from the same credentials requireSignin takes, and
+returns their _id and role, or null for anonymous requests and invalid tokens. It doesn't check the session or the
+scopes: it only decides what the requester may see, and requireSignin still refuses the request afterwards if needed.*/
+const viewer = async (req) => {
+    if (req.auth) return { _id: String(req.auth._id), role: req.auth.role }
+    const token = bearerToken(req) || (cookieMode && req.cookies.t) || null
+    if (!token) return null
+    try {
+        if (token.startsWith(AccessToken.PREFIX)) {
+            let accessToken = await AccessToken.findOne({ hash: tokens.hashToken(token) })
+            if (!accessToken || (accessToken.expires && accessToken.expires < Date.now())) return null
+            let user = await User.findById(accessToken.user).select('role')
+            return user ? { _id: String(user._id), role: user.role } : null
+        }
+        //Only access tokens carry a session's jti, unlike the other tokens signed with the same secret
+        const payload = jwt.verify(token, config.jwtSecret)
+        return payload.jti && !payload.purpose ? { _id: String(payload._id), role: payload.role } : null
+    }
+    catch(err) {
+        return null
+    }
+}
+
+/*In the cookie auth mode, the server renders the pages for the user signed in with the 't' cookie. pageUser returns
+the details the client keeps about that user, the same as on sign-in, or null when nobody is signed in, the token has
+expired or its session was revoked. The client then tries to refresh the session itself.*/
+const pageUser = async (req) => {
+    if (!cookieMode || !req.cookies.t) return null
+    try {
+        const payload = jwt.verify(req.cookies.t, config.jwtSecret)
+        if (!await Session.exists({ jti: payload.jti, user: payload._id, revoked: false })) return null
+        let user = await User.findById(payload._id).select('name username email photo verified role')
+        return user ? clientUser(user) : null
+    }
+    catch(err) {
+        return null
+    }
+}
+
+//Requiring a scope
+/*Routes that scripts may call with a personal access token declare the scope they need by adding requireScope after
+requireSignin, for example requireScope('posts:write'). Browser sessions signed in with a JWT have every scope.*/
+const requireScope = (scope) => {
+    const middleware = (req, res, next) => {
+        if (req.auth.scopes && !req.auth.scopes.includes(scope)) {
+            return res.status(403).json({ error: 'The access token is missing the ' + scope + ' scope' })
+        }
+        next()
+    }
+    middleware.scope = scope
+    return middleware
+}
+
 //Authorizing signed in users
 /*For some of the protected routes, such as update and delete, on top of checking for authentication we also want
 to make sure the requesting user is only updating or deleting their own user information.
@@ -93,4 +439,32 @@ const hasAuthorization = (req, res, next) => {
     next()
 }
 
-export default { signin, signout, requireSignin, hasAuthorization }
\ No newline at end of file
+//Requiring a role
+/*Routes reserved to admins or moderators check the role carried in the JWT with requireRole, which is added after
+requireSignin with the roles that are allowed, for example requireRole('moderator', 'admin').*/
+const requireRole = (...roles) => {
+    return (req, res, next) => {
+        if (!req.auth || !roles.includes(req.auth.role)) {
+            return res.status(403).json({ error: 'User is not authorized' })
+        }
+        next()
+    }
+}
+
+//Requiring a verified email address
+/*Some actions, such as posting, are only allowed once the signed-in user has verified their email address. The
+requireVerified method is added to those routes after requireSignin.*/
+const requireVerified = async (req, res, next) => {
+    try {
+        let user = await User.findById(req.auth._id).select('verified')
+        if (!user || !user.verified) {
+            return res.status(403).json({ error: 'Please verify your email address first' })
+        }
+        next()
+    }
+    catch(err) {
+        return res.status(403).json({ error: 'Could not verify the email address' })
+    }
+}
+
+export default { signin, refresh, signout, pageUser, issueSession, sendAuthResponse, twoFactorChallenge, finishSignin, revokeSessions, requireSignin, viewer, requireScope, requireRole, requireVerified, hasAuthorization }
\ No newline at end of file
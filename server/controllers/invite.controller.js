@@ -0,0 +1,124 @@
+/*The invite controller lets users create invite codes to share, list the ones they made with the people who signed
+up with them, and delete them. Depending on config.invites.createdBy, every verified user or only admins can make
+invites.
+It also claims the code given on signup, which the user controller requires when config.invites.required is set.*/
+
+import errorHandler from '../helpers/dbErrorHandler';
+import Invite from '../models/invite.model';
+import tokens from '../helpers/tokens';
+import config from './../../config/config';
+import authCtrl from './auth.controller';
+
+const DAY = 24 * 60 * 60 * 1000
+
+//Only admins can make invites when config.invites.createdBy is 'admin'
+const canCreate = config.invites.createdBy === 'admin'
+    ? authCtrl.requireRole('admin')
+    : (req, res, next) => next()
+
+const list = async (req, res) => {
+    try {
+        let invites = await Invite.find({ createdBy: req.auth._id })
+                                  .populate('usedBy', '_id name')
+                                  .sort('-created')
+        res.json(invites)
+    }
+    catch(err) {
+        return res.status(400).json({
+            error: errorHandler.getErrorMessage(err)
+        })
+    }
+}
+
+/*When the Express app gets a POST request at '/api/invites', a new code is created for the signed-in user, with the
+number of signups it allows and the number of days it lasts given in req.body, within the limits of the config.*/
+const create = async (req, res) => {
+    const maxUses = Number(req.body.maxUses) || 1
+    const days = Number(req.body.expiresInDays) || config.invites.ttl
+    if (maxUses > config.invites.maxUses) {
+        return res.status(400).json({ error: 'An invite can be used at most ' + config.invites.maxUses + ' times' })
+    }
+    if (days <= 0 || days > config.invites.maxTTL) {
+        return res.status(400).json({ error: 'An invite can last at most ' + config.invites.maxTTL + ' days' })
+    }
+    try {
+        let invite = await new Invite({
+            code: tokens.randomToken(8),
+            createdBy: req.auth._id,
+            maxUses: maxUses,
+            expires: new Date(Date.now() + days * DAY)
+        }).save()
+        res.json(invite)
+    }
+    catch(err) {
+        return res.status(400).json({
+            error: errorHandler.getErrorMessage(err)
+        })
+    }
+}
+
+/*Whenever a route with the :inviteId parameter is requested, the invite is loaded in req.invite.*/
+const inviteByID = async (req, res, next, id) => {
+    try {
+        let invite = await Invite.findById(id)
+        if (!invite) {
+            return res.status(400).json({
+                error: 'Invite not found'
+            })
+        }
+        req.invite = invite
+        next()
+    }
+    catch(err) {
+        return res.status(400).json({
+            error: 'Could not retrieve invite'
+        })
+    }
+}
+
+/*The isOwner method checks whether the invite was made by the signed-in user before executing the next method.*/
+const isOwner = (req, res, next) => {
+    let isOwner = req.invite && req.auth && req.invite.createdBy == req.auth._id
+    if (!isOwner) {
+        return res.status(403).json({
+            error: 'User is not authorized'
+        })
+    }
+    next()
+}
+
+//Deleting an invite stops it from being used, the users who already signed up with it keep their invitedBy link
+const remove = async (req, res) => {
+    try {
+        await req.invite.remove()
+        res.json({ message: 'Invite deleted' })
+    }
+    catch(err) {
+        return res.status(400).json({
+            error: errorHandler.getErrorMessage(err)
+        })
+    }
+}
+
+/*Claims one use of the invite with the given code, and returns it, or returns null if there is no such invite, or it
+has expired or been used up. The use is counted atomically, so concurrent signups can't go over the limit. If the
+account can't be created after all, release gives the use back.*/
+const claim = async (code) => {
+    if (!code) return null
+    return await Invite.findOneAndUpdate({
+        code: String(code).trim(),
+        expires: { $gt: Date.now() },
+        $expr: { $lt: [ '$uses', '$maxUses' ] }
+    }, { $inc: { uses: 1 } })
+}
+
+const release = async (invite) => {
+    await Invite.updateOne({ _id: invite._id }, { $inc: { uses: -1 } })
+}
+
+//Records the new user in the list of the signups made with the invite
+const used = async (invite, user) => {
+    await Invite.updateOne({ _id: invite._id }, { $push: { usedBy: user._id } })
+}
+
+export default { canCreate, list, create, inviteByID, isOwner, remove, claim, release, used }
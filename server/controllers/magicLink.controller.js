@@ -0,0 +1,105 @@
+/*The magic link controller lets users sign in without their password, with a link emailed to them.
+A link only works once, for a few minutes, and only in the browser that asked for it: when the link is requested,
+a random secret is set in an httpOnly cookie of that browser, and the token in the link is bound to the hash of
+that secret. Somebody who gets hold of the email can't use the link from another browser.
+*/
+
+import User from '../models/user.model';
+import OneTimeToken from '../models/oneTimeToken.model';
+import tokens from '../helpers/tokens';
+import mailer from '../helpers/mailer';
+import config from './../../config/config';
+import authCtrl from './auth.controller';
+
+const bindingCookie = {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: config.env === 'production',
+    path: '/auth/magic-link'
+}
+
+//Requesting a link
+/*When the Express app gets a POST request at '/auth/magic-link', a sign-in link is emailed to the user with the email
+in req.body, and the browser gets the secret the link is bound to in the 'mlb' cookie. Any link sent to the user
+before is discarded, so only the latest one works. The "remember me" choice made when asking for the link is kept with it.
+The response is the same whether an account with that email exists or not.
+*/
+const request = async (req, res) => {
+    const message = 'If an account exists for this email, a sign-in link has been sent to it. Open it in this browser.'
+    try {
+        const binding = tokens.randomToken()
+        res.cookie('mlb', binding, { ...bindingCookie, maxAge: config.magicLinkTTL * 1000 })
+
+        let user = await User.findOne({ 'email': String(req.body.email) })
+        if (!user) return res.json({ message })
+
+        await OneTimeToken.deleteMany({ user: user._id, purpose: 'magic-link', used: null })
+        const token = tokens.randomToken()
+        await new OneTimeToken({
+            hash: tokens.hashToken(token),
+            user: user._id,
+            purpose: 'magic-link',
+            binding: tokens.hashToken(binding),
+            data: { remember: Boolean(req.body.remember) },
+            expires: new Date(Date.now() + config.magicLinkTTL * 1000)
+        }).save()
+
+        const link = config.appUrl + '/magic-link/' + token
+        await mailer.send({
+            to: user.email,
+            subject: 'Your MERN Social sign-in link',
+            text: 'Hi ' + user.name + ',\n\n' +
+                'To sign in to MERN Social, open the link below in the same browser you asked for it from.\n\n' +
+                link + '\n\n' +
+                'The link expires in ' + Math.round(config.magicLinkTTL / 60) + ' minutes and can only be used once. ' +
+                'If you didn\'t ask for it, you can ignore this email.'
+        })
+        return res.json({ message })
+    }
+    catch(err) {
+        console.log(err)
+        return res.status(400).json({ error: 'Could not send the sign-in link' })
+    }
+}
+
+//Signing in with a link
+/*When the Express app gets a POST request at '/auth/magic-link/signin', the token in req.body is looked up by its hash,
+and it is consumed if it is a sign-in link that hasn't expired or been used, and the 'mlb' cookie of the browser holds
+the secret it is bound to. Since only the owner of the address could open the link, the address is marked as verified.
+Then the user is signed in like with a password, which means that users with two-factor authentication still have to
+enter a code.
+*/
+const signin = async (req, res) => {
+    const invalid = { error: 'This sign-in link is invalid or has expired' }
+    try {
+        let magicLink = await OneTimeToken.findOne({
+            hash: tokens.hashToken(req.body.token),
+            purpose: 'magic-link',
+            used: null,
+            expires: { $gt: Date.now() }
+        })
+        if (!magicLink) return res.status(400).json(invalid)
+
+        if (!req.cookies.mlb || tokens.hashToken(req.cookies.mlb) !== magicLink.binding) {
+            return res.status(400).json({ error: 'Please open the sign-in link in the browser you asked for it from' })
+        }
+
+        let claimed = await OneTimeToken.findOneAndUpdate({ _id: magicLink._id, used: null }, { used: Date.now() })
+        if (!claimed) return res.status(400).json(invalid)
+        res.clearCookie('mlb', bindingCookie)
+
+        let user = await User.findById(magicLink.user)
+        if (!user) return res.status(400).json(invalid)
+        if (!user.verified) {
+            user.verified = true
+            await User.updateOne({ _id: user._id }, { verified: true })
+        }
+
+        return await authCtrl.finishSignin(req, res, user, magicLink.data && magicLink.data.remember)
+    }
+    catch(err) {
+        return res.status(400).json(invalid)
+    }
+}
+
+export default { request, signin }
@@ -0,0 +1,265 @@
+/*The OIDC controller lets users sign in with an OpenID Connect provider configured in config.oidc, such as the
+company's identity provider, and link or unlink those providers to their account.
+The authorization code flow is used with PKCE: the browser is sent to the provider with a random state, nonce and
+code challenge, and comes back to the callback route with a code, which is exchanged for the user's ID token.
+The state is stored as a one-time token along with the PKCE verifier and the nonce, and it is bound to a cookie of
+the browser that started the flow, so a code can't be injected into somebody else's browser.
+The protocol itself is handled by openid-client.
+*/
+
+import { Issuer, generators } from 'openid-client';
+
+import User from '../models/user.model';
+import OneTimeToken from '../models/oneTimeToken.model';
+import tokens from '../helpers/tokens';
+import config from './../../config/config';
+import authCtrl from './auth.controller';
+
+/*The binding cookie has to be sent when the provider redirects the browser back to the app, which is a cross-site
+navigation, so it can't be sameSite strict.*/
+const bindingCookie = {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: config.env === 'production',
+    path: '/auth/oidc'
+}
+
+const redirectUri = provider => config.appUrl + '/auth/oidc/' + provider.id + '/callback'
+
+//The configuration of each provider is discovered once, the first time it is used
+const clients = {}
+const getClient = (provider) => {
+    if (!clients[provider.id]) {
+        clients[provider.id] = Issuer.discover(provider.issuer)
+            .then( issuer => new issuer.Client({
+                client_id: provider.clientId,
+                client_secret: provider.clientSecret,
+                redirect_uris: [ redirectUri(provider) ],
+                response_types: [ 'code' ],
+                token_endpoint_auth_method: provider.clientSecret ? 'client_secret_basic' : 'none'
+            }))
+            .catch( err => {
+                delete clients[provider.id]
+                throw err
+            })
+    }
+    return clients[provider.id]
+}
+
+/*The flow ends with a redirect to the OAuthComplete view of the client, which reads the outcome from the fragment of
+the URL, so it is never sent to the server or leaked in a Referer header.*/
+const complete = (res, params) => {
+    const fragment = Object.keys(params).map( key => key + '=' + encodeURIComponent(params[key]) ).join('&')
+    return res.redirect('/oauth/complete#' + fragment)
+}
+
+//Listing the providers, for the Sign In view
+const providers = (req, res) => {
+    res.json(config.oidc.providers.map( provider => ({ id: provider.id, name: provider.name }) ))
+}
+
+/*Whenever a route with the :provider parameter is requested, the provider is looked up in the config and loaded in
+req.oidcProvider.*/
+const providerByID = (req, res, next, id) => {
+    const provider = config.oidc.providers.find( provider => provider.id === id )
+    if (!provider) {
+        return res.status(400).json({
+            error: 'Provider not found'
+        })
+    }
+    req.oidcProvider = provider
+    next()
+}
+
+/*Starts the flow, for the signed-in user when linking a provider, and returns the URL the browser has to go to. The
+"remember me" choice of a sign-in is kept with the state until the browser comes back.*/
+const authorize = async (req, res, user) => {
+    try {
+        const provider = req.oidcProvider
+        const client = await getClient(provider)
+        const state = generators.state()
+        const nonce = generators.nonce()
+        const codeVerifier = generators.codeVerifier()
+        const binding = tokens.randomToken()
+
+        await new OneTimeToken({
+            hash: tokens.hashToken(state),
+            user: user,
+            purpose: 'oidc',
+            binding: tokens.hashToken(binding),
+            data: { provider: provider.id, nonce, codeVerifier, remember: Boolean(req.body.remember) },
+            expires: new Date(Date.now() + config.oidc.stateTTL * 1000)
+        }).save()
+        res.cookie('oidc', binding, { ...bindingCookie, maxAge: config.oidc.stateTTL * 1000 })
+
+        const url = client.authorizationUrl({
+            scope: provider.scope,
+            state: state,
+            nonce: nonce,
+            code_challenge: generators.codeChallenge(codeVerifier),
+            code_challenge_method: 'S256'
+        })
+        return res.json({ url })
+    }
+    catch(err) {
+        console.log(err)
+        return res.status(400).json({ error: 'Could not reach the sign-in provider' })
+    }
+}
+
+//When the Express app gets a POST request at '/auth/oidc/:provider/signin', it starts a sign-in with the provider
+const signin = (req, res) => authorize(req, res)
+
+//When the Express app gets a POST request at '/auth/oidc/:provider/link', it starts linking the provider to the signed-in user
+const link = (req, res) => authorize(req, res, req.auth._id)
+
+/*Finds the account to sign in with the identity returned by the provider. An identity that was linked before signs
+in its user. Otherwise, the account with the same email address is linked, if the provider has verified the address
+and so has the account, since an unverified account may have been created by someone who doesn't own the address.
+Without a matching account, a new one is created, verified, with a random password.*/
+const findOrCreateUser = async (provider, claims) => {
+    let user = await User.findOne({ identities: { $elemMatch: { provider: provider.id, subject: claims.sub } } })
+    if (user) return user
+
+    if (!claims.email || !claims.email_verified) {
+        throw new Error('Your ' + provider.name + ' account has no verified email address')
+    }
+    const identity = { provider: provider.id, subject: claims.sub, email: claims.email }
+
+    user = await User.findOne({ email: claims.email })
+    if (user) {
+        if (!user.verified) {
+            throw new Error('Please verify your email address, or sign in with your password, before signing in with ' + provider.name)
+        }
+        await User.updateOne({ _id: user._id }, { $push: { identities: identity } })
+        return user
+    }
+
+    //Invites can't be given through the provider, so new accounts must be created with the signup form
+    if (config.invites.required) {
+        throw new Error('Signing up is by invitation only. Please sign up with your invite link first')
+    }
+    user = new User({
+        name: claims.name || claims.email.split('@')[0],
+        username: await User.availableUsername(claims.preferred_username || claims.email.split('@')[0]),
+        email: claims.email,
+        password: tokens.randomToken(),
+        verified: true,
+        hasPassword: false,
+        identities: [ identity ]
+    })
+    return await user.save()
+}
+
+/*When the Express app gets a GET request at '/auth/oidc/:provider/callback', the browser is coming back from the
+provider. The state is consumed, which only works once and only in the browser that started the flow, then the code
+is exchanged for the ID token, whose signature, audience and nonce are checked by openid-client.
+When linking, the identity is added to the user that started the flow. Otherwise, the user is signed in, and the
+refresh token cookie is set for the client to get its access token, unless a two-factor code is still needed.
+*/
+const callback = async (req, res) => {
+    const provider = req.oidcProvider
+    let transaction
+    try {
+        transaction = await OneTimeToken.findOneAndUpdate({
+            hash: tokens.hashToken(String(req.query.state)),
+            purpose: 'oidc',
+            used: null,
+            expires: { $gt: Date.now() }
+        }, { used: Date.now() })
+    }
+    catch(err) {
+        transaction = null
+    }
+    res.clearCookie('oidc', bindingCookie)
+    if (!transaction || transaction.data.provider !== provider.id) {
+        return complete(res, { error: 'The sign-in has expired, please try again' })
+    }
+    if (!req.cookies.oidc || tokens.hashToken(req.cookies.oidc) !== transaction.binding) {
+        return complete(res, { error: 'Please finish the sign-in in the browser you started it from' })
+    }
+    if (req.query.error) {
+        return complete(res, { error: String(req.query.error_description || req.query.error) })
+    }
+
+    let claims
+    try {
+        const client = await getClient(provider)
+        const tokenSet = await client.callback(redirectUri(provider), client.callbackParams(req), {
+            state: String(req.query.state),
+            nonce: transaction.data.nonce,
+            code_verifier: transaction.data.codeVerifier
+        })
+        claims = tokenSet.claims()
+    }
+    catch(err) {
+        console.log(err)
+        return complete(res, { error: 'Could not sign in with ' + provider.name })
+    }
+
+    try {
+        if (transaction.user) {
+            let owner = await User.findOne({ identities: { $elemMatch: { provider: provider.id, subject: claims.sub } } })
+            if (owner && !owner._id.equals(transaction.user)) {
+                return complete(res, { error: 'This ' + provider.name + ' account is already linked to another user' })
+            }
+            if (!owner) {
+                await User.updateOne({ _id: transaction.user }, {
+                    $push: { identities: { provider: provider.id, subject: claims.sub, email: claims.email } }
+                })
+            }
+            return complete(res, { linked: provider.id, userId: String(transaction.user) })
+        }
+
+        let user = await findOrCreateUser(provider, claims)
+        if (user.twoFactor && user.twoFactor.enabled) {
+            return complete(res, { challenge: authCtrl.twoFactorChallenge(user, transaction.data.remember) })
+        }
+        await authCtrl.issueSession(req, res, user, { remember: transaction.data.remember })
+        return complete(res, { signedIn: String(user._id) })
+    }
+    catch(err) {
+        return complete(res, { error: err.message || 'Could not sign in with ' + provider.name })
+    }
+}
+
+/*When the Express app gets a GET request at '/auth/oidc/identities', it returns every configured provider, with the
+account of the signed-in user that is linked to it, if any.*/
+const identities = async (req, res) => {
+    try {
+        let user = await User.findById(req.auth._id).select('+identities')
+        res.json(config.oidc.providers.map( provider => {
+            const identity = user.identities.find( identity => identity.provider === provider.id )
+            return {
+                id: provider.id,
+                name: provider.name,
+                linked: !!identity,
+                email: identity ? identity.email : undefined
+            }
+        }))
+    }
+    catch(err) {
+        return res.status(400).json({ error: 'Could not retrieve the linked accounts' })
+    }
+}
+
+/*When the Express app gets a DELETE request at '/auth/oidc/identities/:provider', the provider is unlinked from the
+signed-in user. Users without a password can't unlink their last provider, since they could no longer sign in.*/
+const unlink = async (req, res) => {
+    try {
+        let user = await User.findById(req.auth._id).select('+identities')
+        const others = user.identities.filter( identity => identity.provider !== req.oidcProvider.id )
+        if (!user.hasPassword && others.length === 0) {
+            return res.status(400).json({
+                error: 'Set a password with "Forgot password?" before unlinking your last sign-in provider'
+            })
+        }
+        await User.updateOne({ _id: user._id }, { $pull: { identities: { provider: req.oidcProvider.id } } })
+        res.json({ message: req.oidcProvider.name + ' has been unlinked' })
+    }
+    catch(err) {
+        return res.status(400).json({ error: 'Could not unlink the provider' })
+    }
+}
+
+export default { providers, providerByID, signin, link, callback, identities, unlink }
@@ -0,0 +1,286 @@
+/*The passkey controller lets users sign in without a password, with a WebAuthn credential (a passkey) kept by
+their device or password manager. A signed-in user first registers a passkey, then they can sign in with it from
+the Sign In view.
+Both ceremonies take two requests: the server generates options holding a random challenge, the browser has the
+authenticator sign that challenge, and the server verifies the result. Every challenge is stored as a one-time
+token, so it can only be answered once and only for the ceremony it was issued for.
+The cryptography is done by @simplewebauthn/server.
+*/
+
+import {
+    generateRegistrationOptions,
+    verifyRegistrationResponse,
+    generateAuthenticationOptions,
+    verifyAuthenticationResponse
+} from '@simplewebauthn/server';
+
+import errorHandler from '../helpers/dbErrorHandler';
+import User from '../models/user.model';
+import Passkey from '../models/passkey.model';
+import OneTimeToken from '../models/oneTimeToken.model';
+import tokens from '../helpers/tokens';
+import limiter from '../helpers/limiter';
+import config from './../../config/config';
+import authCtrl from './auth.controller';
+
+//Passkeys are bound to the domain of the app, and the browser reports the origin the ceremony was done on
+const rpID = config.webauthn.rpID || new URL(config.appUrl).hostname
+const origin = new URL(config.appUrl).origin
+
+const toBuffer = value => Buffer.from(value, 'base64url')
+const toBase64url = bytes => Buffer.from(bytes).toString('base64url')
+
+//The fields of a passkey that are shown to its owner
+const describe = passkey => ({
+    _id: passkey._id,
+    name: passkey.name,
+    backedUp: passkey.backedUp,
+    created: passkey.created,
+    lastUsed: passkey.lastUsed
+})
+
+const issueChallenge = async (challenge, purpose, user) => {
+    await new OneTimeToken({
+        hash: tokens.hashToken(challenge),
+        user: user,
+        purpose: purpose,
+        expires: new Date(Date.now() + config.webauthn.challengeTTL * 1000)
+    }).save()
+}
+
+/*Reads the challenge the authenticator signed from the client data of its response, and marks it as used if it was
+issued for this purpose (and this user), and hasn't expired or been used yet. Returns the challenge, or null.*/
+const claimChallenge = async (response, purpose, user) => {
+    try {
+        const clientData = JSON.parse(toBuffer(response.response.clientDataJSON).toString())
+        const query = {
+            hash: tokens.hashToken(String(clientData.challenge)),
+            purpose: purpose,
+            used: null,
+            expires: { $gt: Date.now() }
+        }
+        if (user) query.user = user
+        let claimed = await OneTimeToken.findOneAndUpdate(query, { used: Date.now() })
+        return claimed ? String(clientData.challenge) : null
+    }
+    catch(err) {
+        return null
+    }
+}
+
+//Registration
+/*When the Express app gets a POST request at '/auth/passkeys/options', it returns the options the browser needs to
+create a passkey for the signed-in user. The passkeys they already have are excluded, so the same authenticator
+isn't registered twice. Passkeys are created as discoverable credentials, so the user doesn't have to type their
+email address to sign in with them.*/
+const registrationOptions = async (req, res) => {
+    try {
+        let user = await User.findById(req.auth._id)
+        let passkeys = await Passkey.find({ user: user._id })
+        const options = generateRegistrationOptions({
+            rpName: config.webauthn.rpName,
+            rpID: rpID,
+            userID: String(user._id),
+            userName: user.email,
+            userDisplayName: user.name,
+            attestationType: 'none',
+            excludeCredentials: passkeys.map( passkey => ({
+                id: toBuffer(passkey.credentialID),
+                type: 'public-key',
+                transports: passkey.transports
+            })),
+            authenticatorSelection: {
+                residentKey: 'required',
+                userVerification: 'required'
+            }
+        })
+        await issueChallenge(options.challenge, 'passkey-register', user._id)
+        res.json(options)
+    }
+    catch(err) {
+        return res.status(400).json({ error: 'Could not start the passkey registration' })
+    }
+}
+
+/*When the Express app gets a POST request at '/auth/passkeys', req.body holds the name chosen for the passkey and
+the response of the authenticator. Once it is verified, the credential's ID, public key and counter are stored.*/
+const register = async (req, res) => {
+    const response = req.body.response
+    const challenge = response && await claimChallenge(response, 'passkey-register', req.auth._id)
+    if (!challenge) {
+        return res.status(400).json({ error: 'The passkey registration has expired, please try again' })
+    }
+
+    let info
+    try {
+        const verification = await verifyRegistrationResponse({
+            response: response,
+            expectedChallenge: challenge,
+            expectedOrigin: origin,
+            expectedRPID: rpID,
+            requireUserVerification: true
+        })
+        if (!verification.verified) throw new Error('Not verified')
+        info = verification.registrationInfo
+    }
+    catch(err) {
+        return res.status(400).json({ error: 'Could not verify the passkey' })
+    }
+
+    try {
+        let passkey = await new Passkey({
+            user: req.auth._id,
+            credentialID: toBase64url(info.credentialID),
+            publicKey: toBase64url(info.credentialPublicKey),
+            counter: info.counter,
+            transports: Array.isArray(response.response.transports) ? response.response.transports : [],
+            name: req.body.name || 'Passkey',
+            backedUp: info.credentialBackedUp
+        }).save()
+        res.json(describe(passkey))
+    }
+    catch(err) {
+        return res.status(400).json({
+            error: errorHandler.getErrorMessage(err)
+        })
+    }
+}
+
+//Listing the signed-in user's passkeys
+const list = async (req, res) => {
+    try {
+        let passkeys = await Passkey.find({ user: req.auth._id }).sort('-created')
+        res.json(passkeys.map(describe))
+    }
+    catch(err) {
+        return res.status(400).json({
+            error: errorHandler.getErrorMessage(err)
+        })
+    }
+}
+
+/*Whenever a route with the :passkeyId parameter is requested, the passkey is loaded in req.passkey.*/
+const passkeyByID = async (req, res, next, id) => {
+    try {
+        let passkey = await Passkey.findById(id)
+        if (!passkey) {
+            return res.status(400).json({
+                error: 'Passkey not found'
+            })
+        }
+        req.passkey = passkey
+        next()
+    }
+    catch(err) {
+        return res.status(400).json({
+            error: 'Could not retrieve passkey'
+        })
+    }
+}
+
+/*The isOwner method checks whether the passkey belongs to the signed-in user before executing the next method.*/
+const isOwner = (req, res, next) => {
+    let isOwner = req.passkey && req.auth && req.passkey.user == req.auth._id
+    if (!isOwner) {
+        return res.status(403).json({
+            error: 'User is not authorized'
+        })
+    }
+    next()
+}
+
+const remove = async (req, res) => {
+    try {
+        await req.passkey.remove()
+        res.json({ message: 'Passkey removed' })
+    }
+    catch(err) {
+        return res.status(400).json({
+            error: errorHandler.getErrorMessage(err)
+        })
+    }
+}
+
+//Signing in
+/*When the Express app gets a POST request at '/auth/signin/passkey/options', it returns a challenge for the browser
+to sign with any passkey the user has for this app. No email address is needed, the passkey tells who the user is.*/
+const signinOptions = async (req, res) => {
+    try {
+        const options = generateAuthenticationOptions({
+            rpID: rpID,
+            userVerification: 'required'
+        })
+        await issueChallenge(options.challenge, 'passkey-signin')
+        res.json(options)
+    }
+    catch(err) {
+        return res.status(400).json({ error: 'Could not start the passkey sign-in' })
+    }
+}
+
+/*When the Express app gets a POST request at '/auth/signin/passkey', req.body holds the response of the authenticator.
+The passkey is found by its credential ID, and the signature is checked with its public key. The user handle the
+authenticator returns with a discoverable passkey, which is the ID of the user it was created for, has to be the ID of
+the passkey's owner. The signature counter has to be higher than the stored one, unless the authenticator doesn't keep
+one and always reports 0, and it is stored with an update that only matches the counter that was checked.
+Since the authenticator verified the user with a PIN or biometrics, a passkey counts as two factors, and the user
+gets the same response as after a successful password (and two-factor) sign-in.
+Failures are limited per IP address like wrong passwords.*/
+const signin = async (req, res) => {
+    const rules = [ { key: 'signin-ip:' + req.ip, ...config.limiter.ip } ]
+    const failed = async () => {
+        await limiter.fail(rules)
+        return res.status(401).json({ error: 'Could not sign in with this passkey' })
+    }
+
+    try {
+        const seconds = await limiter.lockedFor(rules)
+        if (seconds) return limiter.tooManyAttempts(res, seconds)
+
+        const response = req.body.response
+        const challenge = response && await claimChallenge(response, 'passkey-signin')
+        if (!challenge) return await failed()
+
+        let passkey = await Passkey.findOne({ credentialID: String(response.id) })
+        if (!passkey) return await failed()
+        const userHandle = response.response && response.response.userHandle
+        if (userHandle && String(userHandle) !== String(passkey.user)) return await failed()
+
+        let verification
+        try {
+            verification = await verifyAuthenticationResponse({
+                response: response,
+                expectedChallenge: challenge,
+                expectedOrigin: origin,
+                expectedRPID: rpID,
+                authenticator: {
+                    credentialID: toBuffer(passkey.credentialID),
+                    credentialPublicKey: toBuffer(passkey.publicKey),
+                    counter: passkey.counter,
+                    transports: passkey.transports
+                },
+                requireUserVerification: true
+            })
+        }
+        catch(err) {
+            return await failed()
+        }
+        if (!verification.verified) return await failed()
+
+        const result = await Passkey.updateOne(
+            { _id: passkey._id, counter: passkey.counter },
+            { counter: verification.authenticationInfo.newCounter, lastUsed: Date.now() }
+        )
+        if (result.nModified !== 1) return await failed()
+
+        let user = await User.findById(passkey.user)
+        if (!user) return await failed()
+
+        return await authCtrl.sendAuthResponse(req, res, user, { remember: req.body.remember })
+    }
+    catch(err) {
+        return res.status(401).json({ error: 'Could not sign in' })
+    }
+}
+
+export default { registrationOptions, register, list, passkeyByID, isOwner, remove, signinOptions, signin }
@@ -0,0 +1,94 @@
+/*The password controller implements the account recovery flow. A user who forgot their password asks for a
+reset link, which is sent to their email address, and then chooses a new password with the one-time token
+carried by the link.*/
+
+import User from '../models/user.model';
+import OneTimeToken from '../models/oneTimeToken.model';
+import errorHandler from '../helpers/dbErrorHandler';
+import tokens from '../helpers/tokens';
+import mailer from '../helpers/mailer';
+import audit from '../helpers/audit';
+import config from './../../config/config';
+import authCtrl from './auth.controller';
+
+//Requesting a reset link
+/*When the Express app gets a POST request at '/auth/password/forgot', a new reset token is generated for the user
+with the email in req.body, and the link to the ResetPassword view is emailed to them. Any reset token that was
+sent to the user before is discarded, so only the latest link works.
+The response is the same whether an account with that email exists or not, so this endpoint can't be used to find
+out who has an account.
+*/
+const requestReset = async (req, res) => {
+    const message = 'If an account exists for this email, a link to reset the password has been sent to it.'
+    try {
+        let user = await User.findOne({ 'email': String(req.body.email) })
+        if (!user) return res.json({ message })
+
+        await OneTimeToken.deleteMany({ user: user._id, purpose: 'password-reset', used: null })
+        const token = tokens.randomToken()
+        await new OneTimeToken({
+            hash: tokens.hashToken(token),
+            user: user._id,
+            purpose: 'password-reset',
+            expires: new Date(Date.now() + config.passwordResetTTL * 1000)
+        }).save()
+
+        const link = config.appUrl + '/reset-password/' + token
+        await mailer.send({
+            to: user.email,
+            subject: 'Reset your MERN Social password',
+            text: 'Hi ' + user.name + ',\n\n' +
+                'Somebody asked to reset the password of your MERN Social account. To choose a new password, open the link below.\n\n' +
+                link + '\n\n' +
+                'The link expires in ' + Math.round(config.passwordResetTTL / 60) + ' minutes and can only be used once. ' +
+                'If you didn\'t ask for it, you can ignore this email.'
+        })
+        return res.json({ message })
+    }
+    catch(err) {
+        console.log(err)
+        return res.status(400).json({ error: 'Could not send the reset link' })
+    }
+}
+
+//Choosing a new password
+/*When the Express app gets a POST request at '/auth/password/reset', the token in req.body is looked up by its hash.
+If it is a password reset token that hasn't expired or been used, it is consumed and the new password is saved.
+Since whoever knew the old password may still be signed in, all the user's sessions are revoked as well.
+*/
+const confirmReset = async (req, res) => {
+    const invalid = { error: 'This reset link is invalid or has expired' }
+    try {
+        let resetToken = await OneTimeToken.findOne({
+            hash: tokens.hashToken(req.body.token),
+            purpose: 'password-reset',
+            used: null,
+            expires: { $gt: Date.now() }
+        })
+        if (!resetToken) return res.status(400).json(invalid)
+
+        let user = await User.findById(resetToken.user)
+        if (!user) return res.status(400).json(invalid)
+
+        await user.setPassword(req.body.password)
+        user.hasPassword = true
+        user.updated = Date.now()
+        await user.validate()
+
+        //Consumed atomically, so the same link can't be used twice by concurrent requests
+        let claimed = await OneTimeToken.findOneAndUpdate({ _id: resetToken._id, used: null }, { used: Date.now() })
+        if (!claimed) return res.status(400).json(invalid)
+
+        await user.save()
+        await authCtrl.revokeSessions({ user: user._id })
+        await audit.record(req, 'password-reset', { actor: user._id })
+        return res.json({ message: 'Your password has been reset. You can now sign in with it.' })
+    }
+    catch(err) {
+        return res.status(400).json({
+            error: errorHandler.getErrorMessage(err) || invalid.error
+        })
+    }
+}
+
+export default { requestReset, confirmReset }
@@ -1,8 +1,11 @@
 import formidable from 'formidable'
+import pick from 'lodash/pick'
 import cloudinary from '../../config/cloudinary-config'
 
 import errorHandler from '../helpers/dbErrorHandler';
 import Post from '../models/post.model'
+import User from '../models/user.model'
+import authCtrl from './auth.controller'
 
 
 /*The listNewsFeed controller method will query the Post collection in the database
@@ -12,14 +15,23 @@ references that match the current user's followings and the current user. The po
 that are returned will be sorted by the created timestamp, with the most recent post
 listed first. Each post will also contain the id and name of the user who created the
 post and of the users who left comments on the post.
+The posts of private accounts are left out unless the signed-in user is one of their followers, since the feed of any
+user can be requested, and so are the posts of the users who blocked the signed-in user.
 */
 const listNewsFeed = async (req, res) => {
     let following = req.profile.following
     following.push(req.profile._id) //this will include the posts of the signed-in user
     try{
-        let posts = await Post.find({ postedBy: { $in: req.profile.following }})
-                                .populate('comments.postedBy', '_id name photo')
-                                .populate('postedBy', '_id name photo')
+        let hidden = await User.find({
+            _id: { $in: following, $ne: req.auth._id },
+            $or: [
+                { private: true, followers: { $ne: req.auth._id } },
+                { blocked: req.auth._id }
+            ]
+        }).distinct('_id')
+        let posts = await Post.find({ postedBy: { $in: following, $nin: hidden }})
+                                .populate('comments.postedBy', '_id name username photo')
+                                .populate('postedBy', '_id name username photo')
                                 .sort('-created')
                                 .exec()
         res.json(posts)
@@ -33,12 +45,17 @@ const listNewsFeed = async (req, res) => {
 
 /*The listByUser controller method will query the Post collection to find posts that have
 a matching reference in the postedBy field to the user specified in the userId param in
-the route*/
+the route. The posts of a private account are only listed for its followers.*/
 const listByUser = async (req, res) => {
+    if (!req.profile.postsVisibleTo(req.auth._id)) {
+        return res.status(403).json({
+            error: 'This account is private'
+        })
+    }
     try{
         let posts = await Post.find({ postedBy: req.profile._id })
-                                .populate('comments.postedBy', '_id, name photo')
-                                .populate('postedBy', '_id name photo')
+                                .populate('comments.postedBy', '_id name username photo')
+                                .populate('postedBy', '_id name username photo')
                                 .sort('-created')
                                 .exec()
         res.json(posts)
@@ -50,7 +67,12 @@ const listByUser = async (req, res) => {
     }
 }
 
-/* This method will use the formidable module to access the fields and the image file, if any.*/
+/* This method will use the formidable module to access the fields and the image file, if any.
+The post is always credited to the signed-in user, whose ID is taken from the verified JWT in req.auth.
+Only the fields in POST_FIELDS are taken from the form, and the photo only from the uploaded file, so that the likes,
+the comments or the date of the post can't be set by its author.*/
+const POST_FIELDS = ['text']
+
 const create = async (req, res, next) => {
     let form = new formidable.IncomingForm()
     form.keepExtensions = true
@@ -61,8 +83,8 @@ const create = async (req, res, next) => {
                 error: 'Image could not be uploaded'
             })
         }
-        let post = new Post(fields);
-        post.postedBy = req.profile;
+        let post = new Post(pick(fields, POST_FIELDS));
+        post.postedBy = req.auth._id;
         
         if (files.photo) {
             await cloudinary.uploader.upload(files.photo.path,
@@ -94,12 +116,22 @@ const photo = (req, res, next) => {
 it can be accessed by the next method.
 The attached post data in this implementation will also contain the ID and name of the
 postedBy user reference since we are invoking populate().
+Like with userByID, the posts of a user who blocked the requesting user aren't found, except by admins and moderators.
 */
+const STAFF_ROLES = ['admin', 'moderator']
+
+//Tells whether the author of the post blocked the user with the given ID
+const blockedBy = (post, userId) => {
+    return User.exists({ _id: post.postedBy._id || post.postedBy, blocked: userId })
+}
+
 const postByID = async (req, res, next, id) => {
     try{
         let post = await Post.findById(id)
-                        .populate('postedBy', '_id name photo')
+                        .populate('postedBy', '_id name username photo')
                         .exec()
+        const viewer = post && await authCtrl.viewer(req)
+        if (viewer && !STAFF_ROLES.includes(viewer.role) && await blockedBy(post, viewer._id)) post = null
         if (!post) {
             return res.status(400).json({
                 error: 'Post not found'
@@ -140,13 +172,34 @@ const remove = async (req, res) => {
     }
 }
 
+/*Users blocked by the author of a post can't like it or comment on it. notBlocked loads the post with the postId in the
+request body, which the like and comment routes take instead of a route parameter, before letting them through.*/
+const notBlocked = async (req, res, next) => {
+    try {
+        let post = await Post.findById(req.body.postId).select('postedBy')
+        if (!post || await blockedBy(post, req.auth._id)) {
+            return res.status(400).json({
+                error: 'Post not found'
+            })
+        }
+        next()
+    }
+    catch(err) {
+        return res.status(400).json({
+            error: errorHandler.getErrorMessage(err)
+        })
+    }
+}
+
 /*The post ID that's received in the request body will be used to find the specific
-Post document and update it by pushing the current user's ID to the likes array. */
+Post document and update it by pushing the current user's ID to the likes array.
+The current user is the one the JWT was issued to, in req.auth, and never an ID sent in the
+request body, so nobody can like or comment in the name of someone else.*/
 const like = async (req, res) => {
     try{
         let result = await Post.findByIdAndUpdate(
             req.body.postId,
-            {$push: {likes: req.body.userId}},
+            {$push: {likes: req.auth._id}},
             {new: true}
         )
         res.json(result)
@@ -164,7 +217,7 @@ const unlike = async (req, res) => {
     try{
         let result = await Post.findByIdAndUpdate(
             req.body.postId,
-            {$pull: {likes: req.body.userId}},
+            {$pull: {likes: req.auth._id}},
             {new: true}
         )
         res.json(result)
@@ -181,16 +234,18 @@ the comment object that's received in the request body to the comments array of
 In the response, the updated post object will be sent back with details of the postedBy users
 populated in the post and in the comments.*/
 const comment = async (req, res) => {
-    let comment = req.body.comment
-    comment.postedBy = req.body.userId
+    let comment = {
+        text: req.body.comment && req.body.comment.text,
+        postedBy: req.auth._id
+    }
 
     try {
         let result = await Post.findByIdAndUpdate(
             req.body.postId,
             {$push: {comments: comment}},
             {new: true})
-            .populate('comments.postedBy', '_id name')
-            .populate('postedBy', '_id name')
+            .populate('comments.postedBy', '_id name username')
+            .populate('postedBy', '_id name username')
             .exec()
         res.json(result)
     }
@@ -202,17 +257,44 @@ const comment = async (req, res) => {
 }
 
 /*The uncomment controller method will find the relevant post by ID and pull the
-comment with the deleted comment's ID from the comments array in the post*/
+comment with the deleted comment's ID from the comments array in the post.
+The post is only matched if that comment was written by the signed-in user, so users can't
+delete each other's comments. Moderators use removeComment instead.*/
 const uncomment = async (req, res) => {
-    let comment = req.body.comment
+    let comment = req.body.comment || {}
 
     try {
-        let result = await Post.findByIdAndUpdate(
-            req.body.postId,
+        let result = await Post.findOneAndUpdate(
+            { _id: req.body.postId, comments: { $elemMatch: { _id: comment._id, postedBy: req.auth._id } } },
             {$pull: {comments: {_id: comment._id}}},
             {new: true})
-            .populate('comments.postedBy', '_id name')
-            .populate('postedBy', '_id name')
+            .populate('comments.postedBy', '_id name username')
+            .populate('postedBy', '_id name username')
+            .exec()
+        if (!result) {
+            return res.status(403).json({
+                error: "User is not authorized"
+            })
+        }
+        res.json(result)
+    }
+    catch(err) {
+        return res.status(400).json({
+            error: errorHandler.getErrorMessage(err)
+        })
+    }
+}
+
+/*The removeComment controller method is used by moderators and admins to remove any comment from a post,
+whoever wrote it. The post is loaded by postByID and the comment is given by the :commentId route parameter.*/
+const removeComment = async (req, res) => {
+    try {
+        let result = await Post.findByIdAndUpdate(
+            req.post._id,
+            {$pull: {comments: {_id: req.params.commentId}}},
+            {new: true})
+            .populate('comments.postedBy', '_id name username')
+            .populate('postedBy', '_id name username')
             .exec()
         res.json(result)
     }
@@ -230,9 +312,11 @@ export default {
     photo,
     postByID,
     isPoster,
+    notBlocked,
     remove,
     like,
     unlike,
     comment,
-    uncomment
+    uncomment,
+    removeComment
 }
\ No newline at end of file
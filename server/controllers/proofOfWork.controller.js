@@ -0,0 +1,103 @@
+/*The proof of work slows down bots creating accounts or guessing passwords, without a third-party CAPTCHA service.
+Before signing up or signing in, the browser gets a challenge and has to find a solution such that the SHA-256 hash of
+challenge + ':' + solution starts with the given number of zero bits. Solving it takes a second or two for a person
+filling in a form, but the cost adds up for anyone sending thousands of requests, and the difficulty goes up with the
+number of signups, failed signups or failed sign-ins recently counted by the limiter for the IP address.
+The challenge is signed with an HMAC that also covers the IP address it was issued to, so the server verifies it
+without keeping anything about it until it is used. A solved challenge can only be used once.*/
+
+import crypto from 'crypto';
+
+import limiter from '../helpers/limiter';
+import config from './../../config/config';
+
+/*The limiter rules whose counters set the difficulty of each action. They are the same counters as the ones of the
+signup route and of the sign-in controller. The signup counter includes the signups in progress, whose attempts are
+reserved before they are handled.*/
+const ACTIONS = {
+    signup: req => [
+        { key: 'signup-ip:' + req.ip, ...config.limiter.signup },
+        { key: 'signup-failures-ip:' + req.ip, ...config.limiter.signupFailures }
+    ],
+    signin: req => [ { key: 'signin-ip:' + req.ip, ...config.limiter.ip } ]
+}
+
+const sign = (payload, ip) => crypto.createHmac('sha256', config.jwtSecret).update('pow:' + payload + ':' + ip).digest('hex')
+
+const difficulty = async (req, action) => {
+    const policy = config.proofOfWork[action]
+    let bits = policy.difficulty
+    for (const rule of ACTIONS[action](req)) {
+        bits += await limiter.attempts(rule)
+    }
+    return Math.min(bits, policy.maxDifficulty)
+}
+
+//Counts the zero bits at the start of a hash
+const leadingZeroBits = (hash) => {
+    let bits = 0
+    for (const byte of hash) {
+        if (byte === 0) {
+            bits += 8
+            continue
+        }
+        return bits + Math.clz32(byte) - 24
+    }
+    return bits
+}
+
+/*When the Express app gets a GET request at '/auth/proof-of-work', it returns a new challenge for the action given
+in the query, with the number of zero bits its solution needs. The challenge is made of the action, the difficulty,
+the expiry time and a random nonce, followed by their signature.*/
+const challenge = async (req, res, next) => {
+    const action = req.query.action
+    if (!ACTIONS.hasOwnProperty(action)) {
+        return res.status(400).json({ error: 'Unknown action' })
+    }
+    try {
+        const bits = await difficulty(req, action)
+        const expires = Date.now() + config.proofOfWork.ttl * 1000
+        const payload = [ action, bits, expires, crypto.randomBytes(16).toString('hex') ].join('.')
+        res.set('Cache-Control', 'no-store')
+        res.json({ challenge: payload + '.' + sign(payload, req.ip), difficulty: bits })
+    }
+    catch(err) {
+        next(err)
+    }
+}
+
+//Returns an error message when the proof isn't valid for the action and the IP address of the request
+const check = async (req, action, proof) => {
+    const parts = String((proof && proof.challenge) || '').split('.')
+    if (parts.length !== 5) return 'Please solve the anti-bot check before submitting the form'
+    const payload = parts.slice(0, 4).join('.')
+    const expected = sign(payload, req.ip)
+    if (parts[4].length !== expected.length || !crypto.timingSafeEqual(Buffer.from(parts[4]), Buffer.from(expected)) ||
+        parts[0] !== action) {
+        return 'The anti-bot check is not valid. Please try again'
+    }
+    if (Number(parts[2]) < Date.now()) return 'The anti-bot check has expired. Please try again'
+
+    const hash = crypto.createHash('sha256').update(proof.challenge + ':' + String(proof.solution)).digest()
+    if (leadingZeroBits(hash) < Number(parts[1])) return 'The anti-bot check is not solved. Please try again'
+    if (!await limiter.once('pow:' + parts[3], config.proofOfWork.ttl)) {
+        return 'The anti-bot check was already used. Please try again'
+    }
+}
+
+/*Express middleware for the routes of the given action, which takes the solved challenge in req.body.proofOfWork,
+as { challenge, solution }, before the route's controller is called.*/
+const requireProof = (action) => {
+    return async (req, res, next) => {
+        try {
+            const error = await check(req, action, req.body.proofOfWork)
+            if (error) return res.status(400).json({ error })
+            next()
+        }
+        catch(err) {
+            next(err)
+        }
+    }
+}
+
+export default { challenge, requireProof }
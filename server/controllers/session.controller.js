@@ -0,0 +1,88 @@
+/*The session controller lets a signed-in user see the devices their account is signed in on, and sign
+out any of them, or all of them at once.*/
+
+import errorHandler from '../helpers/dbErrorHandler';
+import Session from '../models/session.model';
+import authCtrl from './auth.controller';
+
+/*The list controller function returns the active sessions of the signed-in user, with the most recently
+used first. The session the request was made with is flagged as the current one, and the jti values are left
+out of the response since they are only needed on the server.*/
+const list = async (req, res) => {
+    try {
+        let sessions = await Session.find({ user: req.auth._id, revoked: false, expires: { $gt: Date.now() } })
+                                    .sort('-lastSeen')
+                                    .exec()
+        res.json(sessions.map( session => ({
+            _id: session._id,
+            device: session.device,
+            ip: session.ip,
+            created: session.created,
+            lastSeen: session.lastSeen,
+            current: session.jti === req.auth.jti
+        })))
+    }
+    catch(err) {
+        return res.status(400).json({
+            error: errorHandler.getErrorMessage(err)
+        })
+    }
+}
+
+/*Whenever a route with the :sessionId parameter is requested, the session is loaded in req.userSession.*/
+const sessionByID = async (req, res, next, id) => {
+    try {
+        let session = await Session.findOne({ _id: id, revoked: false })
+        if (!session) {
+            return res.status(400).json({
+                error: 'Session not found'
+            })
+        }
+        req.userSession = session
+        next()
+    }
+    catch(err) {
+        return res.status(400).json({
+            error: 'Could not retrieve session'
+        })
+    }
+}
+
+/*The isOwner method checks whether the session belongs to the signed-in user before executing the next method.*/
+const isOwner = (req, res, next) => {
+    let isOwner = req.userSession && req.auth && req.userSession.user == req.auth._id
+    if (!isOwner) {
+        return res.status(403).json({
+            error: 'User is not authorized'
+        })
+    }
+    next()
+}
+
+//Signing out a single device
+const revoke = async (req, res) => {
+    try {
+        await authCtrl.revokeSessions({ jti: req.userSession.jti })
+        res.json({ message: 'Session revoked' })
+    }
+    catch(err) {
+        return res.status(400).json({
+            error: errorHandler.getErrorMessage(err)
+        })
+    }
+}
+
+//Signing out everywhere, including the device the request was made from
+const revokeAll = async (req, res) => {
+    try {
+        await authCtrl.revokeSessions({ user: req.auth._id })
+        res.json({ message: 'Signed out everywhere' })
+    }
+    catch(err) {
+        return res.status(400).json({
+            error: errorHandler.getErrorMessage(err)
+        })
+    }
+}
+
+export default { list, sessionByID, isOwner, revoke, revokeAll }
@@ -0,0 +1,204 @@
+/*The two-factor controller lets users protect their account with a second factor: the codes of a TOTP
+authenticator app, or one of the single-use recovery codes they get when they turn it on.
+Once it is enabled, a correct password is not enough to sign in. The signin controller answers with a short-lived
+challenge token instead of a session, and the challenge has to be completed with a code at '/auth/signin/2fa'.
+*/
+
+import jwt from 'jsonwebtoken';
+import QRCode from 'qrcode';
+
+import User from '../models/user.model';
+import totp from '../helpers/totp';
+import tokens from '../helpers/tokens';
+import limiter from '../helpers/limiter';
+import audit from '../helpers/audit';
+import config from './../../config/config';
+import authCtrl from './auth.controller';
+
+const ISSUER = 'MERN Social'
+const RECOVERY_CODES = 10
+
+//The fields of the second factor that are never selected by default
+const secretFields = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastStep'
+
+/*Recovery codes are shown to the user once, as ten groups of 5+5 hex characters, and only their hashes are
+stored. Dashes, spaces and case are ignored when one is entered.*/
+const normalizeRecoveryCode = code => String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '')
+
+const generateRecoveryCodes = () => {
+    const codes = []
+    for (let i = 0; i < RECOVERY_CODES; i++) {
+        const code = tokens.randomToken(5)
+        codes.push(code.slice(0, 5) + '-' + code.slice(5))
+    }
+    return codes
+}
+
+const hashRecoveryCodes = codes => codes.map( code => tokens.hashToken(normalizeRecoveryCode(code)) )
+
+/*Checks a code entered by the user, which is either a TOTP code or a recovery code. Accepting a code is done with
+an atomic update, so a TOTP code can't be accepted twice and a recovery code can't be used twice, even by
+concurrent requests.*/
+const checkCode = async (user, code) => {
+    const step = totp.verify(user.twoFactor.secret, code, { after: user.twoFactor.lastStep || -1 })
+    if (step !== null) {
+        const result = await User.updateOne(
+            { _id: user._id, $or: [ { 'twoFactor.lastStep': { $lt: step } }, { 'twoFactor.lastStep': null } ] },
+            { 'twoFactor.lastStep': step }
+        )
+        return result.nModified === 1
+    }
+
+    const normalized = normalizeRecoveryCode(code)
+    if (!normalized) return false
+    const hash = tokens.hashToken(normalized)
+    const result = await User.updateOne(
+        { _id: user._id, 'twoFactor.recoveryCodes': hash },
+        { $pull: { 'twoFactor.recoveryCodes': hash } }
+    )
+    return result.nModified === 1
+}
+
+//Status
+/*When the Express app gets a GET request at '/auth/2fa', it returns whether two-factor authentication is enabled
+for the signed-in user, and how many recovery codes they have left.*/
+const status = async (req, res) => {
+    try {
+        let user = await User.findById(req.auth._id).select(secretFields)
+        return res.json({
+            enabled: user.twoFactor.enabled,
+            recoveryCodesLeft: user.twoFactor.enabled ? user.twoFactor.recoveryCodes.length : 0
+        })
+    }
+    catch(err) {
+        return res.status(400).json({ error: 'Could not retrieve the two-factor status' })
+    }
+}
+
+//Enrollment
+/*When the Express app gets a POST request at '/auth/2fa/setup', a new secret is generated and kept as pending for
+the signed-in user. The response carries the secret, the otpauth provisioning URI and a QR code of that URI, which
+the user scans with their authenticator app.*/
+const setup = async (req, res) => {
+    try {
+        let user = await User.findById(req.auth._id)
+        if (user.twoFactor.enabled) return res.status(400).json({ error: 'Two-factor authentication is already enabled' })
+
+        const secret = totp.generateSecret()
+        await User.updateOne({ _id: user._id }, { 'twoFactor.pendingSecret': secret })
+
+        const uri = totp.keyUri(secret, user.email, ISSUER)
+        const qr = await QRCode.toDataURL(uri)
+        return res.json({ secret, uri, qr })
+    }
+    catch(err) {
+        return res.status(400).json({ error: 'Could not set up two-factor authentication' })
+    }
+}
+
+/*When the Express app gets a POST request at '/auth/2fa/enable', the code in req.body must match the pending secret,
+which proves the authenticator app was set up correctly. Two-factor authentication is then enabled, and the recovery
+codes are returned. This is the only time they are shown.*/
+const enable = async (req, res) => {
+    try {
+        let user = await User.findById(req.auth._id).select(secretFields)
+        if (user.twoFactor.enabled) return res.status(400).json({ error: 'Two-factor authentication is already enabled' })
+        if (!user.twoFactor.pendingSecret) return res.status(400).json({ error: 'Two-factor authentication has not been set up' })
+
+        const step = totp.verify(user.twoFactor.pendingSecret, req.body.code)
+        if (step === null) return res.status(400).json({ error: 'Invalid authentication code' })
+
+        const recoveryCodes = generateRecoveryCodes()
+        await User.updateOne({ _id: user._id }, {
+            $set: {
+                'twoFactor.enabled': true,
+                'twoFactor.secret': user.twoFactor.pendingSecret,
+                'twoFactor.recoveryCodes': hashRecoveryCodes(recoveryCodes),
+                'twoFactor.lastStep': step
+            },
+            $unset: { 'twoFactor.pendingSecret': 1 }
+        })
+        return res.json({ enabled: true, recoveryCodes })
+    }
+    catch(err) {
+        return res.status(400).json({ error: 'Could not enable two-factor authentication' })
+    }
+}
+
+/*When the Express app gets a POST request at '/auth/2fa/recovery-codes', a new set of recovery codes replaces the
+old one, once the user has entered a valid code.*/
+const regenerateRecoveryCodes = async (req, res) => {
+    try {
+        let user = await User.findById(req.auth._id).select(secretFields)
+        if (!user.twoFactor.enabled) return res.status(400).json({ error: 'Two-factor authentication is not enabled' })
+        if (!(await checkCode(user, req.body.code))) return res.status(400).json({ error: 'Invalid authentication code' })
+
+        const recoveryCodes = generateRecoveryCodes()
+        await User.updateOne({ _id: user._id }, { 'twoFactor.recoveryCodes': hashRecoveryCodes(recoveryCodes) })
+        return res.json({ enabled: true, recoveryCodes })
+    }
+    catch(err) {
+        return res.status(400).json({ error: 'Could not generate new recovery codes' })
+    }
+}
+
+/*When the Express app gets a POST request at '/auth/2fa/disable', two-factor authentication is turned off, provided
+that both the password and a valid code are given in req.body.*/
+const disable = async (req, res) => {
+    try {
+        let user = await User.findById(req.auth._id).select(secretFields)
+        if (!user.twoFactor.enabled) return res.status(400).json({ error: 'Two-factor authentication is not enabled' })
+        if (!await user.authenticate(req.body.password)) return res.status(400).json({ error: 'Incorrect password' })
+        if (!(await checkCode(user, req.body.code))) return res.status(400).json({ error: 'Invalid authentication code' })
+
+        await User.updateOne({ _id: user._id }, {
+            $set: { 'twoFactor.enabled': false, 'twoFactor.recoveryCodes': [] },
+            $unset: { 'twoFactor.secret': 1, 'twoFactor.pendingSecret': 1, 'twoFactor.lastStep': 1 }
+        })
+        return res.json({ enabled: false })
+    }
+    catch(err) {
+        return res.status(400).json({ error: 'Could not disable two-factor authentication' })
+    }
+}
+
+//Signing in with the second factor
+/*When the Express app gets a POST request at '/auth/signin/2fa', req.body holds the challenge token that was returned
+by the signin controller after the password was checked, and the code entered by the user. If both are valid, the
+user is signed in just like with a password alone.*/
+const signin = async (req, res) => {
+    let payload
+    try {
+        payload = jwt.verify(req.body.challenge, config.jwtSecret)
+    }
+    catch(err) {
+        return res.status(401).json({ error: 'The sign-in has expired, please sign in again' })
+    }
+    if (payload.purpose !== '2fa') return res.status(401).json({ error: 'Invalid sign-in challenge' })
+
+    //Wrong codes are limited like wrong passwords, per account and per IP address
+    const rules = [
+        { key: 'signin-2fa:' + payload._id, ...config.limiter.account },
+        { key: 'signin-ip:' + req.ip, ...config.limiter.ip }
+    ]
+    try {
+        const seconds = await limiter.lockedFor(rules)
+        if (seconds) return limiter.tooManyAttempts(res, seconds)
+
+        let user = await User.findById(payload._id).select(secretFields)
+        if (!user || !user.twoFactor.enabled) return res.status(401).json({ error: 'Invalid sign-in challenge' })
+        if (!(await checkCode(user, req.body.code))) {
+            await limiter.fail(rules)
+            await audit.record(req, 'two-factor-failed', { actor: user._id })
+            return res.status(401).json({ error: 'Invalid authentication code' })
+        }
+        await limiter.reset(rules.slice(0, 1))
+
+        return await authCtrl.sendAuthResponse(req, res, user, { remember: payload.remember })
+    }
+    catch(err) {
+        return res.status(401).json({ error: 'Could not sign in' })
+    }
+}
+
+export default { status, setup, enable, regenerateRecoveryCodes, disable, signin }
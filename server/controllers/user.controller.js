@@ -6,11 +6,20 @@ declarations as callbacks to be executed when a route request is received by the
 /*lodash is a JavaScript library that provides utility functions for common programming tasks,
 including the manipulation of arrays and objects.*/
 import extend from 'lodash/extend';
+import pick from 'lodash/pick';
+import mongoose from 'mongoose';
 
 /*This controller makes use of the errorHandler helper to respond to route requests with meaningful
 messages when a Mongoose error occurs.*/
 import errorHandler from '../helpers/dbErrorHandler';
 import User from '../models/user.model';
+import AccessToken from '../models/accessToken.model';
+import verificationCtrl from './verification.controller';
+import inviteCtrl from './invite.controller';
+import authCtrl from './auth.controller';
+import config from './../../config/config';
+import audit from '../helpers/audit';
+import limiter from '../helpers/limiter';
 
 /*The formidable Node module will allow the server to read the multipart form data and give us
 access to the fields and the file, if there are any. If there is a file, formidable will
@@ -32,11 +41,44 @@ The create function is defined as an asynchronous function with the async keywor
 await with user.save(), which returns a Promise. Using the await keyword inside an async function causes
 this function to wait until the returned Promise resolves, before the next lines of code are executed.
 If the Promise rejects, an error is thrown and caught in the catch block.
+Once the user is saved, a link to verify their email address is sent to them. The account is created even if
+the email can't be sent, since the user can ask for a new link later.
+When config.invites.required is set, req.body.inviteCode must be a valid invite. One use of it is claimed only once the
+new user passes validation, and given back if the user can't be saved.
+Only the fields of the signup form are taken from req.body. Everything else, such as the role, the linked identity
+providers, the followers or invitedBy, starts with its default value or is set here by the server, so a signup can't
+forge them, for example to claim someone else's OpenID Connect account.
 */
+const SIGNUP_FIELDS = ['name', 'email', 'password', 'username']
+
 const create = async (req, res) => {
-    const user = new User( req.body )
+    const user = new User( pick(req.body, SIGNUP_FIELDS) )
+    let invite = null
     try {
-        await user.save()
+        await user.validate()
+        if (config.invites.required) {
+            invite = await inviteCtrl.claim(req.body.inviteCode)
+            if (!invite) {
+                return res.status(400).json({
+                    error: 'A valid invite code is required to sign up'
+                })
+            }
+            user.invitedBy = invite.createdBy
+        }
+        try {
+            await user.save()
+        }
+        catch (err) {
+            if (invite) await inviteCtrl.release(invite)
+            throw err
+        }
+        if (invite) await inviteCtrl.used(invite, user)
+        try {
+            await verificationCtrl.sendVerification(user)
+        }
+        catch (err) {
+            console.log(err)
+        }
         return res.status(200).json({
             message: 'Successfully signed up!'
         })
@@ -49,14 +91,83 @@ const create = async (req, res) => {
 }
 
 //Listing all users
-/*The list controller function finds all the users from the database, populates only the name, email, created,
-and updated fields in the resulting user list, and then returns this list of users as JSON objects in an array
-to the requesting client.
+/*The list controller function finds the users from the database, a page at a time, selects only the fields of their
+public profile, and then returns them to the requesting client as { users, next }. Anyone can list the users, so the
+email addresses are only in it for the users who chose to show them.
+Every controller that returns users to the client goes through the publicProfile method of the user model, so they
+all return the same fields. The directory only shows the number of followers of each user, so it leaves out the
+following and followers lists, and returns followerCount instead.
+The query string takes:
+    - sort: 'newest' (the default), 'followers' for the most followed first, or 'name'
+    - search: words to look for in the names and about texts, in any case. Each word matches the words that begin with
+      it, so users are found as their name is typed, with the indexed searchKeys of the user model
+    - after: the next cursor of the previous page, to get the following one
+    - limit: the number of users per page, from 1 to MAX_LIMIT
+The cursor holds the sort value and the ID of the last user of the page, so pages don't skip or repeat users when
+others sign up in the meantime.
+Signed-in users don't see the users who blocked them.
 */
+const DEFAULT_LIMIT = 20
+const MAX_LIMIT = 50
+const LIST_SELECT = User.PUBLIC_SELECT.split(' ')
+    .filter( field => field !== 'following' && field !== 'followers' )
+    .concat(['followerCount', 'nameKey'])
+    .join(' ')
+
+const SORTS = {
+    newest: { field: 'created', order: -1, parse: value => new Date(value) },
+    followers: { field: 'followerCount', order: -1, parse: Number },
+    name: { field: 'nameKey', order: 1, parse: String }
+}
+
+const encodeCursor = (user, sort) => {
+    return Buffer.from(JSON.stringify([ user[sort.field], String(user._id) ])).toString('base64')
+}
+
+const decodeCursor = (cursor, sort) => {
+    try {
+        const [ value, id ] = JSON.parse(Buffer.from(String(cursor), 'base64').toString())
+        if (!mongoose.Types.ObjectId.isValid(id)) return null
+        return { value: sort.parse(value), id: mongoose.Types.ObjectId(id) }
+    }
+    catch(err) {
+        return null
+    }
+}
+
 const list = async (req, res) => {
+    const sortName = req.query.sort || 'newest'
+    if (!SORTS.hasOwnProperty(sortName)) return res.status(400).json({ error: 'Unknown sort' })
+    const sort = SORTS[sortName]
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit) || DEFAULT_LIMIT, MAX_LIMIT))
+
+    let query = req.query.search ? User.searchQuery(req.query.search) : {}
+    const viewer = await authCtrl.viewer(req)
+    if (viewer) query.blocked = { $ne: viewer._id }
+    if (req.query.after) {
+        const cursor = decodeCursor(req.query.after, sort)
+        if (!cursor) return res.status(400).json({ error: 'Invalid cursor' })
+        const after = sort.order < 0 ? '$lt' : '$gt'
+        query.$or = [
+            { [sort.field]: { [after]: cursor.value } },
+            { [sort.field]: cursor.value, _id: { [after]: cursor.id } }
+        ]
+    }
+
     try {
-        let users = await User.find().select('name email updated created photo')
-        res.json(users)
+        //One more user than the page size tells whether there is a next page
+        let users = await User.find(query)
+                              .select(LIST_SELECT)
+                              .sort({ [sort.field]: sort.order, _id: sort.order })
+                              .limit(limit + 1)
+        const next = users.length > limit ? encodeCursor(users[limit - 1], sort) : null
+        res.json({
+            users: users.slice(0, limit).map( user => ({
+                ...user.publicProfile(viewer && viewer._id),
+                followerCount: user.followerCount
+            }) ),
+            next: next
+        })
     }
     catch (err) {
         return res.status(400).json({
@@ -75,15 +186,20 @@ to a specific request to read, update, or delete.*/
 /*Whenever the Express app receives a request to a route that matches a path containing the :userId parameter in it,
 the app will execute the userByID controller function, which fetches and loads the user into the Express request object,
 before propagating it to the next function that's specific to the request that came in.
+Users who were blocked by the user get the same response as if it didn't exist, so they can't see the profile, its
+posts or its followers. Admins and moderators still see every user.
 */
+const STAFF_ROLES = ['admin', 'moderator']
+
 const userByID = async (req, res, next, id) => {
     try {
         let user = await User.findById(id)
         // The names and IDs of the users referenced in the following and followers arrays.
-        .populate('following', '_id name photo')
-        .populate('followers', '_id name photo')
+        .populate('following', '_id name username photo')
+        .populate('followers', '_id name username photo')
         .exec()
-        if (!user) {
+        const viewer = await authCtrl.viewer(req)
+        if (!user || (viewer && !STAFF_ROLES.includes(viewer.role) && user.hasBlocked(viewer._id))) {
             return res.status(400).json({
                 error: 'User not found'
             })
@@ -100,16 +216,34 @@ const userByID = async (req, res, next, id) => {
     }
 }
 
+/*When the Express app gets a GET request at '/api/users/username/:username', it finds the user with that username, or
+who had it before if it still leads to them, and returns their ID and current username. The client then shows the
+profile, or redirects to the current username when the user was renamed.*/
+const findByUsername = async (req, res) => {
+    try {
+        let user = await User.findByUsername(req.params.username, '_id username')
+        if (!user) {
+            return res.status(404).json({
+                error: 'User not found'
+            })
+        }
+        res.json({ _id: user._id, username: user.username })
+    }
+    catch (err) {
+        return res.status(400).json({
+            error: errorHandler.getErrorMessage(err)
+        })
+    }
+}
+
 //Reading
 /*When the Express app gets a GET request at '/api/users/:userId', it executes the userByID controller function to load the
 user by the userId value, followed by the read controller function.
-The read function retrieves the user details from req.profile and removes sensitive information, such as the hashed_password
-and salt values, before sending the user object in the response to the requesting client.
+The read function retrieves the user details from req.profile and sends its public profile in the response to the
+requesting client, leaving out sensitive information, such as the hashed_password and salt values.
 */
 const read = (req, res) => {
-    req.profile.hashed_password = undefined;
-    req.profile.salt = undefined;
-    return res.json(req.profile);
+    return res.json(req.profile.publicProfile(req.auth._id));
 }
 
 //Updating
@@ -118,9 +252,20 @@ executing the update controller function.
 The update function retrieves the user details from req.profile and then uses the lodash module to extend and merge the changes
 that came in the request body to update the user data. Before saving this updated user to the database, the updated field
 is populated with the current date to reflect the last updated timestamp. Upon successfully saving this update, the updated
-user object is cleaned by removing sensitive data, such as hashed_password and salt, before sending the user object in the
+user is turned into its public profile, without sensitive data such as hashed_password and salt, before sending it in the
 response to the requesting client.
+Only the profile fields in PROFILE_FIELDS are taken from the request, and anything else is ignored. The password and the
+email address are changed with the account controller, which asks for the current password.
+The showEmail field of the form sets whether the email address is shown on the public profile, and the private field
+whether following the user takes their approval. When a private account is made public, the users still waiting for
+approval are approved, since following it no longer takes any.
+The username can be changed a few times a day at most, as counted by the limiter, since each old username is kept for a
+while to redirect to the new one, and nobody else can take it meanwhile.
 */
+const usernameRules = (req) => [ { key: 'username:' + req.auth._id, ...config.limiter.username } ]
+
+const PROFILE_FIELDS = ['name', 'about']
+
 const update = (req, res) => {
     let form = new formidable.IncomingForm()
     form.keepExtensions = true
@@ -132,23 +277,50 @@ const update = (req, res) => {
         }      
         
         let user = req.profile;
-        user = extend( user, fields );
+        const wasPrivate = user.private
+        user = extend( user, pick(fields, PROFILE_FIELDS) );
+        if (fields.showEmail !== undefined) user.privacy.showEmail = fields.showEmail === 'true'
+        if (fields.private !== undefined) user.private = fields.private === 'true'
         user.updated = Date.now();
-        
-        await cloudinary.uploader.upload(files.photo.path,
-            {use_filename: true,
-            folder: 'MERN_SocialApp'
-            },
-            function(err, result) {
-                user.photo = result.url
+
+        try {
+            let renamed = false
+            if (fields.username !== undefined && String(fields.username).trim().toLowerCase() !== user.username) {
+                const seconds = await limiter.lockedFor(usernameRules(req))
+                if (seconds) return limiter.tooManyAttempts(res, seconds)
+                renamed = user.rename(fields.username)
+            }
+
+            if (files.photo) {
+                await cloudinary.uploader.upload(files.photo.path,
+                    {use_filename: true,
+                    folder: 'MERN_SocialApp'
+                    },
+                    function(err, result) {
+                        user.photo = result.url
+                    }
+                )
             }
-        )
 
-        try {        
             await user.save();
-            req.profile.hashed_password = undefined;
-            req.profile.salt = undefined;
-            res.json(user);
+            if (renamed) await limiter.fail(usernameRules(req))
+            if (wasPrivate && !user.private && user.followRequests.length) {
+                for (const requesterId of user.followRequests) {
+                    await approveFollower(req, user._id, requesterId)
+                }
+                user = await User.findById(user._id)
+                    .populate('following', '_id name username photo')
+                    .populate('followers', '_id name username photo')
+            }
+            await audit.record(req, 'profile-updated', {
+                subject: user._id,
+                details: { fields: Object.keys(pick(fields, PROFILE_FIELDS))
+                    .concat(files.photo ? ['photo'] : [])
+                    .concat(fields.showEmail !== undefined ? ['showEmail'] : [])
+                    .concat(fields.private !== undefined ? ['private'] : [])
+                    .concat(renamed ? ['username'] : []) }
+            })
+            res.json(user.publicProfile(req.auth._id));
         }
         catch (err) {
             return res.status(400).json({
@@ -163,14 +335,19 @@ const update = (req, res) => {
 function is executed.
 The remove function retrieves the user from req.profile and uses the remove() query to delete the user from the database.
 On successful deletion, the requesting client is returned the deleted user object in the response.
+Profile updates, follows and deletions are recorded in the audit log, with the signed-in user as the actor and the
+account they acted on as the subject, since admins can delete other users' accounts.
+The sessions of the deleted user are revoked, with their refresh tokens, and their personal access tokens are deleted, so
+nothing they were signed in with keeps working until it expires.
 */
 const remove = async (req, res) => {
     try {
         let user = req.profile;
         let deletedUser = await user.remove();
-        deletedUser.hashed_password = undefined;
-        deletedUser.salt = undefined;
-        res.json(deletedUser);
+        await authCtrl.revokeSessions({ user: user._id })
+        await AccessToken.deleteMany({ user: user._id })
+        await audit.record(req, 'account-deleted', { subject: user._id, details: { email: user.email } })
+        res.json(deletedUser.publicProfile(req.auth._id));
     }
     catch (err) {
         return res.status(400).json({
@@ -193,32 +370,68 @@ const photo = (req, res, next) => {
 //    return res.sendFile(process.cwd() + profileImage)
 //}
 
-/*This method will update the "following" array for the current user by pushing the followed user's reference into the array.*/
+/*Following a private account only asks its owner for approval. requestFollow runs before addFollowing, and when the user to
+follow is private and the current user isn't following them yet, it adds the current user to their followRequests and
+responds with their profile, which has requested set, instead of going on to change the following and followers arrays.
+Users can't follow someone who blocked them, nor someone they blocked until they unblock them.*/
+const requestFollow = async (req, res, next) => {
+    try {
+        let user = await User.findById(req.body.followId).select('private followers blocked')
+        if (!user || user.hasBlocked(req.auth._id)) {
+            return res.status(400).json({
+                error: 'User not found'
+            })
+        }
+        if (await User.exists({ _id: req.auth._id, blocked: user._id })) {
+            return res.status(403).json({
+                error: 'Unblock this user to follow them'
+            })
+        }
+        if (!user.private || user.postsVisibleTo(req.auth._id)) return next()
+        let result = await User.findByIdAndUpdate(req.body.followId,
+            {$addToSet: {followRequests: req.auth._id}},
+            {new: true})
+            .populate('following', '_id name username photo')
+            .populate('followers', '_id name username photo')
+            .exec()
+        res.json(result.publicProfile(req.auth._id))
+    }
+    catch(err) {
+        return res.status(400).json({
+            error: errorHandler.getErrorMessage(err)
+        })
+    }
+}
+
+/*This method will update the "following" array for the current user by pushing the followed user's reference into the array.
+The current user is always the signed-in user in req.auth, whatever userId the request body contains, so users can only
+follow and unfollow others in their own name.*/
 const addFollowing = async (req, res, next) => {
     try{
-        await User.findByIdAndUpdate(req.body.userId,
+        await User.findByIdAndUpdate(req.auth._id,
             {$push: {following: req.body.followId}})
         next()
     }
     catch(err) {
         return res.status(400).json({
-            error: errorHandler.getErrorMessage(error)
+            error: errorHandler.getErrorMessage(err)
         })
     }
 }
 /*On successful update of the following array, next() is invoked, and as a result, the addFollower method is executed to add the
-current user's reference to the followed user's followers array.*/
+current user's reference to the followed user's followers array.
+The followed user's followerCount, which the users directory is sorted by, only changes when the follower is added or
+removed, so following twice or unfollowing someone not followed doesn't skew it.*/
 const addFollower = async (req, res) => {
     try {
-        let result = await User.findByIdAndUpdate(req.body.followId,
-            {$push: {followers: req.body.userId}},
-            {new: true})
-            .populate('following', '_id name photo')
-            .populate('followers', '_id name photo')
+        await User.updateOne({ _id: req.body.followId, followers: { $ne: req.auth._id } },
+            {$push: {followers: req.auth._id}, $inc: {followerCount: 1}})
+        let result = await User.findById(req.body.followId)
+            .populate('following', '_id name username photo')
+            .populate('followers', '_id name username photo')
             .exec()
-        result.hashed_password = undefined
-        result.salt = undefined
-        res.json(result)
+        await audit.record(req, 'follow', { subject: result._id })
+        res.json(result.publicProfile(req.auth._id))
     }
     catch(err) {
         return res.status(400).json({
@@ -231,27 +444,143 @@ const addFollower = async (req, res) => {
 'following' and 'followers' arrays by removing the user references with $pull instead of $push. removeFollowing and removeFollower.*/
 const removeFollowing = async (req, res, next) => {
     try{
-        await User.findByIdAndUpdate(req.body.userId, {$pull: {following: req.body.unfollowId}})
+        await User.findByIdAndUpdate(req.auth._id, {$pull: {following: req.body.unfollowId}})
         next()
     }
     catch(err) {
         return res.status(400).json({
-            error: errorHandler.getErrorMessage(error)
+            error: errorHandler.getErrorMessage(err)
         })
     }
 }
 
+/*Unfollowing a private account the current user only asked to follow cancels the request.*/
 const removeFollower = async (req, res) => {
     try {
-        let result = await User.findByIdAndUpdate(req.body.unfollowId,
-            {$pull: {followers: req.body.userId}},
-            {new: true})
-            .populate('following', '_id name photo')
-            .populate('followers', '_id name photo')
+        await User.updateOne({ _id: req.body.unfollowId }, {$pull: {followRequests: req.auth._id}})
+        await User.updateOne({ _id: req.body.unfollowId, followers: req.auth._id },
+            {$pull: {followers: req.auth._id}, $inc: {followerCount: -1}})
+        let result = await User.findById(req.body.unfollowId)
+            .populate('following', '_id name username photo')
+            .populate('followers', '_id name username photo')
             .exec()
-        result.hashed_password = undefined
-        result.salt = undefined
-        res.json(result)
+        await audit.record(req, 'unfollow', { subject: result._id })
+        res.json(result.publicProfile(req.auth._id))
+    }
+    catch(err) {
+        return res.status(400).json({
+            error: errorHandler.getErrorMessage(err)
+        })
+    }
+}
+
+/*The owner of a private account sees the users who asked to follow them, and approves or rejects them.
+When the Express app gets a GET request at '/api/users/requests', listRequests returns the signed-in user's follow requests.
+approveRequest, at '/api/users/requests/approve', moves the user with the requesterId in the body from the follow requests to
+the followers, and adds the signed-in user to the requester's following list. rejectRequest, at '/api/users/requests/reject',
+only removes the request. Both respond with the remaining requests.*/
+const listRequests = async (req, res) => {
+    try {
+        let user = await User.findById(req.auth._id)
+            .select('followRequests')
+            .populate('followRequests', '_id name username photo')
+        res.json(user.followRequests)
+    }
+    catch(err) {
+        return res.status(400).json({
+            error: errorHandler.getErrorMessage(err)
+        })
+    }
+}
+
+//Moves the requester from the follow requests of the user to their followers, unless they were approved already
+const approveFollower = async (req, userId, requesterId) => {
+    let approved = await User.updateOne(
+        { _id: userId, followRequests: requesterId, followers: { $ne: requesterId } },
+        { $pull: { followRequests: requesterId }, $push: { followers: requesterId }, $inc: { followerCount: 1 } })
+    if (approved.nModified) {
+        await User.updateOne({ _id: requesterId }, { $addToSet: { following: userId } })
+        await audit.record(req, 'follow', { actor: requesterId, subject: userId, details: { approved: true } })
+    }
+}
+
+const approveRequest = async (req, res) => {
+    try {
+        await approveFollower(req, req.auth._id, req.body.requesterId)
+        return listRequests(req, res)
+    }
+    catch(err) {
+        return res.status(400).json({
+            error: errorHandler.getErrorMessage(err)
+        })
+    }
+}
+
+const rejectRequest = async (req, res) => {
+    try {
+        await User.updateOne({ _id: req.auth._id }, { $pull: { followRequests: req.body.requesterId } })
+        return listRequests(req, res)
+    }
+    catch(err) {
+        return res.status(400).json({
+            error: errorHandler.getErrorMessage(err)
+        })
+    }
+}
+
+/*Blocking a user, at '/api/users/block', adds the user with the blockId in the body to the signed-in user's blocked list,
+and removes any follow between them, in both directions, as well as their follow requests to each other. Unblocking, at
+'/api/users/unblock', only takes them off the list: they have to follow each other again. The blocked list is returned
+by '/api/users/blocked', which both respond with.*/
+const listBlocked = async (req, res) => {
+    try {
+        let user = await User.findById(req.auth._id)
+            .select('blocked')
+            .populate('blocked', '_id name username photo')
+        res.json(user.blocked)
+    }
+    catch(err) {
+        return res.status(400).json({
+            error: errorHandler.getErrorMessage(err)
+        })
+    }
+}
+
+const block = async (req, res) => {
+    const blockId = req.body.blockId
+    if (String(blockId) === String(req.auth._id)) {
+        return res.status(400).json({
+            error: 'You can\'t block yourself'
+        })
+    }
+    try {
+        if (!await User.exists({ _id: blockId })) {
+            return res.status(400).json({
+                error: 'User not found'
+            })
+        }
+        let blocked = await User.updateOne({ _id: req.auth._id, blocked: { $ne: blockId } },
+            { $push: { blocked: blockId }, $pull: { following: blockId, followRequests: blockId } })
+        await User.updateOne({ _id: req.auth._id, followers: blockId },
+            { $pull: { followers: blockId }, $inc: { followerCount: -1 } })
+        await User.updateOne({ _id: blockId }, { $pull: { following: req.auth._id, followRequests: req.auth._id } })
+        await User.updateOne({ _id: blockId, followers: req.auth._id },
+            { $pull: { followers: req.auth._id }, $inc: { followerCount: -1 } })
+        if (blocked.nModified) await audit.record(req, 'block', { subject: blockId })
+        return listBlocked(req, res)
+    }
+    catch(err) {
+        return res.status(400).json({
+            error: errorHandler.getErrorMessage(err)
+        })
+    }
+}
+
+const unblock = async (req, res) => {
+    try {
+        let unblocked = await User.updateOne({ _id: req.auth._id }, { $pull: { blocked: req.body.unblockId } })
+        if (unblocked.nModified) await audit.record(req, 'unblock', { subject: req.body.unblockId })
+        return listBlocked(req, res)
     }
     catch(err) {
         return res.status(400).json({
@@ -260,13 +589,17 @@ const removeFollower = async (req, res) => {
     }
 }
 
-/*We will query the User collection in the database to find the users that are not in the current user's following list.*/
+/*We will query the User collection in the database to find the users that are not in the current user's following list.
+The users the current user blocked, and the ones who blocked them, are left out too.*/
 const findPeople = async (req, res) => {
     let following = req.profile.following
     following.push(req.profile._id) //including the user id to not get the option of following himself
     try {
-        let users = await User.find({ _id: { $nin: following }})
-        res.json(users)
+        let users = await User.find({
+            _id: { $nin: following.concat(req.profile.blocked) },
+            blocked: { $nin: [ req.profile._id, req.auth._id ] }
+        }).select(User.PUBLIC_SELECT)
+        res.json(users.map( user => user.publicProfile(req.auth._id) ))
     }
     catch(err) {
         return res.status(400).json({
@@ -278,14 +611,22 @@ const findPeople = async (req, res) => {
 export default { 
     create,
     userByID,
+    findByUsername,
     read,
     list,
     remove,
     update,
     photo,
+    requestFollow,
     addFollowing,
     addFollower,
     removeFollowing,
     removeFollower,
+    listRequests,
+    approveRequest,
+    rejectRequest,
+    listBlocked,
+    block,
+    unblock,
     findPeople
 }
\ No newline at end of file
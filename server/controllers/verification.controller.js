@@ -0,0 +1,77 @@
+/*The verification controller confirms that users own the email address they signed up with. A signed link is
+emailed to them on signup, and opening it marks the account as verified. Until then, requireVerified keeps the
+account from posting.*/
+
+import jwt from 'jsonwebtoken';
+
+import User from '../models/user.model';
+import mailer from '../helpers/mailer';
+import config from './../../config/config';
+
+/*The verification link carries a JWT signed with the user's _id and the email address being verified, so the
+link stops working if the address is changed in the meantime. The purpose claim keeps these tokens from being
+accepted anywhere else.*/
+const sendVerification = (user) => {
+    const token = jwt.sign(
+        { _id: user._id, email: user.email, purpose: 'verify-email' },
+        config.jwtSecret,
+        { expiresIn: config.emailVerificationTTL }
+    )
+    const link = config.appUrl + '/verify-email/' + token
+    return mailer.send({
+        to: user.email,
+        subject: 'Verify your MERN Social email address',
+        text: 'Hi ' + user.name + ',\n\n' +
+            'Welcome to MERN Social! Please confirm that this is your email address by opening the link below.\n\n' +
+            link + '\n\n' +
+            'The link expires in ' + Math.round(config.emailVerificationTTL / 3600) + ' hours.'
+    })
+}
+
+//Verifying
+/*When the Express app gets a POST request at '/auth/verify-email', the token from the link is checked and the
+account it was issued for is marked as verified.*/
+const verify = async (req, res) => {
+    const invalid = { error: 'This verification link is invalid or has expired' }
+    let payload
+    try {
+        payload = jwt.verify(req.body.token, config.jwtSecret)
+    }
+    catch(err) {
+        return res.status(400).json(invalid)
+    }
+    if (payload.purpose !== 'verify-email') return res.status(400).json(invalid)
+
+    try {
+        let user = await User.findOneAndUpdate(
+            { _id: payload._id, email: payload.email },
+            { verified: true },
+            { new: true }
+        )
+        if (!user) return res.status(400).json(invalid)
+        return res.json({ message: 'Your email address has been verified.', verified: true })
+    }
+    catch(err) {
+        return res.status(400).json(invalid)
+    }
+}
+
+//Resending the link
+/*When the Express app gets a POST request at '/auth/verify-email/resend', a new link is emailed to the signed-in
+user, unless their address is already verified.*/
+const resend = async (req, res) => {
+    try {
+        let user = await User.findById(req.auth._id)
+        if (!user) return res.status(400).json({ error: 'User not found' })
+        if (user.verified) return res.json({ message: 'Your email address is already verified.', verified: true })
+
+        await sendVerification(user)
+        return res.json({ message: 'A new verification link has been sent to ' + user.email + '.' })
+    }
+    catch(err) {
+        console.log(err)
+        return res.status(400).json({ error: 'Could not send the verification link' })
+    }
+}
+
+export default { sendVerification, verify, resend }
@@ -22,6 +22,10 @@ import Template from './../template'
 import userRoutes from './routes/user.routes';
 import authRoutes from './routes/auth.routes';
 import postRoutes from './routes/post.routes';
+import adminRoutes from './routes/admin.routes';
+import inviteRoutes from './routes/invite.routes';
+import authCtrl from './controllers/auth.controller';
+import config from './../config/config';
 //import devBundle from './devBundle'; //comment out before building for production !!!
 
 
@@ -35,6 +39,7 @@ frontend route which was declared in the MainRouter component. The MainRouter is
 in our frontend.*/
 import StaticRouter from 'react-router-dom/StaticRouter';
 import MainRouter from './../client/MainRouter';
+import auth from './../client/auth/auth-helper';
 
 /* - Material-UI modules and the custom theme: The following modules will help generate the CSS styles for
 the frontend components based on the stylings and Material-UI theme that are used on the frontend: */
@@ -44,6 +49,9 @@ import theme from './../client/theme';
 
 const app = express();
 
+//The addresses of the clients, used by the limiter, are only taken from the proxies configured in config.trustProxy
+app.set('trust proxy', config.trustProxy)
+
 /*In development mode, when this line is executed, Webpack will compile and bundle the React
 code to place it in dist/bundle.js.*/
 //devBundle.compile(app);     //comment out before building for production !!!
@@ -68,6 +76,8 @@ the client-side.*/
 app.use('/', userRoutes)
 app.use('/', authRoutes)
 app.use('/', postRoutes)
+app.use('/', adminRoutes)
+app.use('/', inviteRoutes)
 
 // Basic server-side rendering
 /*To render the relevant React components when the server receives requests to the frontend routes,
@@ -77,14 +87,18 @@ components, before the client-side JS is ready to take over the rendering.
 to convert the root React component into a markup string. Then, we can attach it to the template that the
 server renders when it receives a request.
 */
-app.get('*', (req, res) => {
+/*In the cookie auth mode, the server knows who is signed in from the access token cookie. The components are rendered
+as that user, so private pages aren't redirected to the Sign In view, and the user is handed to the client in the
+template, so its first render matches the markup.*/
+app.get('*', async (req, res) => {
     // 1. Generate CSS styles using Material-UI's ServerStyleSheets
     // 2. Use renderToString to generate markup which renders components specific to the route requested
     // 3. Return template with markup and CSS styles in the response
 
+    const user = await authCtrl.pageUser(req)
     const sheets = new ServerStyleSheets();
     const context = {};
-    const markup = ReactDOMServer.renderToString(
+    const markup = auth.renderAs(user, () => ReactDOMServer.renderToString(
         sheets.collect(
             <StaticRouter location={req.url} context={context}>
                 <ThemeProvider theme={theme}>
@@ -92,7 +106,7 @@ app.get('*', (req, res) => {
                 </ThemeProvider>
             </StaticRouter>
         )
-    )
+    ))
     
     if ( context.url) {
         return res.redirect(303, context.url)
@@ -101,7 +115,8 @@ app.get('*', (req, res) => {
     const css = sheets.toString()
     res.status(200).send( Template({
         markup: markup,
-        css: css
+        css: css,
+        auth: { mode: config.authMode, user: user }
     }))
 })
 
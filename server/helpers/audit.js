@@ -0,0 +1,23 @@
+import AuditEvent from '../models/auditEvent.model'
+
+/*Records an event of the audit log for the request that is being handled, with the IP address and user agent
+it came from. The actor defaults to the signed-in user.
+Writing to the audit log never makes a request fail: an error is only logged.
+*/
+const record = async (req, event, { actor, subject, details } = {}) => {
+    try {
+        await new AuditEvent({
+            event: event,
+            actor: actor || (req.auth && req.auth._id),
+            subject: subject,
+            ip: req.ip,
+            userAgent: req.get('User-Agent'),
+            details: details
+        }).save()
+    }
+    catch(err) {
+        console.log(err)
+    }
+}
+
+export default { record }
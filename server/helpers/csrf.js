@@ -0,0 +1,52 @@
+import crypto from 'crypto'
+import config from './../../config/config'
+
+/*In the cookie auth mode, the browser sends the access token cookie with every request to the app, including the
+ones made by forms and scripts of other sites. To tell them apart, state-changing requests have to carry a CSRF token
+in the X-CSRF-Token header, which other sites can't set, and it has to match the 'csrf' cookie, which only the app's
+own pages can read (double submit).
+The token belongs to the browser rather than to a session, since the accounts signed in on a browser share it. It is a
+random value followed by its HMAC, so a cookie planted by someone else, for example from a sibling subdomain, isn't
+accepted unless it was issued by the server.
+*/
+const COOKIE = 'csrf'
+const HEADER = 'X-CSRF-Token'
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS']
+
+const sign = value => crypto.createHmac('sha256', config.jwtSecret).update('csrf:' + value).digest('hex')
+
+const isValid = token => {
+    const [ value, signature ] = String(token || '').split('.')
+    if (!value || !signature) return false
+    const expected = sign(value)
+    return signature.length === expected.length && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+}
+
+/*The cookie isn't a credential, so it is kept as long as a remembered session, for the client to read it after a
+restart whichever account it signs in with.*/
+const cookieOptions = {
+    sameSite: 'strict',
+    secure: config.env === 'production',
+    path: '/',
+    maxAge: config.refreshTokenTTL * 1000
+}
+
+//The token of the browser is kept when it already has one
+const setCookie = (req, res) => {
+    let token = req.cookies[COOKIE]
+    if (!isValid(token)) {
+        const value = crypto.randomBytes(16).toString('hex')
+        token = value + '.' + sign(value)
+    }
+    res.cookie(COOKIE, token, cookieOptions)
+}
+
+const verify = (req) => {
+    const header = req.get(HEADER)
+    return Boolean(header) && header === req.cookies[COOKIE] && isValid(header)
+}
+
+const isSafe = req => SAFE_METHODS.includes(req.method)
+
+export default { setCookie, verify, isSafe }
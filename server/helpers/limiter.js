@@ -0,0 +1,243 @@
+import config from './../../config/config'
+import RateLimit from '../models/rateLimit.model'
+
+/*The limiter slows down brute-force attacks by counting failures, such as wrong passwords, per key (an account,
+an IP address...). A rule gives the key and its policy:
+    { key, maxFailures, window, lockout, maxLockout }
+Once maxFailures failures are counted within window seconds, the key is locked out for lockout seconds. Every
+new lockout of the same key lasts twice as long as the previous one, up to maxLockout seconds, and a key is
+forgotten after a day without failures.
+The counters are kept in a store, chosen with config.limiter.store: 'memory' keeps them in this process, which is
+enough for a single server, while 'mongo' keeps them in MongoDB so that they are shared by every instance. Other
+stores can be plugged in with setStore; they implement the same async methods as the two below.
+*/
+
+const MEMORY = 24 * 60 * 60
+
+const memoryStore = () => {
+    const records = new Map()
+
+    //Expired records are removed every minute
+    const sweep = setInterval( () => {
+        const now = Date.now()
+        records.forEach( (record, key) => {
+            if (record.expires < now) records.delete(key)
+        })
+    }, 60 * 1000)
+    if (sweep.unref) sweep.unref()
+
+    return {
+        get: async (key) => {
+            const record = records.get(key)
+            return record && record.expires >= Date.now() ? record : null
+        },
+        increment: async (key, window) => {
+            const now = Date.now()
+            let record = records.get(key)
+            if (!record || record.expires < now) {
+                record = { failures: 0, windowStart: now, lockouts: 0 }
+                records.set(key, record)
+            }
+            if (record.windowStart < now - window * 1000) {
+                record.failures = 0
+                record.windowStart = now
+            }
+            record.failures += 1
+            record.expires = Math.max(record.lockedUntil || 0, now + MEMORY * 1000)
+            return record
+        },
+        release: async (key) => {
+            const record = records.get(key)
+            if (record && record.failures > 0) record.failures -= 1
+        },
+        update: async (key, fields) => {
+            const record = records.get(key)
+            if (record) Object.assign(record, fields)
+        },
+        reset: async (key) => {
+            records.delete(key)
+        }
+    }
+}
+
+const mongoStore = () => {
+    return {
+        get: (key) => {
+            return RateLimit.findOne({ key: key, expires: { $gte: Date.now() } })
+        },
+        //The counter is restarted when its window is over, then incremented atomically
+        increment: async (key, window) => {
+            const now = Date.now()
+            await RateLimit.updateOne(
+                { key: key, windowStart: { $lt: new Date(now - window * 1000) } },
+                { failures: 0, windowStart: now }
+            )
+            return RateLimit.findOneAndUpdate(
+                { key: key },
+                { $inc: { failures: 1 }, $max: { expires: new Date(now + MEMORY * 1000) } },
+                { upsert: true, new: true, setDefaultsOnInsert: true }
+            )
+        },
+        release: (key) => {
+            return RateLimit.updateOne({ key: key, failures: { $gt: 0 } }, { $inc: { failures: -1 } })
+        },
+        update: (key, fields) => {
+            return RateLimit.updateOne({ key: key }, fields)
+        },
+        reset: (key) => {
+            return RateLimit.deleteOne({ key: key })
+        }
+    }
+}
+
+const createStore = () => {
+    switch (config.limiter.store) {
+        case 'mongo':
+            return mongoStore()
+        case 'memory':
+            return memoryStore()
+        default:
+            throw new Error('Unknown limiter store: ' + config.limiter.store)
+    }
+}
+
+let store = null
+
+const getStore = () => {
+    if (!store) store = createStore()
+    return store
+}
+
+const setStore = (newStore) => {
+    store = newStore
+}
+
+/*Returns how many seconds are left before every one of the given keys can be tried again, which is 0 when none
+of them is locked out.*/
+const lockedFor = async (rules) => {
+    let seconds = 0
+    for (const rule of rules) {
+        const record = await getStore().get(rule.key)
+        if (record && record.lockedUntil && record.lockedUntil > Date.now()) {
+            seconds = Math.max(seconds, Math.ceil((record.lockedUntil - Date.now()) / 1000))
+        }
+    }
+    return seconds
+}
+
+//How long the next lockout of the rule's key lasts, in seconds: twice as long as the previous one, up to maxLockout
+const lockoutDuration = (rule, record) => Math.min(rule.lockout * Math.pow(2, record.lockouts), rule.maxLockout)
+
+const lockOut = async (rule, record) => {
+    const lockedUntil = Date.now() + lockoutDuration(rule, record) * 1000
+    await getStore().update(rule.key, {
+        failures: 0,
+        lockouts: record.lockouts + 1,
+        lockedUntil: lockedUntil,
+        expires: Math.max(lockedUntil, Date.now() + MEMORY * 1000)
+    })
+}
+
+//Counts a failure for each of the rules, and locks out the keys that went over their limit
+const fail = async (rules) => {
+    for (const rule of rules) {
+        const record = await getStore().increment(rule.key, rule.window)
+        if (record.failures >= rule.maxFailures) await lockOut(rule, record)
+    }
+}
+
+//Gives back an attempt reserved for each of the rules
+const release = async (rules) => {
+    for (const rule of rules) {
+        await getStore().release(rule.key)
+    }
+}
+
+/*Reserves an attempt for each of the rules before a request is handled, so that concurrent requests can't all get in
+before any of them is counted. When a key has no attempt left, nothing stays reserved and the number of seconds to
+wait is returned, otherwise 0.*/
+const reserve = async (rules) => {
+    const reserved = []
+    for (const rule of rules) {
+        const record = await getStore().increment(rule.key, rule.window)
+        reserved.push(rule)
+        if (record.failures > rule.maxFailures) {
+            await release(reserved)
+            return lockoutDuration(rule, record)
+        }
+    }
+    return 0
+}
+
+//Locks out the keys whose reserved attempts reached their limit, once the request they were reserved for succeeded
+const settle = async (rules) => {
+    for (const rule of rules) {
+        const record = await getStore().get(rule.key)
+        if (record && record.failures >= rule.maxFailures) await lockOut(rule, record)
+    }
+}
+
+//Forgets the failures of the given keys, for example once the account's owner signs in
+const reset = async (rules) => {
+    for (const rule of rules) {
+        await getStore().reset(rule.key)
+    }
+}
+
+/*Returns how many times the rule's key was counted recently: the failures of its current window, plus maxFailures
+for each lockout it already had, so that it keeps growing once the key has been locked out.*/
+const attempts = async (rule) => {
+    const record = await getStore().get(rule.key)
+    if (!record) return 0
+    const failures = record.windowStart >= Date.now() - rule.window * 1000 ? record.failures : 0
+    return failures + record.lockouts * rule.maxFailures
+}
+
+//Tells whether the key is used for the first time within window seconds, for values that must only be used once
+const once = async (key, window) => {
+    const record = await getStore().increment(key, window)
+    return record.failures === 1
+}
+
+const tooManyAttempts = (res, seconds) => {
+    res.set('Retry-After', String(seconds))
+    return res.status(429).json({
+        error: 'Too many attempts. Please try again in ' + Math.ceil(seconds / 60) + ' minute(s).'
+    })
+}
+
+/*Express middleware for routes where every request counts, whatever its outcome, such as sending a sign-in link by
+email. With options.successful, only the requests that succeed count, such as signups, so that a form sent again after
+a typo doesn't: an attempt is reserved before the request is handled, and given back if the response is an error.
+The failed requests are counted under the rules of options.failures instead, which should allow more of them, so that
+the errors can't be used to probe the route without limit either. The rules functions build the rules for the
+incoming request.*/
+const limit = (rules, options = {}) => {
+    return async (req, res, next) => {
+        try {
+            const requestRules = rules(req)
+            const failureRules = options.failures ? options.failures(req) : []
+            const seconds = await lockedFor(requestRules.concat(failureRules))
+            if (seconds) return tooManyAttempts(res, seconds)
+            if (!options.successful) {
+                await fail(requestRules)
+                return next()
+            }
+
+            const wait = await reserve(requestRules)
+            if (wait) return tooManyAttempts(res, wait)
+            res.on('finish', () => {
+                const counted = res.statusCode < 400 ?
+                    settle(requestRules) :
+                    release(requestRules).then( () => fail(failureRules) )
+                counted.catch( err => console.log(err) )
+            })
+            next()
+        }
+        catch(err) {
+            next(err)
+        }
+    }
+}
+
+export default { lockedFor, fail, reset, attempts, once, limit, tooManyAttempts, setStore }
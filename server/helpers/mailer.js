@@ -0,0 +1,53 @@
+import fs from 'fs'
+import path from 'path'
+import nodemailer from 'nodemailer'
+
+import config from './../../config/config'
+
+/*Every email the app sends goes through the send method of this mailer, so the way emails are delivered can
+be changed from a single place. The transport is chosen with config.mailer.transport:
+    'file' - writes each email as an .eml file into the config.mailer.dir folder, which is handy during
+             development and tests since no mail server is needed.
+    'smtp' - sends the emails to the SMTP server in config.mailer.smtp, for example a local catch-all such as
+             MailHog, or the real mail provider in production.
+Other transports can be plugged in with setTransport, which takes any object with a sendMail(message) method
+returning a promise, for example a nodemailer transport.
+*/
+
+const fileTransport = {
+    sendMail: async (message) => {
+        const transport = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' })
+        const info = await transport.sendMail(message)
+        const dir = path.resolve(process.cwd(), config.mailer.dir)
+        fs.mkdirSync(dir, { recursive: true })
+        const fileName = Date.now() + '-' + String(message.to).replace(/[^\w.@-]/g, '_') + '.eml'
+        fs.writeFileSync(path.join(dir, fileName), info.message)
+        return info
+    }
+}
+
+const createTransport = () => {
+    switch (config.mailer.transport) {
+        case 'smtp':
+            return nodemailer.createTransport(config.mailer.smtp)
+        case 'file':
+            return fileTransport
+        default:
+            throw new Error('Unknown mail transport: ' + config.mailer.transport)
+    }
+}
+
+let transport = null
+
+const setTransport = (newTransport) => {
+    transport = newTransport
+}
+
+/*The message takes the nodemailer fields: to, subject, text and optionally html. The sender is always
+config.mailer.from.*/
+const send = (message) => {
+    if (!transport) transport = createTransport()
+    return transport.sendMail({ from: config.mailer.from, ...message })
+}
+
+export default { send, setTransport }
@@ -0,0 +1,15 @@
+import crypto from 'crypto'
+
+/*Opaque tokens, such as refresh tokens, are random strings that carry no information by themselves.
+They are handed to the client once, and only a SHA-256 hash of them is stored in the database, so a
+leaked database dump cannot be replayed against the API.
+*/
+const randomToken = (bytes = 32) => {
+    return crypto.randomBytes(bytes).toString('hex')
+}
+
+const hashToken = token => {
+    return crypto.createHash('sha256').update(String(token)).digest('hex')
+}
+
+export default { randomToken, hashToken }
@@ -0,0 +1,93 @@
+import crypto from 'crypto'
+
+/*Time-based one-time passwords (TOTP, RFC 6238) are the 6-digit codes shown by authenticator apps such as
+Google Authenticator. The app and the server share a secret, and both derive the code from it and the current
+30-second time step, so the codes can be checked without any external service.
+Secrets are exchanged in base32, which is what authenticator apps expect.
+*/
+
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+const STEP = 30
+const DIGITS = 6
+
+const base32Encode = (buffer) => {
+    let bits = 0, value = 0, output = ''
+    for (let i = 0; i < buffer.length; i++) {
+        value = (value << 8) | buffer[i]
+        bits += 8
+        while (bits >= 5) {
+            output += ALPHABET[(value >>> (bits - 5)) & 31]
+            bits -= 5
+        }
+    }
+    if (bits > 0) output += ALPHABET[(value << (5 - bits)) & 31]
+    return output
+}
+
+const base32Decode = (text) => {
+    const clean = String(text).toUpperCase().replace(/[\s=]/g, '')
+    let bits = 0, value = 0
+    const bytes = []
+    for (let i = 0; i < clean.length; i++) {
+        const index = ALPHABET.indexOf(clean[i])
+        if (index === -1) throw new Error('Invalid base32 character')
+        value = (value << 5) | index
+        bits += 5
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255)
+            bits -= 8
+        }
+    }
+    return Buffer.from(bytes)
+}
+
+//A new random 160-bit secret, base32 encoded
+const generateSecret = () => {
+    return base32Encode(crypto.randomBytes(20))
+}
+
+const timeStep = (time = Date.now()) => {
+    return Math.floor(time / 1000 / STEP)
+}
+
+//The code for the given time step (HOTP, RFC 4226)
+const generate = (secret, step = timeStep()) => {
+    const counter = Buffer.alloc(8)
+    counter.writeUInt32BE(Math.floor(step / 0x100000000), 0)
+    counter.writeUInt32BE(step % 0x100000000, 4)
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest()
+    const offset = hmac[hmac.length - 1] & 0xf
+    const binary = ((hmac[offset] & 0x7f) << 24) |
+        (hmac[offset + 1] << 16) |
+        (hmac[offset + 2] << 8) |
+        hmac[offset + 3]
+    return String(binary % Math.pow(10, DIGITS)).padStart(DIGITS, '0')
+}
+
+/*Checks a code against the current time step and the given number of steps before and after it, to allow for
+clock drift between the server and the phone. It returns the time step the code matched, or null. Steps that are
+not after the "after" step are skipped, so a code that was already used can't be replayed.
+*/
+const verify = (secret, code, { window = 1, after = -1 } = {}) => {
+    const candidate = String(code || '').replace(/\s/g, '')
+    if (!/^\d{6}$/.test(candidate)) return null
+
+    const now = timeStep()
+    for (let step = now - window; step <= now + window; step++) {
+        if (step <= after) continue
+        const expected = generate(secret, step)
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) return step
+    }
+    return null
+}
+
+/*The provisioning URI that authenticator apps read from the QR code.*/
+const keyUri = (secret, account, issuer) => {
+    return 'otpauth://totp/' + encodeURIComponent(issuer) + ':' + encodeURIComponent(account) +
+        '?secret=' + secret +
+        '&issuer=' + encodeURIComponent(issuer) +
+        '&algorithm=SHA1&digits=' + DIGITS + '&period=' + STEP
+}
+
+export default { base32Encode, base32Decode, generateSecret, generate, verify, keyUri }
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+/*Personal access tokens let users call the API from their own scripts, without signing in from a browser.
+Each token is limited to the scopes it was created with, and only a hash of it is stored, like refresh tokens.
+The first characters of the token are kept in clear, so the user can tell their tokens apart in the list.
+Tokens with an expiry date are removed by MongoDB once it has passed, the others last until they are revoked.
+*/
+const SCOPES = ['posts:read', 'posts:write', 'users:read', 'users:write']
+
+//Every personal access token starts with this prefix, which is how requireSignin tells them apart from JWTs
+const PREFIX = 'pat_'
+
+const AccessTokenSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        trim: true,
+        required: 'Name is required'
+    },
+    hash: {
+        type: String,
+        unique: true,
+        required: true
+    },
+    prefix: String,
+    user: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        index: true,
+        required: true
+    },
+    scopes: {
+        type: [{ type: String, enum: SCOPES }],
+        validate: [ scopes => scopes.length > 0, 'At least one scope is required' ]
+    },
+    created: {
+        type: Date,
+        default: Date.now
+    },
+    lastUsed: Date,
+    expires: Date
+})
+
+AccessTokenSchema.index({ expires: 1 }, { expireAfterSeconds: 0 })
+
+AccessTokenSchema.statics.SCOPES = SCOPES
+AccessTokenSchema.statics.PREFIX = PREFIX
+
+export default mongoose.model('AccessToken', AccessTokenSchema);
@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+
+/*The audit log records the security-related events of every account, such as sign-ins, failed sign-ins, password
+changes and account deletions. Each event has the user who acted (actor), the user it was done to (subject) when it
+is someone else, the IP address and user agent of the request, and any other details in 'details'.
+The collection is append-only: events can be created, but the hooks below refuse every update or deletion made
+through the model.
+*/
+const EVENTS = [
+    'signin',
+    'signin-failed',
+    'signout',
+    'two-factor-failed',
+    'password-changed',
+    'password-reset',
+    'email-change-requested',
+    'email-changed',
+    'profile-updated',
+    'follow',
+    'unfollow',
+    'block',
+    'unblock',
+    'role-changed',
+    'account-deleted'
+]
+
+const AuditEventSchema = new mongoose.Schema({
+    event: {
+        type: String,
+        enum: EVENTS,
+        required: true
+    },
+    actor: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+    },
+    subject: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+    },
+    ip: String,
+    userAgent: String,
+    details: mongoose.Schema.Types.Mixed,
+    created: {
+        type: Date,
+        default: Date.now
+    }
+})
+
+AuditEventSchema.index({ actor: 1, created: -1 })
+AuditEventSchema.index({ subject: 1, created: -1 })
+AuditEventSchema.index({ event: 1, created: -1 })
+
+const appendOnly = function(next) {
+    next(new Error('Audit events can\'t be changed or deleted'))
+}
+
+AuditEventSchema.pre('save', function(next) {
+    if (!this.isNew) return appendOnly(next)
+    next()
+})
+AuditEventSchema.pre([
+    'update', 'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne',
+    'remove', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'
+], appendOnly)
+
+AuditEventSchema.statics.EVENTS = EVENTS
+
+export default mongoose.model('AuditEvent', AuditEventSchema);
@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+/*An invite is a code that lets people sign up when the app is invite-only. It can be used a limited number of times
+until it expires, and the users who signed up with it keep a link back to its creator in their invitedBy field.
+Unlike tokens, the code is stored in clear, since its creator needs to see it again to share it.
+*/
+const InviteSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        unique: true,
+        required: true
+    },
+    createdBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        index: true,
+        required: true
+    },
+    maxUses: {
+        type: Number,
+        min: [1, 'An invite must allow at least one signup'],
+        default: 1
+    },
+    uses: {
+        type: Number,
+        default: 0
+    },
+    usedBy: [{
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+    }],
+    created: {
+        type: Date,
+        default: Date.now
+    },
+    expires: {
+        type: Date,
+        required: true
+    }
+})
+
+export default mongoose.model('Invite', InviteSchema);
@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+/*One-time tokens are the secrets behind the links the app sends by email, such as the link to reset a
+password. Only the hash of the token is stored, it expires after a while, and it can only be used once:
+'used' is set when the token is consumed.
+The purpose tells what the token was issued for, so a token issued for one flow can't be used in another.
+Tokens issued before the user is known, such as the challenge of a passkey sign-in, have no user.
+Tokens that must be used from the browser that asked for them, such as sign-in links, hold the hash of a secret
+that was set in a cookie of that browser in 'binding'.
+Any other value the flow needs back when the token is used, such as the PKCE verifier of an OpenID Connect sign-in,
+is kept in 'data'.
+*/
+const OneTimeTokenSchema = new mongoose.Schema({
+    hash: {
+        type: String,
+        unique: true,
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+    },
+    purpose: {
+        type: String,
+        required: true
+    },
+    created: {
+        type: Date,
+        default: Date.now
+    },
+    expires: {
+        type: Date,
+        required: true
+    },
+    used: Date,
+    binding: String,
+    data: mongoose.Schema.Types.Mixed
+})
+
+OneTimeTokenSchema.index({ expires: 1 }, { expireAfterSeconds: 0 })
+
+export default mongoose.model('OneTimeToken', OneTimeTokenSchema);
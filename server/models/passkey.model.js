@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+/*A passkey is a WebAuthn credential created by the user's device or password manager, which signs in with a
+key pair instead of a password. The server only stores the credential's ID and public key, both base64url
+encoded, along with the signature counter reported by the authenticator. The counter goes up with every sign-in
+on authenticators that keep one, so a lower or equal value reveals a cloned credential.
+*/
+const PasskeySchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        index: true,
+        required: true
+    },
+    credentialID: {
+        type: String,
+        unique: true,
+        required: true
+    },
+    publicKey: {
+        type: String,
+        required: true
+    },
+    counter: {
+        type: Number,
+        default: 0
+    },
+    transports: [String],
+    //A name given by the user to tell their passkeys apart
+    name: {
+        type: String,
+        trim: true
+    },
+    //Whether the passkey is synced between devices, such as by a password manager
+    backedUp: Boolean,
+    created: {
+        type: Date,
+        default: Date.now
+    },
+    lastUsed: Date
+})
+
+export default mongoose.model('Passkey', PasskeySchema);
@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+/*The counters of the limiter, when it is configured with the 'mongo' store, so that every instance of the
+server shares them. Each document tracks a single key, such as an account or an IP address.*/
+const RateLimitSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        unique: true,
+        required: true
+    },
+    //Failures counted since windowStart
+    failures: {
+        type: Number,
+        default: 0
+    },
+    windowStart: {
+        type: Date,
+        default: Date.now
+    },
+    //How many times the key has been locked out, which makes the next lockout longer
+    lockouts: {
+        type: Number,
+        default: 0
+    },
+    lockedUntil: Date,
+    expires: {
+        type: Date,
+        required: true
+    }
+})
+
+RateLimitSchema.index({ expires: 1 }, { expireAfterSeconds: 0 })
+
+export default mongoose.model('RateLimit', RateLimitSchema);
@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+/*A refresh token is handed to the client in an httpOnly cookie when the user signs in, and it can be
+exchanged exactly once at '/auth/refresh' for a new access token and a new refresh token.
+Only the hash of the token is stored. Every token that descends from the same sign-in shares the same
+"family" value, which is the jti of the session it belongs to, so when a token that was already rotated
+is presented again (which means it was copied by someone else), the whole session can be revoked at once.
+*/
+const RefreshTokenSchema = new mongoose.Schema({
+    hash: {
+        type: String,
+        unique: true,
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    family: {
+        type: String,
+        index: true,
+        required: true
+    },
+    created: {
+        type: Date,
+        default: Date.now
+    },
+    expires: {
+        type: Date,
+        required: true
+    },
+    //Set when the token is exchanged for a new one
+    used: Date,
+    revoked: {
+        type: Boolean,
+        default: false
+    }
+})
+
+//MongoDB removes the expired tokens by itself
+RefreshTokenSchema.index({ expires: 1 }, { expireAfterSeconds: 0 })
+
+export default mongoose.model('RefreshToken', RefreshTokenSchema);
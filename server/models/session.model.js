@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+/*A session is created every time a user signs in, and it is identified by a random token id (jti) that is
+carried in every access token issued for it. The refresh tokens of a sign-in belong to its session too, as their
+family is the session's jti.
+Since requireSignin checks that the session of the token still exists and hasn't been revoked, a user can sign out
+a single device, or every device at once, and the tokens issued to them stop working right away.
+*/
+const SessionSchema = new mongoose.Schema({
+    jti: {
+        type: String,
+        unique: true,
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        index: true,
+        required: true
+    },
+    //The user agent of the browser or app that signed in
+    device: String,
+    ip: String,
+    created: {
+        type: Date,
+        default: Date.now
+    },
+    lastSeen: {
+        type: Date,
+        default: Date.now
+    },
+    /*Whether the user asked to be remembered when signing in. Otherwise the refresh token cookie is deleted when the
+    browser is closed, and the session expires after config.browserSessionTTL without being used.*/
+    remember: {
+        type: Boolean,
+        default: true
+    },
+    //Pushed forward every time the session is refreshed
+    expires: {
+        type: Date,
+        required: true
+    },
+    revoked: {
+        type: Boolean,
+        default: false
+    }
+})
+
+SessionSchema.index({ expires: 1 }, { expireAfterSeconds: 0 })
+
+export default mongoose.model('Session', SessionSchema);
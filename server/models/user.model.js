@@ -1,5 +1,14 @@
 import mongoose from 'mongoose';
 import crypto from 'crypto'
+import escapeRegExp from 'lodash/escapeRegExp'
+
+import config from './../../config/config'
+
+/*Usernames that could be mistaken for the app itself, or for one of its pages, can't be taken by users.*/
+const RESERVED_USERNAMES = [
+    'about', 'admin', 'administrator', 'api', 'auth', 'dist', 'help', 'me', 'mod', 'moderator', 'null', 'root',
+    'security', 'settings', 'signin', 'signout', 'signup', 'staff', 'support', 'system', 'undefined', 'user', 'users'
+]
 
 /*The mongoose.Schema() function takes a schema definition object as a parameter to
 generate a new Mongoose schema object that will specify the properties or structure
@@ -10,6 +19,29 @@ const UserSchema = new mongoose.Schema({
         trim: true,
         required: 'Name is required'
     },
+    /*The handle of the user, used in the profile URL '/@username'. It is stored in lower case, so handles are unique
+    whatever the case they are typed in. Users created before handles existed don't have one until they pick it.*/
+    username: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        unique: 'Username already exists',
+        sparse: true,
+        required: [ function() { return this.isNew }, 'Username is required' ],
+        match: [/^[a-z0-9_]{3,30}$/, 'A username has 3 to 30 letters, digits or underscores'],
+        validate: [
+            { validator: username => !RESERVED_USERNAMES.includes(username), msg: 'This username is reserved' },
+            { validator: async function(username) { return !await this.constructor.isTaken(username, this._id) },
+              msg: 'Username already exists' }
+        ]
+    },
+    /*The handles the user had before, which still lead to their profile, and can't be taken by others, until they
+    expire. See config.usernames.redirectTTL.*/
+    previousUsernames: [{
+        _id: false,
+        username: String,
+        until: Date
+    }],
     email: {
         type: String,
         trim: true,
@@ -17,11 +49,70 @@ const UserSchema = new mongoose.Schema({
         match: [/.+\@.+\..+/, 'Please fill a valid email address'],
         required: 'Email is required'
     },
+    /*Set once the user opens the verification link that is emailed to them on signup. Until then, the account
+    can't be used to post.*/
+    verified: {
+        type: Boolean,
+        default: false
+    },
+    /*Admins can delete any post or user and change the role of other users, and moderators can remove any
+    comment. The role is carried in the JWT, so a change takes effect when the user's access token is renewed.*/
+    role: {
+        type: String,
+        enum: ['user', 'moderator', 'admin'],
+        default: 'user'
+    },
     hashed_password: {
         type: String,
         required: "Password is required"
     },
     salt: String,
+    /*Accounts created by signing in with an OpenID Connect provider get a random password nobody knows, until the
+    user sets one with a reset link. Until then, they can't unlink their last provider.*/
+    hasPassword: {
+        type: Boolean,
+        default: true
+    },
+    /*The accounts of OpenID Connect providers linked to this user, identified by the provider's id in the config
+    and the subject the provider knows the user by.*/
+    identities: {
+        type: [{
+            provider: String,
+            subject: String,
+            email: String,
+            linked: {
+                type: Date,
+                default: Date.now
+            }
+        }],
+        select: false
+    },
+    /*Two-factor authentication with a TOTP authenticator app. The secret and the hashes of the recovery codes
+    are never selected by default, so they can't leak in a response by accident. The pending secret is the one
+    shown during enrollment, until the user confirms it with a first code.
+    lastStep is the time step of the last accepted code, which can't be used again.*/
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        secret: {
+            type: String,
+            select: false
+        },
+        pendingSecret: {
+            type: String,
+            select: false
+        },
+        recoveryCodes: {
+            type: [String],
+            select: false
+        },
+        lastStep: {
+            type: Number,
+            select: false
+        }
+    },
     created: {
         type: Date,
         default: Date.now
@@ -50,22 +141,162 @@ const UserSchema = new mongoose.Schema({
     followers: [{
         type: mongoose.Schema.ObjectId,
         ref: 'User'
-    }]
+    }],
+    /*The users directory is sorted by the number of followers and by name, and searched by the words of the name and
+    about text, which can't be indexed as they are. The number of followers is kept up to date when users follow and
+    unfollow, and the name in lower case and the words in lower case when the user is saved.*/
+    followerCount: {
+        type: Number,
+        default: 0
+    },
+    nameKey: String,
+    searchKeys: [String],
+    //The user whose invite code was used to sign up, if any
+    invitedBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+    },
+    /*The posts of a private account are only shown to its followers, and following it takes the owner's approval. Until
+    then, the users who asked to follow it wait in followRequests.*/
+    private: {
+        type: Boolean,
+        default: false
+    },
+    followRequests: [{
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+    }],
+    /*The users blocked by this user. They can't follow them, see their profile or posts, or like and comment on them,
+    and they don't find them among the people to follow. Only the user who blocked them sees this list.*/
+    blocked: [{
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+    }],
+    //What other users can see on the profile, besides the public fields
+    privacy: {
+        showEmail: {
+            type: Boolean,
+            default: false
+        }
+    }
+})
+
+UserSchema.index(
+    { 'identities.provider': 1, 'identities.subject': 1 },
+    { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+)
+
+/*The indexes of the users directory, one for each way it can be sorted, with the ID to break ties, and one on the
+words of the names and about texts, which are searched by their beginning so that users are found as they are typed.*/
+UserSchema.index({ created: -1, _id: -1 })
+UserSchema.index({ followerCount: -1, _id: -1 })
+UserSchema.index({ nameKey: 1, _id: 1 })
+UserSchema.index({ searchKeys: 1 })
+UserSchema.index({ 'previousUsernames.username': 1 })
+
+//Splits a text into its words, in lower case, without the punctuation around them
+const words = (text) => {
+    return String(text || '').toLowerCase().split(/[^\p{L}\p{N}_]+/u).filter( word => word )
+}
+
+const searchKeys = (name, about) => [ ...new Set(words(name).concat(words(about))) ]
+
+UserSchema.pre('save', function(next) {
+    if (this.isModified('name') || !this.nameKey) this.nameKey = (this.name || '').toLowerCase()
+    if (this.isNew || this.isModified('name') || this.isModified('about')) {
+        this.searchKeys = searchKeys(this.name, this.about)
+    }
+    next()
 })
 
+/*Tells whether the username belongs to another user, or is one of their previous usernames that still redirects to
+them. The unique index is the last line of defense, but this check gives a clearer error.*/
+UserSchema.statics.isTaken = async function(username, exceptId) {
+    const holder = await this.exists({
+        ...(exceptId ? { _id: { $ne: exceptId } } : {}),
+        $or: [
+            { username: username },
+            { previousUsernames: { $elemMatch: { username: username, until: { $gt: new Date() } } } }
+        ]
+    })
+    return Boolean(holder)
+}
+
+/*Finds the user with the given username, or with the given previous username if it still redirects to them. The
+username of the user that is returned is the current one.*/
+UserSchema.statics.findByUsername = async function(username, select) {
+    username = String(username).toLowerCase()
+    let user = await this.findOne({ username: username }).select(select)
+    if (user) return user
+    return await this.findOne({
+        previousUsernames: { $elemMatch: { username: username, until: { $gt: new Date() } } }
+    }).select(select)
+}
+
+/*Returns a username that is free, made from the given text, such as the name of a user who didn't pick one, with
+random digits added when it is already taken.*/
+UserSchema.statics.availableUsername = async function(text) {
+    let base = String(text || '').toLowerCase().replace(/[^a-z0-9_]/g, '').slice(0, 21)
+    if (base.length < 3) base = 'user' + base
+    for (let tries = 0; tries < 10; tries++) {
+        const username = tries === 0 ? base : base + '_' + crypto.randomBytes(3).toString('hex')
+        if (RESERVED_USERNAMES.includes(username)) continue
+        if (!await this.isTaken(username)) return username
+    }
+    return base + '_' + crypto.randomBytes(4).toString('hex')
+}
+
+/*Fills in the directory fields of the users created before they existed. It is run once the server is connected to
+the database, and only updates the users missing them. The search keys are split into words here rather than by
+MongoDB, so that they are the same as the ones saved with the users.*/
+UserSchema.statics.syncDirectoryFields = async function() {
+    await this.collection.updateMany(
+        { $or: [ { followerCount: { $exists: false } }, { nameKey: { $exists: false } } ] },
+        [ { $set: { followerCount: { $size: { $ifNull: [ '$followers', [] ] } }, nameKey: { $toLower: '$name' } } } ]
+    )
+    const cursor = this.collection.find({ searchKeys: { $exists: false } }, { projection: { name: 1, about: 1 } })
+    for (let user = await cursor.next(); user; user = await cursor.next()) {
+        await this.collection.updateOne({ _id: user._id }, {
+            $set: { searchKeys: searchKeys(user.name, user.about) }
+        })
+    }
+}
+
+/*Turns the text searched in the users directory into a query on the search keys: every word of the text has to be the
+beginning of one of the words of the user's name or about text.*/
+UserSchema.statics.searchQuery = function(text) {
+    const searched = words(text).slice(0, 5)
+    if (!searched.length) return {}
+    return { searchKeys: { $all: searched.map( word => new RegExp('^' + escapeRegExp(word)) ) } }
+}
+
+/*The fields of the public profile, which are the only ones returned when users are read by other users. Queries that
+return users to the client select them, with the email address and the privacy settings that decide whether it is
+shown, and the results go through publicProfile.*/
+UserSchema.statics.PUBLIC_FIELDS = ['_id', 'name', 'username', 'about', 'photo', 'created', 'updated', 'private', 'following', 'followers']
+UserSchema.statics.PUBLIC_SELECT = UserSchema.statics.PUBLIC_FIELDS.concat(['email', 'privacy']).join(' ')
+
 /*The password string that's provided by the user is not stored directly in the user
-document. Instead, it is handled as a virtual field.*/
+document. Instead, it is handled as a virtual field.
+Hashing takes a while, so it isn't done by the setter, which can't wait for it: the password is hashed with
+setPassword before the user is validated, and so before it is saved. Code that wants to know when the hash is ready
+can call setPassword itself.
+Hashes in the current format embed their own salt, so the salt field is only kept for the legacy hashes
+that haven't been migrated yet.*/
 UserSchema
     .virtual('password')
     .set( function(password) {
         this._password = password;
-        this.salt = this.makeSalt()
-        this.hashed_password = this.encryptPassword(password)
+        this._passwordPending = true
     })
     .get( function() {
         return this._password
     })
 
+UserSchema.pre('validate', async function() {
+    if (this._passwordPending) await this.setPassword(this._password)
+})
+
 /*To add validation constraints to the actual password string that's selected by the end user, we need
 to add custom validation logic and associate it with the hashed_password field in the schema.*/
 UserSchema
@@ -79,35 +310,141 @@ UserSchema
         }
     }, null)
 
-/*These UserSchema methods are used to encrypt the user-provided password string into a hashed_password
-with a randomly generated salt value. The hashed_password and the salt are stored in the user document
-when the user details are saved to the database on a create or update. Both the hashed_password and salt
-values are required in order to match and authenticate a password string provided during user sign-in using
+/*Passwords are hashed with scrypt, a memory-hard key derivation function, which makes guessing them with
+dedicated hardware expensive. It runs in the thread pool of Node, since hashing takes tens of milliseconds of CPU,
+which would hold up every other request if it ran on the main thread. The hashed_password is stored in a versioned format that carries everything
+needed to check a password against it:
+    $scrypt$v=1$ln=14,r=8,p=1$<salt>$<hash>
+where ln is the log2 of the scrypt cost N, and the salt and hash are base64 encoded. The parameters can be raised
+in the future without breaking the existing hashes, since each hash records the ones it was made with.
+Accounts created before the move to scrypt have a hex HMAC-SHA1 hashed_password with a separate salt field.
+They still work, and their password is rehashed with scrypt the first time they sign in successfully.
+*/
+const SCRYPT_PREFIX = '$scrypt$v=1$'
+const SCRYPT_PARAMS = { ln: 14, r: 8, p: 1 }
+const KEY_LENGTH = 64
+
+const scrypt = (password, salt, params) => {
+    const N = Math.pow(2, params.ln)
+    return new Promise( (resolve, reject) => {
+        crypto.scrypt(password, salt, KEY_LENGTH, {
+            N: N,
+            r: params.r,
+            p: params.p,
+            maxmem: 256 * N * params.r
+        }, (err, hash) => err ? reject(err) : resolve(hash))
+    })
+}
+
+/*Both buffers are compared in constant time, so the time a comparison takes doesn't tell how much of the
+hash was guessed right.*/
+const safeEqual = (a, b) => {
+    return a.length === b.length && crypto.timingSafeEqual(a, b)
+}
+
+/*These UserSchema methods are used to hash the user-provided password string into a hashed_password with a
+randomly generated salt value, and to match a password string provided during user sign-in against it using
 the authenticate method.*/
 UserSchema.methods = {
     /*This method is called to verify sign-in attempts by matching the user-provided
-    password text with the hashed_password stored in the database for a specific user.*/
-    authenticate: function(plainText) {
-        return this.encryptPassword(plainText) === this.hashed_password;
+    password text with the hashed_password stored in the database for a specific user. It resolves with whether
+    they match.
+    When a hash in an older format matches, the password is hashed again in the current format, and the
+    caller is expected to save the user when hashed_password was modified.*/
+    authenticate: async function(plainText) {
+        if (!plainText || !this.hashed_password) return false
+        try {
+            let matches
+            if (this.hashed_password.startsWith(SCRYPT_PREFIX)) {
+                const [ paramList, salt, hash ] = this.hashed_password.slice(SCRYPT_PREFIX.length).split('$')
+                const params = {}
+                paramList.split(',').forEach( param => {
+                    const [ key, value ] = param.split('=')
+                    params[key] = parseInt(value, 10)
+                })
+                matches = safeEqual(await scrypt(plainText, Buffer.from(salt, 'base64'), params), Buffer.from(hash, 'base64'))
+            }
+            else {
+                const legacyHash = crypto.createHmac('sha1', this.salt).update(plainText).digest()
+                matches = safeEqual(legacyHash, Buffer.from(this.hashed_password, 'hex'))
+            }
+
+            if (matches && this.needsRehash()) await this.setPassword(plainText)
+            return matches
+        }
+        catch(err) {
+            return false
+        }
+    },
+    //Tells whether the stored hash is in an older format than the current one
+    needsRehash: function() {
+        return !!this.hashed_password && !this.hashed_password.startsWith(SCRYPT_PREFIX + 'ln=' + SCRYPT_PARAMS.ln +
+            ',r=' + SCRYPT_PARAMS.r + ',p=' + SCRYPT_PARAMS.p + '$')
     },
-    /*This method is used to generate an encrypted hash from the plain-text password and
-    a unique salt value using the crypto module from Node.*/
-    encryptPassword: function(password) {
+    //Replaces the password of the user, and resolves once it is hashed
+    setPassword: async function(password) {
+        this._password = password
+        this._passwordPending = false
+        this.salt = undefined
+        this.hashed_password = await this.encryptPassword(password)
+    },
+    /*This method is used to generate the hash of the plain-text password, with a new random salt,
+    using the scrypt function of the crypto module from Node. It resolves with the hash.*/
+    encryptPassword: async function(password) {
         if (!password) return ''
         try {
-            return crypto
-                    .createHmac('sha1', this.salt)
-                    .update(password)
-                    .digest('hex')
+            const salt = this.makeSalt()
+            const hash = await scrypt(password, salt, SCRYPT_PARAMS)
+            return SCRYPT_PREFIX +
+                'ln=' + SCRYPT_PARAMS.ln + ',r=' + SCRYPT_PARAMS.r + ',p=' + SCRYPT_PARAMS.p + '$' +
+                salt.toString('base64') + '$' + hash.toString('base64')
         }
         catch(err) {
             return '';
         }
     },
-    /*This method generates a unique and random salt value using the current timestamp at
-    execution and Math.random().*/
+    //This method generates a random 16 bytes salt with a cryptographically secure generator.
     makeSalt: function() {
-        return Math.round( (new Date().valueOf() * Math.random()) ) + ''
+        return crypto.randomBytes(16)
+    },
+    /*Changes the username, keeping the current one among the previous usernames, so that it still leads to the user
+    for config.usernames.redirectTTL seconds. The expired previous usernames are forgotten, as well as the new one if
+    the user is taking it back.*/
+    rename: function(username) {
+        const previous = this.username
+        username = String(username).trim().toLowerCase()
+        if (username === previous) return false
+        const now = Date.now()
+        this.previousUsernames = this.previousUsernames
+            .filter( item => item.until > now && item.username !== username )
+            .concat(previous ? [ { username: previous, until: new Date(now + config.usernames.redirectTTL * 1000) } ] : [])
+        this.username = username
+        return true
+    },
+    /*Returns the public profile of the user, as seen by the user with the viewerId. The email address is only in it
+    when the user chose to show it, and users looking at their own profile also get their email and privacy settings.
+    When the follow requests are loaded, others see whether they asked to follow the user, in requested.*/
+    publicProfile: function(viewerId) {
+        const isSelf = Boolean(viewerId) && String(viewerId) === String(this._id)
+        const profile = {}
+        this.constructor.PUBLIC_FIELDS.forEach( field => {
+            if (this[field] !== undefined) profile[field] = this[field]
+        })
+        if (isSelf || (this.privacy && this.privacy.showEmail)) profile.email = this.email
+        if (isSelf) profile.privacy = { showEmail: Boolean(this.privacy && this.privacy.showEmail) }
+        if (!isSelf && viewerId && this.followRequests) {
+            profile.requested = this.followRequests.some( id => String(id) === String(viewerId) )
+        }
+        return profile
+    },
+    //Tells whether the user with the viewerId can see the posts of this user, whose followers may be populated or not
+    postsVisibleTo: function(viewerId) {
+        if (!this.private || String(viewerId) === String(this._id)) return true
+        return this.followers.some( follower => String(follower._id || follower) === String(viewerId) )
+    },
+    //Tells whether this user blocked the user with the given ID, whether blocked is populated or not
+    hasBlocked: function(userId) {
+        return Boolean(userId) && (this.blocked || []).some( user => String(user._id || user) === String(userId) )
     }
 }
 
@@ -0,0 +1,52 @@
+/*The admin routes are reserved to users with the admin or moderator role, which is checked with requireRole
+after requireSignin:
+    '/api/admin/users' for the following:
+        - Listing all the users with their email and role with GET (admin)
+    '/api/admin/users/:userId' for the following:
+        - Deleting any user with DELETE (admin)
+    '/api/admin/users/:userId/role' for the following:
+        - Changing the role of a user with PUT (admin)
+    '/api/admin/audit' for the following:
+        - Searching the audit log of every account with GET (admin)
+    '/api/admin/audit/events' for the following:
+        - Listing the names of the audited events with GET (admin)
+    '/api/admin/posts/:postId' for the following:
+        - Deleting any post with DELETE (admin)
+    '/api/admin/posts/:postId/comments/:commentId' for the following:
+        - Removing any comment with DELETE (moderator, admin)
+*/
+import express from 'express';
+
+import authCtrl from '../controllers/auth.controller';
+import adminCtrl from '../controllers/admin.controller';
+import auditCtrl from '../controllers/audit.controller';
+import userCtrl from '../controllers/user.controller';
+import postCtrl from '../controllers/post.controller';
+
+const router = express.Router();
+
+router.route('/api/admin/users')
+    .get(authCtrl.requireSignin, authCtrl.requireRole('admin'), adminCtrl.listUsers)
+
+router.route('/api/admin/users/:userId')
+    .delete(authCtrl.requireSignin, authCtrl.requireRole('admin'), userCtrl.remove)
+
+router.route('/api/admin/users/:userId/role')
+    .put(authCtrl.requireSignin, authCtrl.requireRole('admin'), adminCtrl.setRole)
+
+router.route('/api/admin/audit')
+    .get(authCtrl.requireSignin, authCtrl.requireRole('admin'), auditCtrl.list)
+
+router.route('/api/admin/audit/events')
+    .get(authCtrl.requireSignin, authCtrl.requireRole('admin'), auditCtrl.events)
+
+router.route('/api/admin/posts/:postId')
+    .delete(authCtrl.requireSignin, authCtrl.requireRole('admin'), postCtrl.remove)
+
+router.route('/api/admin/posts/:postId/comments/:commentId')
+    .delete(authCtrl.requireSignin, authCtrl.requireRole('moderator', 'admin'), postCtrl.removeComment)
+
+router.param('userId', userCtrl.userByID)
+router.param('postId', postCtrl.postByID)
+
+export default router;
@@ -8,20 +8,207 @@ and authorize the read, update, and delete routes.*/
 the route paths with the relevant HTTP methods. They're also assigned the corresponding
 controller functions, which should be called when requests are received for these routes.
 The auth routes are as follows:
+'/auth/proof-of-work' for the following:
+- Getting an anti-bot challenge to solve before signing up or signing in with GET
 '/auth/signin' for the following:
-- Authenticate the user with their email and password with POST
+- Authenticate the user with their email and password, and a solved anti-bot challenge, with POST
+'/auth/signin/2fa' for the following:
+- Completing the sign-in of a user with two-factor authentication with a code from their app with POST
+'/auth/signin/passkey/options' and '/auth/signin/passkey' for the following:
+- Getting a challenge to sign, and signing in with the passkey's response, with POST
+'/auth/magic-link' for the following:
+- Emailing a sign-in link that only works in the requesting browser with POST
+'/auth/magic-link/signin' for the following:
+- Signing in with the token from that link with POST
+'/auth/oidc/providers' for the following:
+- Listing the OpenID Connect providers users can sign in with with GET
+'/auth/oidc/:provider/signin' and '/auth/oidc/:provider/link' for the following:
+- Getting the URL to sign in with a provider, or to link it to the signed-in user, with POST
+'/auth/oidc/:provider/callback' for the following:
+- Completing the sign-in or the linking when the provider redirects the browser back with GET
+'/auth/oidc/identities' for the following:
+- Listing the providers linked to the signed-in user with GET
+'/auth/oidc/identities/:provider' for the following:
+- Unlinking a provider with DELETE
+'/auth/refresh' for the following:
+- Exchange the refresh token cookie for a new access token and refresh token with POST
 '/auth/signout' for the following: 
-- Clear the cookie containing a JWT, that was set on the response object after sign-in, with GET
+- Clear the cookie containing a JWT, that was set on the response object after sign-in, with POST
+'/auth/password/forgot' for the following:
+- Emailing a link to reset the password with POST
+'/auth/password/reset' for the following:
+- Setting a new password with the token from that link with POST
+'/auth/verify-email' for the following:
+- Verifying the email address with the token from the link sent on signup with POST
+'/auth/verify-email/resend' for the following:
+- Sending the signed-in user a new verification link with POST
+'/auth/email/confirm' for the following:
+- Confirming a new email address with the token from the link sent to it with POST
+'/auth/2fa' for the following:
+- Getting the two-factor authentication status of the signed-in user with GET
+'/auth/2fa/setup', '/auth/2fa/enable', '/auth/2fa/disable' and '/auth/2fa/recovery-codes' for the following:
+- Enrolling an authenticator app, turning two-factor authentication on and off, and renewing the recovery codes with POST
+'/auth/sessions' for the following:
+- Listing the signed-in user's active sessions with GET
+- Signing out everywhere with DELETE
+'/auth/sessions/:sessionId' for the following:
+- Signing out a single session with DELETE
+'/auth/audit' for the following:
+- Listing the recent security events of the signed-in user's account with GET
+'/auth/tokens' for the following:
+- Listing the signed-in user's personal access tokens with GET
+- Creating a personal access token with POST
+'/auth/tokens/:tokenId' for the following:
+- Revoking a personal access token with DELETE
+'/auth/passkeys' for the following:
+- Listing the signed-in user's passkeys with GET
+- Registering a new passkey with the authenticator's response with POST
+'/auth/passkeys/options' for the following:
+- Getting the options to create a new passkey with POST
+'/auth/passkeys/:passkeyId' for the following:
+- Removing a passkey with DELETE
 */
 import express from 'express';
 import authCtrl from '../controllers/auth.controller';
+import sessionCtrl from '../controllers/session.controller';
+import passwordCtrl from '../controllers/password.controller';
+import verificationCtrl from '../controllers/verification.controller';
+import twoFactorCtrl from '../controllers/twoFactor.controller';
+import accessTokenCtrl from '../controllers/accessToken.controller';
+import passkeyCtrl from '../controllers/passkey.controller';
+import magicLinkCtrl from '../controllers/magicLink.controller';
+import oidcCtrl from '../controllers/oidc.controller';
+import accountCtrl from '../controllers/account.controller';
+import auditCtrl from '../controllers/audit.controller';
+import proofOfWorkCtrl from '../controllers/proofOfWork.controller';
+import limiter from '../helpers/limiter';
+import config from './../../config/config';
 
 const router = express.Router();
 
+/*Sign-in links are limited per email address and per IP address, so nobody's inbox can be flooded with them.*/
+const magicLinkRules = req => [
+    { key: 'magic-link-email:' + String(req.body.email).toLowerCase(), ...config.limiter.magicLink },
+    { key: 'magic-link-ip:' + req.ip, ...config.limiter.magicLink }
+]
+
+/*Password reset links are limited the same way, so the endpoint can't be used to flood an inbox either.*/
+const passwordResetRules = req => [
+    { key: 'password-reset-email:' + String(req.body.email).toLowerCase(), ...config.limiter.passwordReset },
+    { key: 'password-reset-ip:' + req.ip, ...config.limiter.passwordReset }
+]
+
+/*Verification links are resent to the signed-in user's own address, so they are limited per user and per IP address.*/
+const verificationRules = req => [
+    { key: 'verification-user:' + req.auth._id, ...config.limiter.verification },
+    { key: 'verification-ip:' + req.ip, ...config.limiter.verification }
+]
+
+router.route('/auth/proof-of-work')
+    .get(proofOfWorkCtrl.challenge)
+
 router.route('/auth/signin')
-    .post(authCtrl.signin)
+    .post(proofOfWorkCtrl.requireProof('signin'), authCtrl.signin)
+
+router.route('/auth/signin/2fa')
+    .post(twoFactorCtrl.signin)
+
+router.route('/auth/signin/passkey/options')
+    .post(passkeyCtrl.signinOptions)
+
+router.route('/auth/signin/passkey')
+    .post(passkeyCtrl.signin)
+
+router.route('/auth/magic-link')
+    .post(limiter.limit(magicLinkRules), magicLinkCtrl.request)
+
+router.route('/auth/magic-link/signin')
+    .post(magicLinkCtrl.signin)
+
+router.route('/auth/oidc/providers')
+    .get(oidcCtrl.providers)
+
+router.route('/auth/oidc/identities')
+    .get(authCtrl.requireSignin, oidcCtrl.identities)
+
+router.route('/auth/oidc/identities/:provider')
+    .delete(authCtrl.requireSignin, oidcCtrl.unlink)
+
+router.route('/auth/oidc/:provider/signin')
+    .post(oidcCtrl.signin)
+
+router.route('/auth/oidc/:provider/link')
+    .post(authCtrl.requireSignin, oidcCtrl.link)
+
+router.route('/auth/oidc/:provider/callback')
+    .get(oidcCtrl.callback)
+
+router.route('/auth/refresh')
+    .post(authCtrl.refresh)
 
 router.route('/auth/signout')
-    .get(authCtrl.signout)
+    .post(authCtrl.signout)
+
+router.route('/auth/password/forgot')
+    .post(limiter.limit(passwordResetRules), passwordCtrl.requestReset)
+
+router.route('/auth/password/reset')
+    .post(passwordCtrl.confirmReset)
+
+router.route('/auth/verify-email')
+    .post(verificationCtrl.verify)
+
+router.route('/auth/verify-email/resend')
+    .post(authCtrl.requireSignin, limiter.limit(verificationRules), verificationCtrl.resend)
+
+router.route('/auth/email/confirm')
+    .post(accountCtrl.confirmEmailChange)
+
+router.route('/auth/2fa')
+    .get(authCtrl.requireSignin, twoFactorCtrl.status)
+
+router.route('/auth/2fa/setup')
+    .post(authCtrl.requireSignin, twoFactorCtrl.setup)
+
+router.route('/auth/2fa/enable')
+    .post(authCtrl.requireSignin, twoFactorCtrl.enable)
+
+router.route('/auth/2fa/recovery-codes')
+    .post(authCtrl.requireSignin, twoFactorCtrl.regenerateRecoveryCodes)
+
+router.route('/auth/2fa/disable')
+    .post(authCtrl.requireSignin, twoFactorCtrl.disable)
+
+router.route('/auth/sessions')
+    .get(authCtrl.requireSignin, sessionCtrl.list)
+    .delete(authCtrl.requireSignin, sessionCtrl.revokeAll)
+
+router.route('/auth/sessions/:sessionId')
+    .delete(authCtrl.requireSignin, sessionCtrl.isOwner, sessionCtrl.revoke)
+
+router.route('/auth/audit')
+    .get(authCtrl.requireSignin, auditCtrl.mine)
+
+router.route('/auth/tokens')
+    .get(authCtrl.requireSignin, accessTokenCtrl.list)
+    .post(authCtrl.requireSignin, accessTokenCtrl.create)
+
+router.route('/auth/tokens/:tokenId')
+    .delete(authCtrl.requireSignin, accessTokenCtrl.isOwner, accessTokenCtrl.revoke)
+
+router.route('/auth/passkeys')
+    .get(authCtrl.requireSignin, passkeyCtrl.list)
+    .post(authCtrl.requireSignin, passkeyCtrl.register)
+
+router.route('/auth/passkeys/options')
+    .post(authCtrl.requireSignin, passkeyCtrl.registrationOptions)
+
+router.route('/auth/passkeys/:passkeyId')
+    .delete(authCtrl.requireSignin, passkeyCtrl.isOwner, passkeyCtrl.remove)
+
+router.param('sessionId', sessionCtrl.sessionByID)
+router.param('tokenId', accessTokenCtrl.accessTokenByID)
+router.param('passkeyId', passkeyCtrl.passkeyByID)
+router.param('provider', oidcCtrl.providerByID)
 
 export default router;
\ No newline at end of file
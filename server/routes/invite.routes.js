@@ -0,0 +1,25 @@
+/*The invite routes let signed-in users manage the invite codes they share, when they are allowed to make invites
+(see config.invites.createdBy):
+    '/api/invites' for the following:
+        - Listing the signed-in user's invites with GET
+        - Creating an invite with POST, which takes a verified email address
+    '/api/invites/:inviteId' for the following:
+        - Deleting an invite with DELETE
+*/
+import express from 'express';
+
+import authCtrl from '../controllers/auth.controller';
+import inviteCtrl from '../controllers/invite.controller';
+
+const router = express.Router();
+
+router.route('/api/invites')
+    .get(authCtrl.requireSignin, inviteCtrl.canCreate, inviteCtrl.list)
+    .post(authCtrl.requireSignin, authCtrl.requireVerified, inviteCtrl.canCreate, inviteCtrl.create)
+
+router.route('/api/invites/:inviteId')
+    .delete(authCtrl.requireSignin, inviteCtrl.isOwner, inviteCtrl.remove)
+
+router.param('inviteId', inviteCtrl.inviteByID)
+
+export default router;
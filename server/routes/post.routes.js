@@ -5,9 +5,14 @@ import authCtrl from '../controllers/auth.controller';
 import userCtrl from '../controllers/user.controller';
 import postCtrl from '../controllers/post.controller';
 
-/*Creating a new post*/
+/*Besides a JWT, the post routes accept personal access tokens with the posts:read scope to read posts, and the
+posts:write scope to post, like and comment.*/
+const read = authCtrl.requireScope('posts:read')
+const write = authCtrl.requireScope('posts:write')
+
+/*Creating a new post. Only users who verified their email address can post, and only in their own name.*/
 router.route('/api/posts/new/:userId')
-    .post(authCtrl.requireSignin, postCtrl.create)
+    .post(authCtrl.requireSignin, write, authCtrl.hasAuthorization, authCtrl.requireVerified, postCtrl.create)
 
 //Returning the photo associated to a post
 router.route('/api/posts/photo/:postId')
@@ -15,7 +20,7 @@ router.route('/api/posts/photo/:postId')
 
 /*This route path that will receive the request for retrieving posts that have been shared by a specific user.*/
 router.route('/api/posts/by/:userId')
-    .get(authCtrl.requireSignin, postCtrl.listByUser)
+    .get(authCtrl.requireSignin, read, postCtrl.listByUser)
 
 /*This route path that will receive the request for retrieving Newsfeed posts for a specific user.
 We are using the :userID parameter in this route to specify the currently signed-in user. We will
@@ -23,30 +28,31 @@ utilize the userByID controller method in user.controller to fetch the user deta
 these to the request object that is accessed in the listNewsFeed post controller method.
 */
 router.route('/api/posts/feed/:userId')
-    .get(authCtrl.requireSignin, postCtrl.listNewsFeed)
+    .get(authCtrl.requireSignin, read, postCtrl.listNewsFeed)
 
 /*The like API will be a PUT request that will update the likes array in the Post
-document. The request will be received at the api/posts/like route.*/
+document. The request will be received at the api/posts/like route.
+Liking and commenting are refused to the users the author of the post blocked.*/
 router.route('/api/posts/like')
-    .put(authCtrl.requireSignin, postCtrl.like)
+    .put(authCtrl.requireSignin, write, postCtrl.notBlocked, postCtrl.like)
 
 router.route('/api/posts/unlike')
-    .put(authCtrl.requireSignin, postCtrl.unlike)
+    .put(authCtrl.requireSignin, write, postCtrl.unlike)
  
 //Adding a comment to a post
 router.route('/api/posts/comment')
-.put(authCtrl.requireSignin, postCtrl.comment)
+.put(authCtrl.requireSignin, write, authCtrl.requireVerified, postCtrl.notBlocked, postCtrl.comment)
 
 //Deleting a comment from a post
 router.route('/api/posts/uncomment')
-    .put(authCtrl.requireSignin, postCtrl.uncomment)
+    .put(authCtrl.requireSignin, write, postCtrl.uncomment)
     
 /*The delete route will check for authorization before calling remove on the post by
 ensuring the authenticated user and postedBy user are the same users. The isPoster method
 checks whether the signed-in user is the original creator of the post before executing
 the next method. */
 router.route('/api/posts/:postId')
-    .delete(authCtrl.requireSignin, postCtrl.isPoster, postCtrl.remove)
+    .delete(authCtrl.requireSignin, write, postCtrl.isPoster, postCtrl.remove)
 
 
 router.param('userId', userCtrl.userByID)
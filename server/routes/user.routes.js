@@ -9,6 +9,10 @@ endpoints work without any auth restrictions.*/
 import express from 'express';
 import userCtrl from '../controllers/user.controller';
 import authCtrl from '../controllers/auth.controller';
+import accountCtrl from '../controllers/account.controller';
+import proofOfWorkCtrl from '../controllers/proofOfWork.controller';
+import limiter from '../helpers/limiter';
+import config from './../../config/config';
 
 /*The user routes that are defined here will use express.Router() to define route paths
 with the relevant HTTP methods and assign the corresponding controller function that
@@ -16,11 +20,23 @@ should be called when these requests are received by the server.
 We will keep the user routes simplistic by using the following:
     '/api/users' for the following:
         - Listing users with GET
-        - Creating a new user with POST
+        - Creating a new user with POST, which takes a solved anti-bot challenge
+    '/api/users/requests' for the following:
+        - Listing the signed-in user's follow requests with GET
+    '/api/users/requests/approve' and '/api/users/requests/reject' for the following:
+        - Approving or rejecting a follow request with PUT
+    '/api/users/blocked' for the following:
+        - Listing the users the signed-in user blocked with GET
+    '/api/users/block' and '/api/users/unblock' for the following:
+        - Blocking or unblocking a user with PUT
+    '/api/users/username/:username' for the following:
+        - Finding the user with a username, or who had it before, with GET
     '/api/users/:userId' for the following:
         - Fetching a user with GET
         - Updating a user with PUT
         - Deleting a user with DELETE
+    '/api/users/:userId/password' and '/api/users/:userId/email' for the following:
+        - Changing the password, or asking to change the email address, with the current password with PUT
 */
 const router = express.Router()
 
@@ -28,9 +44,20 @@ const router = express.Router()
 controller functions are invoked. The functionality for each of these controller methods
 will be defined and exported from the user.controller.js file.*/
 
+/*Signups are limited per IP address, so accounts can't be created in bulk. Only the accounts actually created count
+towards signupRules, not the forms sent back with an error. Those count towards the looser signupFailureRules, so that
+nobody can try email addresses over and over to find out which ones have an account.*/
+const signupRules = req => [ { key: 'signup-ip:' + req.ip, ...config.limiter.signup } ]
+const signupFailureRules = req => [ { key: 'signup-failures-ip:' + req.ip, ...config.limiter.signupFailures } ]
+
+/*Personal access tokens with the users:read scope can read profiles and find people, and with the users:write
+scope they can follow and unfollow. Updating or deleting the account always takes a JWT.*/
+const read = authCtrl.requireScope('users:read')
+const write = authCtrl.requireScope('users:write')
+
 router.route('/api/users')
     .get(userCtrl.list)
-    .post(userCtrl.create)
+    .post(limiter.limit(signupRules, { successful: true, failures: signupFailureRules }), proofOfWorkCtrl.requireProof('signup'), userCtrl.create)
 
 /*The first one is a routes to the photo stored in the database for each user, and the second
 route will fetch a default photo if the given user did not upload a profile photo.
@@ -43,27 +70,56 @@ router.route('/api/users/photo/:userId')
 
 /*When a user follows or unfollows another user from the view, both users' records in the database
 will be updated in response to the follow or unfollow requests.
+Following a private account only sends a follow request, which its owner approves or rejects.
 */
 router.route('/api/users/follow')
-    .put(authCtrl.requireSignin, userCtrl.addFollowing, userCtrl.addFollower)
+    .put(authCtrl.requireSignin, write, userCtrl.requestFollow, userCtrl.addFollowing, userCtrl.addFollower)
 
 router.route('/api/users/unfollow')
-    .put(authCtrl.requireSignin, userCtrl.removeFollowing, userCtrl.removeFollower)
+    .put(authCtrl.requireSignin, write, userCtrl.removeFollowing, userCtrl.removeFollower)
+
+router.route('/api/users/requests')
+    .get(authCtrl.requireSignin, read, userCtrl.listRequests)
+
+router.route('/api/users/requests/approve')
+    .put(authCtrl.requireSignin, write, userCtrl.approveRequest)
+
+router.route('/api/users/requests/reject')
+    .put(authCtrl.requireSignin, write, userCtrl.rejectRequest)
+
+/*Blocking takes a JWT, like the other account settings.*/
+router.route('/api/users/blocked')
+    .get(authCtrl.requireSignin, userCtrl.listBlocked)
+
+router.route('/api/users/block')
+    .put(authCtrl.requireSignin, userCtrl.block)
+
+router.route('/api/users/unblock')
+    .put(authCtrl.requireSignin, userCtrl.unblock)
+
+router.route('/api/users/username/:username')
+    .get(userCtrl.findByUsername)
 
 /*Fetching users not followed*/
 router.route('/api/users/findpeople/:userId')
-    .get(authCtrl.requireSignin, userCtrl.findPeople)
+    .get(authCtrl.requireSignin, read, userCtrl.findPeople)
 
 /*The route to read a user's information only needs authentication verification, whereas
 the update and delete routes should check for both authentication and authorization
 before these CRUD operations are executed.
 */
 router.route('/api/users/:userId')
-    .get(authCtrl.requireSignin, userCtrl.read)
+    .get(authCtrl.requireSignin, read, userCtrl.read)
     .put(authCtrl.requireSignin, authCtrl.hasAuthorization, userCtrl.update)
     .delete(authCtrl.requireSignin, authCtrl.hasAuthorization, userCtrl.remove)
 
 
+router.route('/api/users/:userId/password')
+    .put(authCtrl.requireSignin, authCtrl.hasAuthorization, accountCtrl.changePassword)
+
+router.route('/api/users/:userId/email')
+    .put(authCtrl.requireSignin, authCtrl.hasAuthorization, accountCtrl.requestEmailChange)
+
 router.param('userId', userCtrl.userByID)
 
 export default router;
\ No newline at end of file
@@ -2,8 +2,14 @@ import mongoose from 'mongoose';
 
 import config from './../config/config'
 import app from './express'
+import User from './models/user.model'
 
 
+//The emails, such as the links to verify an email address, must be sent somewhere, see config.mailer
+if (!config.mailer.transport) {
+    throw new Error('No mail transport is configured. Set MAIL_TRANSPORT to \'smtp\', or \'file\' to write the emails to files')
+}
+
 // Express app to start a server that listens on the specified port for incoming requests
 app.listen(config.port, err => {
     if (err) console.log(err) 
@@ -22,4 +28,7 @@ mongoose.connect( config.mongoUri, {
 })
 mongoose.connection.on('error', () => {
     throw new Error(`unable to connect to database: ${mongoUri}`)
+})
+mongoose.connection.once('open', () => {
+    User.syncDirectoryFields().catch( err => console.log(err) )
 })
\ No newline at end of file
@@ -1,8 +1,12 @@
 /*When the server receives a request to the root URL, this HTML template will be
 rendered in the browser, and the div element with ID "root" will contain our React
-component.*/
+component.
+The auth mode of the server and the signed-in user it rendered the page for are handed to the client in window.__AUTH__,
+escaped so that no value can close the script element.*/
 
-export default ({markup, css}) => {
+const serialize = value => JSON.stringify(value).replace(/</g, '\\u003c')
+
+export default ({markup, css, auth}) => {
     return `<!doctype html>
         <html lang="en">
             <head>
@@ -15,6 +19,7 @@ export default ({markup, css}) => {
             <body>
                 <div id="root">${markup}</div>
                 <style id="jss-server-side">${css}</style>
+                <script type="text/javascript">window.__AUTH__ = ${serialize(auth)}</script>
                 <script type="text/javascript" src="/dist/bundle.js"></script>
             </body>
         </html>`
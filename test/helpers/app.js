@@ -0,0 +1,144 @@
+/*The helpers of the tests that go through the HTTP API. start runs the Express app in this process, on a free port,
+against the database at MONGODB_TEST_URI, which is emptied first: it must be a database kept for the tests. Without
+MONGODB_TEST_URI, the suites that call start are skipped, with a message saying so, instead of failing.
+The app and its models are only loaded by start, so the tests that don't need a database don't load them.*/
+
+import http from 'http'
+import crypto from 'crypto'
+import mongoose from 'mongoose'
+
+const TEST_DB = process.env.MONGODB_TEST_URI
+
+let server = null
+let started = null
+let warned = false
+
+const listen = async () => {
+    const app = require('./../../server/express').default
+
+    //Indexes are built once the database is emptied, so the unique ones are in place before the tests run
+    await mongoose.connect(TEST_DB, {
+        useNewUrlParser: true,
+        useCreateIndex: true,
+        useUnifiedTopology: true,
+        useFindAndModify: false,
+        autoIndex: false
+    })
+    await mongoose.connection.dropDatabase()
+    for (const name of mongoose.modelNames()) {
+        await mongoose.model(name).createIndexes()
+    }
+
+    server = http.createServer(app)
+    await new Promise( resolve => server.listen(0, '127.0.0.1', resolve) )
+}
+
+/*Starts the app for the suite whose context is given, the first time it is called, or skips the suite when no test
+database is configured.*/
+const start = async (context) => {
+    if (!TEST_DB) {
+        if (!warned) console.log('      MONGODB_TEST_URI is not set: the tests that need a database are skipped')
+        warned = true
+        return context.skip()
+    }
+    if (!started) started = listen()
+    await started
+    //Every suite starts with new limiter counters, so the attempts of the previous ones don't lock it out
+    require('./../../server/helpers/limiter').default.setStore(null)
+}
+
+/*Sends a JSON request to the app, as the given user if any: their access token is sent in the Authorization header,
+and their cookies, such as the one binding an OpenID Connect sign-in to the browser, in the Cookie header. It resolves
+with the status, the headers and the parsed body of the response.*/
+const request = (method, path, body, user) => {
+    return new Promise( (resolve, reject) => {
+        const data = body === undefined ? null : JSON.stringify(body)
+        const headers = { 'Accept': 'application/json' }
+        if (data) {
+            headers['Content-Type'] = 'application/json'
+            headers['Content-Length'] = Buffer.byteLength(data)
+        }
+        if (user && user.token) headers['Authorization'] = 'Bearer ' + user.token
+        if (user && user.cookies) {
+            headers['Cookie'] = Object.keys(user.cookies).map( name => name + '=' + user.cookies[name] ).join('; ')
+        }
+
+        const req = http.request({ host: '127.0.0.1', port: server.address().port, path, method, headers }, res => {
+            const chunks = []
+            res.on('data', chunk => chunks.push(chunk))
+            res.on('end', () => {
+                let json = null
+                try { json = JSON.parse(Buffer.concat(chunks).toString()) }
+                catch(err) {}
+                resolve({ status: res.statusCode, headers: res.headers, body: json })
+            })
+        })
+        req.on('error', reject)
+        if (data) req.write(data)
+        req.end()
+    })
+}
+
+//Keeps the cookies set by a response with the user, so that they are sent with the user's next requests
+const keepCookies = (user, response) => {
+    user.cookies = user.cookies || {}
+    for (const cookie of response.headers['set-cookie'] || []) {
+        const [ pair ] = cookie.split(';')
+        const index = pair.indexOf('=')
+        user.cookies[pair.slice(0, index)] = pair.slice(index + 1)
+    }
+}
+
+//Counts the zero bits at the start of a hash
+const leadingZeroBits = (hash) => {
+    let bits = 0
+    for (const byte of hash) {
+        if (byte === 0) {
+            bits += 8
+            continue
+        }
+        return bits + Math.clz32(byte) - 24
+    }
+    return bits
+}
+
+//Solves the proof of work that signups and sign-ins take, like the browser does
+const solveChallenge = async (action) => {
+    const { body } = await request('GET', '/auth/proof-of-work?action=' + action)
+    for (let solution = 0; ; solution++) {
+        const hash = crypto.createHash('sha256').update(body.challenge + ':' + solution).digest()
+        if (leadingZeroBits(hash) >= body.difficulty) return { challenge: body.challenge, solution: String(solution) }
+    }
+}
+
+/*Creates a verified user straight in the database, without going through the signup route and its limiter. The
+fields are completed with a unique name, username, email address and password. It resolves with the ID, email address
+and password of the user, which the other helpers take as the user.*/
+const createUser = async (fields = {}) => {
+    const User = require('./../../server/models/user.model').default
+    const suffix = crypto.randomBytes(4).toString('hex')
+    const user = await new User({
+        name: 'Test ' + suffix,
+        username: 'test_' + suffix,
+        email: 'test.' + suffix + '@test.local',
+        password: 'password-' + suffix,
+        verified: true,
+        ...fields
+    }).save()
+    return { _id: String(user._id), email: user.email, password: user.password }
+}
+
+//Signs the user in with their password, and keeps their access token and cookies with them
+const signin = async (user) => {
+    const response = await request('POST', '/auth/signin', {
+        email: user.email,
+        password: user.password,
+        proofOfWork: await solveChallenge('signin')
+    })
+    if (!response.body || !response.body.token) throw new Error('Could not sign in: ' + JSON.stringify(response.body))
+    user.token = response.body.token
+    keepCookies(user, response)
+    return user
+}
+
+export default { start, request, keepCookies, solveChallenge, createUser, signin }
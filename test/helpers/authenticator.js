@@ -0,0 +1,111 @@
+/*A software WebAuthn authenticator for the tests. It creates ES256 passkeys, which it keeps, and answers the options of
+the registration and authentication ceremonies with the same JSON as client/auth/webauthn.js sends to the server:
+the client data, the authenticator data, the attestation object ('none' attestation) and the signature, with every
+binary value in base64url. It always verifies the user, like a device asking for a PIN or a fingerprint.*/
+
+import crypto from 'crypto'
+import { isoCBOR } from '@simplewebauthn/server/helpers'
+
+const FLAGS = { userPresent: 0x01, userVerified: 0x04, attestedCredentialData: 0x40 }
+
+const toBase64url = bytes => Buffer.from(bytes).toString('base64url')
+
+const clientData = (type, challenge, origin) => {
+    return Buffer.from(JSON.stringify({ type: type, challenge: challenge, origin: origin, crossOrigin: false }))
+}
+
+const authenticatorData = (rpID, flags, counter, attestedCredentialData = Buffer.alloc(0)) => {
+    const counterBytes = Buffer.alloc(4)
+    counterBytes.writeUInt32BE(counter)
+    return Buffer.concat([
+        crypto.createHash('sha256').update(rpID).digest(),
+        Buffer.from([ flags ]),
+        counterBytes,
+        attestedCredentialData
+    ])
+}
+
+//The public key of the passkey in the COSE format: an EC2 key (1) on the P-256 curve (-1: 1) for ES256 (3: -7)
+const coseKey = (publicKey) => {
+    const jwk = publicKey.export({ format: 'jwk' })
+    return Buffer.from(isoCBOR.encode(new Map([
+        [ 1, 2 ],
+        [ 3, -7 ],
+        [ -1, 1 ],
+        [ -2, Buffer.from(jwk.x, 'base64url') ],
+        [ -3, Buffer.from(jwk.y, 'base64url') ]
+    ])))
+}
+
+const create = () => {
+    const passkeys = []
+
+    /*Creates a passkey for the user and the relying party of the registration options, or registers the given passkey
+    again, and returns the response of the ceremony.*/
+    const register = (options, origin, passkey) => {
+        if (!passkey) {
+            const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' })
+            passkey = {
+                id: crypto.randomBytes(16),
+                publicKey: publicKey,
+                privateKey: privateKey,
+                rpID: options.rp.id,
+                userHandle: Buffer.from(options.user.id, 'base64url'),
+                counter: 0
+            }
+            passkeys.push(passkey)
+        }
+        const idLength = Buffer.alloc(2)
+        idLength.writeUInt16BE(passkey.id.length)
+        const authData = authenticatorData(passkey.rpID,
+            FLAGS.userPresent | FLAGS.userVerified | FLAGS.attestedCredentialData,
+            passkey.counter,
+            Buffer.concat([ Buffer.alloc(16), idLength, passkey.id, coseKey(passkey.publicKey) ]))
+        const attestationObject = isoCBOR.encode(new Map([
+            [ 'fmt', 'none' ],
+            [ 'attStmt', new Map() ],
+            [ 'authData', authData ]
+        ]))
+
+        return {
+            id: toBase64url(passkey.id),
+            rawId: toBase64url(passkey.id),
+            type: 'public-key',
+            clientExtensionResults: {},
+            response: {
+                clientDataJSON: toBase64url(clientData('webauthn.create', options.challenge, origin)),
+                attestationObject: toBase64url(attestationObject),
+                transports: [ 'internal' ]
+            }
+        }
+    }
+
+    /*Signs the challenge of the authentication options with a passkey of their relying party, the last one created by
+    default, and returns the response of the ceremony. The user handle can be replaced, to impersonate another user.*/
+    const authenticate = (options, origin, { passkey, userHandle } = {}) => {
+        passkey = passkey || passkeys.filter( passkey => passkey.rpID === options.rpId ).pop()
+        passkey.counter += 1
+        const authData = authenticatorData(passkey.rpID, FLAGS.userPresent | FLAGS.userVerified, passkey.counter)
+        const clientDataJSON = clientData('webauthn.get', options.challenge, origin)
+        const signature = crypto.sign('sha256',
+            Buffer.concat([ authData, crypto.createHash('sha256').update(clientDataJSON).digest() ]),
+            passkey.privateKey)
+
+        return {
+            id: toBase64url(passkey.id),
+            rawId: toBase64url(passkey.id),
+            type: 'public-key',
+            clientExtensionResults: {},
+            response: {
+                clientDataJSON: toBase64url(clientDataJSON),
+                authenticatorData: toBase64url(authData),
+                signature: toBase64url(signature),
+                userHandle: toBase64url(userHandle ? Buffer.from(userHandle, 'base64url') : passkey.userHandle)
+            }
+        }
+    }
+
+    return { passkeys, register, authenticate }
+}
+
+export default { create }
@@ -0,0 +1,119 @@
+/*A mock OpenID Connect provider for the tests, served from this process. It publishes its discovery document and its
+signing key, and implements the authorization code flow with PKCE for a single client:
+    - its authorization endpoint doesn't show a sign-in page, it signs in the account given to login and redirects
+      back to the client right away, with a code and the state it was given
+    - its token endpoint exchanges the code for an ID token, once the client has authenticated with its secret and
+      given the verifier of the code challenge
+The requests it rejected are kept in errors, for the tests to check why a sign-in failed.*/
+
+import http from 'http'
+import crypto from 'crypto'
+import querystring from 'querystring'
+import jwt from 'jsonwebtoken'
+
+const CLIENT_ID = 'mern-social-test'
+const CLIENT_SECRET = 'mock-client-secret'
+
+const start = async () => {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+    const kid = crypto.randomBytes(8).toString('hex')
+    const codes = new Map()
+    const issuer = {
+        clientId: CLIENT_ID,
+        clientSecret: CLIENT_SECRET,
+        account: null,
+        errors: []
+    }
+
+    const json = (res, status, body) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' })
+        res.end(JSON.stringify(body))
+    }
+
+    const fail = (res, error) => {
+        issuer.errors.push(error)
+        json(res, 400, { error: error })
+    }
+
+    const authorize = (req, res, params) => {
+        if (params.client_id !== CLIENT_ID) return fail(res, 'unauthorized_client')
+        if (params.response_type !== 'code') return fail(res, 'unsupported_response_type')
+        if (!params.code_challenge || params.code_challenge_method !== 'S256') return fail(res, 'invalid_request')
+        const code = crypto.randomBytes(16).toString('hex')
+        codes.set(code, {
+            account: issuer.account,
+            redirectUri: params.redirect_uri,
+            nonce: params.nonce,
+            codeChallenge: params.code_challenge
+        })
+        const location = params.redirect_uri + '?' + querystring.stringify({ code: code, state: params.state })
+        res.writeHead(302, { Location: location })
+        res.end()
+    }
+
+    const token = (req, res, params) => {
+        const [ id, secret ] = Buffer.from(String(req.headers.authorization).replace(/^Basic /, ''), 'base64')
+            .toString().split(':').map(decodeURIComponent)
+        if (id !== CLIENT_ID || secret !== CLIENT_SECRET) return fail(res, 'invalid_client')
+
+        const grant = codes.get(params.code)
+        codes.delete(params.code)
+        if (params.grant_type !== 'authorization_code' || !grant) return fail(res, 'invalid_grant')
+        if (params.redirect_uri !== grant.redirectUri) return fail(res, 'invalid_grant')
+        const challenge = crypto.createHash('sha256').update(String(params.code_verifier)).digest('base64')
+            .replace(/=/g, '').replace(/\+/g, '-').replace(/\//g, '_')
+        if (challenge !== grant.codeChallenge) return fail(res, 'invalid_grant')
+
+        const idToken = jwt.sign({ ...grant.account, nonce: grant.nonce }, privateKey.export({ type: 'pkcs1', format: 'pem' }), {
+            algorithm: 'RS256',
+            keyid: kid,
+            issuer: issuer.url,
+            audience: CLIENT_ID,
+            expiresIn: 60
+        })
+        json(res, 200, { access_token: crypto.randomBytes(16).toString('hex'), token_type: 'Bearer', expires_in: 60, id_token: idToken })
+    }
+
+    const server = http.createServer( (req, res) => {
+        const url = new URL(req.url, issuer.url)
+        const chunks = []
+        req.on('data', chunk => chunks.push(chunk))
+        req.on('end', () => {
+            const params = req.method === 'POST' ? querystring.parse(Buffer.concat(chunks).toString())
+                : Object.fromEntries(url.searchParams)
+            switch (url.pathname) {
+                case '/.well-known/openid-configuration':
+                    return json(res, 200, {
+                        issuer: issuer.url,
+                        authorization_endpoint: issuer.url + '/authorize',
+                        token_endpoint: issuer.url + '/token',
+                        jwks_uri: issuer.url + '/jwks',
+                        response_types_supported: [ 'code' ],
+                        subject_types_supported: [ 'public' ],
+                        id_token_signing_alg_values_supported: [ 'RS256' ],
+                        code_challenge_methods_supported: [ 'S256' ],
+                        token_endpoint_auth_methods_supported: [ 'client_secret_basic' ]
+                    })
+                case '/jwks':
+                    return json(res, 200, { keys: [ { ...publicKey.export({ format: 'jwk' }), kid: kid, alg: 'RS256', use: 'sig' } ] })
+                case '/authorize':
+                    return authorize(req, res, params)
+                case '/token':
+                    return token(req, res, params)
+                default:
+                    return json(res, 404, { error: 'not_found' })
+            }
+        })
+    })
+    await new Promise( resolve => server.listen(0, '127.0.0.1', resolve) )
+    issuer.url = 'http://127.0.0.1:' + server.address().port
+
+    //Signs in the account with the given claims, such as sub and email, at the authorization endpoint
+    issuer.login = (claims) => {
+        issuer.account = claims
+    }
+    issuer.close = () => new Promise( resolve => server.close(resolve) )
+    return issuer
+}
+
+export default { start }
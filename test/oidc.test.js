@@ -0,0 +1,209 @@
+/*OPENID CONNECT
+These tests sign in with the mock provider of test/helpers/oidc-issuer.js, configured as the 'mock' provider, and go
+through the flow like a browser: the app gives the URL of the provider, the provider redirects back to the callback
+with a code, and the callback redirects to the OAuthComplete view with the outcome in the fragment of the URL.*/
+
+import assert from 'assert'
+import http from 'http'
+import querystring from 'querystring'
+
+import app from './helpers/app'
+import oidcIssuer from './helpers/oidc-issuer'
+import config from './../config/config'
+
+//Follows the URL of the provider, which answers with a redirect to the callback of the app, and returns its path
+const visitProvider = (url) => {
+    return new Promise( (resolve, reject) => {
+        http.get(url, res => {
+            res.resume()
+            if (res.statusCode !== 302) return reject(new Error('The provider answered with status ' + res.statusCode))
+            const location = new URL(res.headers.location)
+            resolve(location.pathname + location.search)
+        }).on('error', reject)
+    })
+}
+
+//Starts a sign-in, or a linking, in the browser, which keeps the binding cookie, and returns the URL of the provider
+const startFlow = async (path, browser) => {
+    const response = await app.request('POST', path, {}, browser)
+    assert.strictEqual(response.status, 200, JSON.stringify(response.body))
+    app.keepCookies(browser, response)
+    return response.body.url
+}
+
+//Comes back to the callback in the browser, and returns the outcome handed to the OAuthComplete view
+const finishFlow = async (callbackPath, browser) => {
+    const response = await app.request('GET', callbackPath, undefined, browser)
+    assert.strictEqual(response.status, 302)
+    const [ path, fragment ] = response.headers.location.split('#')
+    assert.strictEqual(path, '/oauth/complete')
+    return { ...querystring.parse(fragment) }
+}
+
+const signinWithProvider = async (browser = {}) => {
+    return await finishFlow(await visitProvider(await startFlow('/auth/oidc/mock/signin', browser)), browser)
+}
+
+describe('OpenID Connect', function() {
+    let issuer = null
+    let User = null
+
+    before(async function() {
+        await app.start(this)
+        User = require('./../server/models/user.model').default
+        issuer = await oidcIssuer.start()
+        config.oidc.providers.push({
+            id: 'mock',
+            name: 'Mock SSO',
+            issuer: issuer.url,
+            clientId: issuer.clientId,
+            clientSecret: issuer.clientSecret,
+            scope: 'openid email profile'
+        })
+    })
+
+    after(async function() {
+        if (!issuer) return
+        config.oidc.providers = config.oidc.providers.filter( provider => provider.id !== 'mock' )
+        await issuer.close()
+    })
+
+    describe('authorize', function() {
+        it('sends the browser to the provider with a state, a nonce and a PKCE code challenge', async function() {
+            const browser = {}
+            const url = new URL(await startFlow('/auth/oidc/mock/signin', browser))
+            assert.strictEqual(url.origin + url.pathname, issuer.url + '/authorize')
+            assert.strictEqual(url.searchParams.get('client_id'), issuer.clientId)
+            assert.strictEqual(url.searchParams.get('response_type'), 'code')
+            assert.strictEqual(url.searchParams.get('redirect_uri'), config.appUrl + '/auth/oidc/mock/callback')
+            assert.ok(url.searchParams.get('state'))
+            assert.ok(url.searchParams.get('nonce'))
+            assert.strictEqual(url.searchParams.get('code_challenge_method'), 'S256')
+            assert.match(url.searchParams.get('code_challenge'), /^[\w-]{43}$/)
+            assert.strictEqual(url.searchParams.get('code_verifier'), null)
+            assert.ok(browser.cookies.oidc, 'The flow is bound to the browser with a cookie')
+        })
+
+        it('rejects an unknown provider', async function() {
+            const response = await app.request('POST', '/auth/oidc/unknown/signin', {})
+            assert.strictEqual(response.status, 400)
+        })
+    })
+
+    describe('callback', function() {
+        it('signs up a new verified user with the identity of the provider', async function() {
+            issuer.login({ sub: 'new-sub', email: 'new.user@oidc.local', email_verified: true, name: 'New User' })
+            const outcome = await signinWithProvider()
+            assert.ok(outcome.signedIn, JSON.stringify(outcome))
+
+            const user = await User.findById(outcome.signedIn).select('+identities')
+            assert.strictEqual(user.email, 'new.user@oidc.local')
+            assert.strictEqual(user.verified, true)
+            assert.strictEqual(user.hasPassword, false)
+            assert.deepStrictEqual(user.identities.map( identity => [ identity.provider, identity.subject ] ), [ [ 'mock', 'new-sub' ] ])
+        })
+
+        it('signs in the user linked to the identity the next time', async function() {
+            issuer.login({ sub: 'new-sub', email: 'new.user@oidc.local', email_verified: true })
+            const outcome = await signinWithProvider()
+            const user = await User.findOne({ email: 'new.user@oidc.local' })
+            assert.strictEqual(outcome.signedIn, String(user._id))
+        })
+
+        it('rejects a state that was already used', async function() {
+            issuer.login({ sub: 'new-sub', email: 'new.user@oidc.local', email_verified: true })
+            const browser = {}
+            const callbackPath = await visitProvider(await startFlow('/auth/oidc/mock/signin', browser))
+            assert.ok((await finishFlow(callbackPath, { cookies: { ...browser.cookies } })).signedIn)
+            const replayed = await finishFlow(callbackPath, browser)
+            assert.strictEqual(replayed.error, 'The sign-in has expired, please try again')
+        })
+
+        it('rejects a callback in another browser than the one that started the flow', async function() {
+            issuer.login({ sub: 'new-sub', email: 'new.user@oidc.local', email_verified: true })
+            const callbackPath = await visitProvider(await startFlow('/auth/oidc/mock/signin', {}))
+            const outcome = await finishFlow(callbackPath, { cookies: { oidc: 'another-browser' } })
+            assert.strictEqual(outcome.error, 'Please finish the sign-in in the browser you started it from')
+        })
+
+        it('rejects a code issued for another flow, whose PKCE verifier doesn\'t match', async function() {
+            issuer.login({ sub: 'new-sub', email: 'new.user@oidc.local', email_verified: true })
+            const stolen = new URL(await visitProvider(await startFlow('/auth/oidc/mock/signin', {})), config.appUrl)
+            const browser = {}
+            const own = new URL(await visitProvider(await startFlow('/auth/oidc/mock/signin', browser)), config.appUrl)
+            const errors = issuer.errors.length
+
+            const outcome = await finishFlow('/auth/oidc/mock/callback?' + querystring.stringify({
+                code: stolen.searchParams.get('code'),
+                state: own.searchParams.get('state')
+            }), browser)
+            assert.strictEqual(outcome.error, 'Could not sign in with Mock SSO')
+            assert.deepStrictEqual(issuer.errors.slice(errors), [ 'invalid_grant' ])
+        })
+    })
+
+    describe('linking', function() {
+        it('links the provider to the verified account with the same email address', async function() {
+            const existing = await app.createUser()
+            issuer.login({ sub: 'existing-sub', email: existing.email, email_verified: true })
+            const outcome = await signinWithProvider()
+            assert.strictEqual(outcome.signedIn, existing._id)
+
+            const user = await User.findById(existing._id).select('+identities')
+            assert.deepStrictEqual(user.identities.map( identity => identity.subject ), [ 'existing-sub' ])
+        })
+
+        it('doesn\'t link an account whose email address isn\'t verified', async function() {
+            const unverified = await app.createUser({ verified: false })
+            issuer.login({ sub: 'unverified-sub', email: unverified.email, email_verified: true })
+            const outcome = await signinWithProvider()
+            assert.ok(/verify your email address/.test(outcome.error), JSON.stringify(outcome))
+        })
+
+        it('links the provider to the signed-in user', async function() {
+            const user = await app.signin(await app.createUser())
+            issuer.login({ sub: 'link-sub', email: 'linked@oidc.local', email_verified: true })
+            const outcome = await finishFlow(await visitProvider(await startFlow('/auth/oidc/mock/link', user)), user)
+            assert.deepStrictEqual(outcome, { linked: 'mock', userId: user._id })
+
+            const identities = await app.request('GET', '/auth/oidc/identities', undefined, user)
+            const mock = identities.body.find( provider => provider.id === 'mock' )
+            assert.deepStrictEqual(mock, { id: 'mock', name: 'Mock SSO', linked: true, email: 'linked@oidc.local' })
+        })
+
+        it('doesn\'t link an identity that is linked to another user', async function() {
+            const other = await app.signin(await app.createUser())
+            issuer.login({ sub: 'link-sub', email: 'linked@oidc.local', email_verified: true })
+            const outcome = await finishFlow(await visitProvider(await startFlow('/auth/oidc/mock/link', other)), other)
+            assert.strictEqual(outcome.error, 'This Mock SSO account is already linked to another user')
+        })
+
+        it('requires a signed-in user to link a provider', async function() {
+            const response = await app.request('POST', '/auth/oidc/mock/link', {})
+            assert.strictEqual(response.status, 401)
+        })
+    })
+
+    describe('unlinking', function() {
+        it('unlinks the provider from the signed-in user', async function() {
+            const user = await app.signin(await app.createUser({ identities: [ { provider: 'mock', subject: 'unlink-sub' } ] }))
+            const response = await app.request('DELETE', '/auth/oidc/identities/mock', undefined, user)
+            assert.strictEqual(response.status, 200, JSON.stringify(response.body))
+
+            const identities = await app.request('GET', '/auth/oidc/identities', undefined, user)
+            assert.strictEqual(identities.body.find( provider => provider.id === 'mock' ).linked, false)
+        })
+
+        it('keeps the last provider of a user without a password', async function() {
+            const user = await app.signin(await app.createUser({
+                hasPassword: false,
+                identities: [ { provider: 'mock', subject: 'last-sub' } ]
+            }))
+            const response = await app.request('DELETE', '/auth/oidc/identities/mock', undefined, user)
+            assert.strictEqual(response.status, 400)
+
+            const stored = await User.findById(user._id).select('+identities')
+            assert.strictEqual(stored.identities.length, 1)
+        })
+    })
+})
@@ -0,0 +1,167 @@
+/*PASSKEYS
+These tests register passkeys and sign in with them, with the software authenticator of test/helpers/authenticator.js
+playing the user's device. Each challenge can only be answered once, before it expires, in the ceremony and for the
+user it was issued to, and a passkey only signs in the user who registered it.*/
+
+import assert from 'assert'
+
+import app from './helpers/app'
+import softAuthenticator from './helpers/authenticator'
+import config from './../config/config'
+
+//The origin the browser reports in the client data, which is the one of the app
+const ORIGIN = new URL(config.appUrl).origin
+
+describe('Passkeys', function() {
+    let user = null
+    let other = null
+    let authenticator = null
+    let OneTimeToken = null
+    let Passkey = null
+
+    //The first passkey of the authenticator, which the user registered, unlike some of the ones it created afterwards
+    const laptop = () => authenticator.passkeys[0]
+
+    //Makes every challenge of the purpose that is still waiting to be answered expire
+    const expireChallenges = async (purpose) => {
+        await OneTimeToken.updateMany({ purpose: purpose, used: null }, { expires: new Date(Date.now() - 1000) })
+    }
+
+    const registrationOptions = async (owner) => {
+        const response = await app.request('POST', '/auth/passkeys/options', {}, owner)
+        assert.strictEqual(response.status, 200, JSON.stringify(response.body))
+        return response.body
+    }
+
+    const signinOptions = async () => {
+        const response = await app.request('POST', '/auth/signin/passkey/options', {})
+        assert.strictEqual(response.status, 200, JSON.stringify(response.body))
+        return response.body
+    }
+
+    before(async function() {
+        await app.start(this)
+        OneTimeToken = require('./../server/models/oneTimeToken.model').default
+        Passkey = require('./../server/models/passkey.model').default
+        user = await app.signin(await app.createUser())
+        other = await app.signin(await app.createUser())
+        authenticator = softAuthenticator.create()
+    })
+
+    describe('registration', function() {
+        it('registers a passkey with the response of the authenticator', async function() {
+            const options = await registrationOptions(user)
+            assert.strictEqual(options.user.id, user._id)
+            const response = await app.request('POST', '/auth/passkeys', {
+                name: 'Laptop',
+                response: authenticator.register(options, ORIGIN)
+            }, user)
+            assert.strictEqual(response.status, 200, JSON.stringify(response.body))
+            assert.strictEqual(response.body.name, 'Laptop')
+
+            const list = await app.request('GET', '/auth/passkeys', undefined, user)
+            assert.deepStrictEqual(list.body.map( passkey => passkey.name ), [ 'Laptop' ])
+        })
+
+        it('rejects a challenge that was already answered', async function() {
+            const options = await registrationOptions(user)
+            const response = authenticator.register(options, ORIGIN)
+            const first = await app.request('POST', '/auth/passkeys', { name: 'Phone', response }, user)
+            assert.strictEqual(first.status, 200, JSON.stringify(first.body))
+
+            const replayed = await app.request('POST', '/auth/passkeys', { name: 'Phone', response }, user)
+            assert.strictEqual(replayed.status, 400)
+            assert.strictEqual(replayed.body.error, 'The passkey registration has expired, please try again')
+        })
+
+        it('rejects a challenge that expired', async function() {
+            const options = await registrationOptions(user)
+            await expireChallenges('passkey-register')
+            const response = await app.request('POST', '/auth/passkeys', {
+                response: authenticator.register(options, ORIGIN)
+            }, user)
+            assert.strictEqual(response.status, 400)
+            assert.strictEqual(response.body.error, 'The passkey registration has expired, please try again')
+        })
+
+        it('rejects a challenge that was issued to another user', async function() {
+            const options = await registrationOptions(user)
+            const response = await app.request('POST', '/auth/passkeys', {
+                response: authenticator.register(options, ORIGIN)
+            }, other)
+            assert.strictEqual(response.status, 400)
+            assert.strictEqual(await Passkey.countDocuments({ user: other._id }), 0)
+        })
+
+        it('rejects a credential that is registered to another user', async function() {
+            const passkey = laptop()
+            const response = await app.request('POST', '/auth/passkeys', {
+                response: authenticator.register(await registrationOptions(other), ORIGIN, passkey)
+            }, other)
+            assert.strictEqual(response.status, 400)
+
+            const registered = await Passkey.find({ credentialID: passkey.id.toString('base64url') })
+            assert.deepStrictEqual(registered.map( passkey => String(passkey.user) ), [ user._id ])
+        })
+    })
+
+    describe('sign-in', function() {
+        it('signs in the user who registered the passkey', async function() {
+            const options = await signinOptions()
+            const response = await app.request('POST', '/auth/signin/passkey', {
+                response: authenticator.authenticate(options, ORIGIN, { passkey: laptop() })
+            })
+            assert.strictEqual(response.status, 200, JSON.stringify(response.body))
+            assert.ok(response.body.token)
+            assert.strictEqual(response.body.user._id, user._id)
+        })
+
+        it('rejects a challenge that was already answered', async function() {
+            const options = await signinOptions()
+            const response = authenticator.authenticate(options, ORIGIN, { passkey: laptop() })
+            const first = await app.request('POST', '/auth/signin/passkey', { response })
+            assert.strictEqual(first.status, 200, JSON.stringify(first.body))
+
+            const replayed = await app.request('POST', '/auth/signin/passkey', { response })
+            assert.strictEqual(replayed.status, 401)
+        })
+
+        it('rejects a challenge that expired', async function() {
+            const options = await signinOptions()
+            await expireChallenges('passkey-signin')
+            const response = await app.request('POST', '/auth/signin/passkey', {
+                response: authenticator.authenticate(options, ORIGIN, { passkey: laptop() })
+            })
+            assert.strictEqual(response.status, 401)
+        })
+
+        it('rejects a registration challenge', async function() {
+            const options = await registrationOptions(user)
+            const response = await app.request('POST', '/auth/signin/passkey', {
+                response: authenticator.authenticate({ ...options, rpId: options.rp.id }, ORIGIN, { passkey: laptop() })
+            })
+            assert.strictEqual(response.status, 401)
+        })
+
+        it('rejects a passkey presented as the passkey of another user', async function() {
+            const options = await signinOptions()
+            const response = await app.request('POST', '/auth/signin/passkey', {
+                response: authenticator.authenticate(options, ORIGIN, { passkey: laptop(), userHandle: other._id })
+            })
+            assert.strictEqual(response.status, 401)
+        })
+    })
+
+    describe('removal', function() {
+        it('only lets the owner remove their passkey', async function() {
+            const list = await app.request('GET', '/auth/passkeys', undefined, user)
+            const passkeyId = list.body[0]._id
+
+            const byOther = await app.request('DELETE', '/auth/passkeys/' + passkeyId, undefined, other)
+            assert.strictEqual(byOther.status, 403)
+
+            const byOwner = await app.request('DELETE', '/auth/passkeys/' + passkeyId, undefined, user)
+            assert.strictEqual(byOwner.status, 200, JSON.stringify(byOwner.body))
+        })
+    })
+})
@@ -0,0 +1,101 @@
+/*SECRET FIELDS
+These tests check that no endpoint returning users ever sends a secret field: password hashes and salts, token hashes,
+or the two-factor secrets stored with a user. Two users sign up, then use every user-returning endpoint on each other,
+and each response is searched for secret fields, which are reported with their path.
+The recovery codes and the secret shown while enrolling two-factor authentication are sent on purpose, at the top of
+their responses, so the two-factor fields only count inside a twoFactor object.*/
+
+import assert from 'assert'
+
+import app from './helpers/app'
+
+const SECRET_FIELDS = ['hashed_password', 'salt', 'hash']
+const TWO_FACTOR_SECRET_FIELDS = ['secret', 'pendingSecret', 'recoveryCodes', 'lastStep']
+
+//Returns the path of the first secret field found in the value, if any
+const findSecret = (value, path) => {
+    if (Array.isArray(value)) {
+        for (let i = 0; i < value.length; i++) {
+            const found = findSecret(value[i], path + '[' + i + ']')
+            if (found) return found
+        }
+    }
+    else if (value && typeof value === 'object') {
+        for (const key of Object.keys(value)) {
+            const inTwoFactor = path.endsWith('twoFactor') && TWO_FACTOR_SECRET_FIELDS.includes(key)
+            if ((SECRET_FIELDS.includes(key) || inTwoFactor) && value[key] !== undefined) return path + '.' + key
+            const found = findSecret(value[key], path + '.' + key)
+            if (found) return found
+        }
+    }
+    return null
+}
+
+//Checks a response for secret fields. Endpoints that fail are reported too, since their response proves nothing.
+const check = (response) => {
+    assert.strictEqual(findSecret(response.body, 'response'), null)
+    assert.ok(response.status < 400, 'status ' + response.status + ' ' + JSON.stringify(response.body))
+    return response.body
+}
+
+describe('Secret fields', function() {
+    const [ ann, bob ] = [ 'ann', 'bob' ].map( name => ({
+        name: 'Fixture ' + name,
+        username: 'fixture_' + name,
+        email: name + '@fixture.local',
+        password: 'fixture-password-' + name
+    }))
+
+    before(async function() {
+        await app.start(this)
+    })
+
+    it('are not sent by POST /api/users and POST /auth/signin', async function() {
+        for (const user of [ ann, bob ]) {
+            check(await app.request('POST', '/api/users', {
+                name: user.name,
+                username: user.username,
+                email: user.email,
+                password: user.password,
+                proofOfWork: await app.solveChallenge('signup')
+            }))
+            const signin = check(await app.request('POST', '/auth/signin', {
+                email: user.email,
+                password: user.password,
+                proofOfWork: await app.solveChallenge('signin')
+            }))
+            user.token = signin.token
+            user._id = signin.user._id
+        }
+        //A pending two-factor secret, stored with the user, which would show if a whole user document was returned
+        check(await app.request('POST', '/auth/2fa/setup', {}, ann))
+    })
+
+    const steps = [
+        [ 'GET /api/users', () => app.request('GET', '/api/users?search=fixture', undefined, bob) ],
+        [ 'GET /api/users/username/:username', () => app.request('GET', '/api/users/username/' + ann.username) ],
+        [ 'GET /api/users/:userId (self)', () => app.request('GET', '/api/users/' + ann._id, undefined, ann) ],
+        [ 'GET /api/users/:userId (other)', () => app.request('GET', '/api/users/' + ann._id, undefined, bob) ],
+        [ 'PUT /api/users/:userId', () => app.request('PUT', '/api/users/' + ann._id, { about: 'Fixture', private: 'true' }, ann) ],
+        [ 'GET /api/users/findpeople/:userId', () => app.request('GET', '/api/users/findpeople/' + bob._id, undefined, bob) ],
+        [ 'PUT /api/users/follow (request)', () => app.request('PUT', '/api/users/follow', { followId: ann._id }, bob) ],
+        [ 'GET /api/users/requests', () => app.request('GET', '/api/users/requests', undefined, ann) ],
+        [ 'PUT /api/users/requests/approve', () => app.request('PUT', '/api/users/requests/approve', { requesterId: bob._id }, ann) ],
+        [ 'PUT /api/users/follow', () => app.request('PUT', '/api/users/follow', { followId: bob._id }, ann) ],
+        [ 'GET /api/users/:userId (follower)', () => app.request('GET', '/api/users/' + ann._id, undefined, bob) ],
+        [ 'GET /api/posts/feed/:userId', () => app.request('GET', '/api/posts/feed/' + bob._id, undefined, bob) ],
+        [ 'GET /api/posts/by/:userId', () => app.request('GET', '/api/posts/by/' + ann._id, undefined, bob) ],
+        [ 'PUT /api/users/unfollow', () => app.request('PUT', '/api/users/unfollow', { unfollowId: bob._id }, ann) ],
+        [ 'PUT /api/users/block', () => app.request('PUT', '/api/users/block', { blockId: bob._id }, ann) ],
+        [ 'GET /api/users/blocked', () => app.request('GET', '/api/users/blocked', undefined, ann) ],
+        [ 'PUT /api/users/unblock', () => app.request('PUT', '/api/users/unblock', { unblockId: bob._id }, ann) ],
+        [ 'GET /auth/audit', () => app.request('GET', '/auth/audit', undefined, ann) ],
+        [ 'DELETE /api/users/:userId', () => app.request('DELETE', '/api/users/' + ann._id, undefined, ann) ]
+    ]
+
+    steps.forEach( ([ label, send ]) => {
+        it('are not sent by ' + label, async function() {
+            check(await send())
+        })
+    })
+})
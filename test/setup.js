@@ -0,0 +1,20 @@
+/*The environment of the tests, set before any module of the app is loaded, since the config is read once on import.
+The emails are written to a temporary folder, and the images imported by the client components, which webpack
+bundles with file-loader, are loaded as their file name, like file-loader does.*/
+
+const os = require('os')
+const path = require('path')
+
+process.env.NODE_ENV = 'test'
+process.env.MAIL_TRANSPORT = 'file'
+process.env.MAIL_DIR = path.join(os.tmpdir(), 'mern-social-test-mail')
+process.env.LIMITER_STORE = 'memory'
+delete process.env.AUTH_MODE
+delete process.env.INVITE_ONLY
+
+for (const extension of [ '.jpg', '.png', '.svg', '.gif' ]) {
+    require.extensions[extension] = (module, fileName) => {
+        module.exports = path.basename(fileName)
+    }
+}
+
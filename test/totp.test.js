@@ -0,0 +1,91 @@
+/*TOTP
+These tests check the TOTP helper against the test vectors of RFC 6238 for SHA-1, whose secret is the ASCII string
+'12345678901234567890'. The RFC gives 8-digit codes, and the 6-digit codes of authenticator apps are their last 6 digits.
+The time is set by replacing Date.now, which the helper reads the current time from.*/
+
+import assert from 'assert'
+
+import totp from './../server/helpers/totp'
+
+const SECRET = totp.base32Encode(Buffer.from('12345678901234567890'))
+
+//The time of each vector, in seconds, and its 8-digit code
+const VECTORS = [
+    [ 59, '94287082' ],
+    [ 1111111109, '07081804' ],
+    [ 1111111111, '14050471' ],
+    [ 1234567890, '89005924' ],
+    [ 2000000000, '69279037' ],
+    [ 20000000000, '65353130' ]
+]
+
+//Runs the function with Date.now returning the given time, in seconds
+const at = (seconds, fn) => {
+    const now = Date.now
+    Date.now = () => seconds * 1000
+    try {
+        return fn()
+    }
+    finally {
+        Date.now = now
+    }
+}
+
+describe('TOTP', function() {
+    it('encodes and decodes base32 secrets', function() {
+        assert.strictEqual(SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ')
+        assert.strictEqual(totp.base32Decode(SECRET.toLowerCase()).toString(), '12345678901234567890')
+        const secret = totp.generateSecret()
+        assert.strictEqual(totp.base32Encode(totp.base32Decode(secret)), secret)
+    })
+
+    it('generates the codes of the RFC 6238 test vectors', function() {
+        VECTORS.forEach( ([ seconds, code ]) => {
+            assert.strictEqual(totp.generate(SECRET, Math.floor(seconds / 30)), code.slice(-6))
+        })
+    })
+
+    it('accepts the codes of the RFC 6238 test vectors at their time', function() {
+        VECTORS.forEach( ([ seconds, code ]) => {
+            assert.strictEqual(at(seconds, () => totp.verify(SECRET, code.slice(-6))), Math.floor(seconds / 30))
+        })
+    })
+
+    it('accepts the codes of one step before and after the current one', function() {
+        const step = Math.floor(1111111111 / 30)
+        assert.strictEqual(at(1111111111 - 30, () => totp.verify(SECRET, '050471')), step)
+        assert.strictEqual(at(1111111111 + 30, () => totp.verify(SECRET, '050471')), step)
+        assert.strictEqual(at(1111111111, () => totp.verify(SECRET, totp.generate(SECRET, step + 1))), step + 1)
+        assert.strictEqual(at(1111111111, () => totp.verify(SECRET, totp.generate(SECRET, step - 1))), step - 1)
+    })
+
+    it('rejects the codes of two steps before or after the current one', function() {
+        assert.strictEqual(at(1111111111 - 60, () => totp.verify(SECRET, '050471')), null)
+        assert.strictEqual(at(1111111111 + 60, () => totp.verify(SECRET, '050471')), null)
+    })
+
+    it('rejects a code that was already used, and the codes of the steps before it', function() {
+        const step = Math.floor(1111111111 / 30)
+        at(1111111111, () => {
+            assert.strictEqual(totp.verify(SECRET, '050471', { after: step }), null)
+            assert.strictEqual(totp.verify(SECRET, totp.generate(SECRET, step - 1), { after: step }), null)
+            assert.strictEqual(totp.verify(SECRET, totp.generate(SECRET, step + 1), { after: step }), step + 1)
+        })
+    })
+
+    it('rejects malformed codes', function() {
+        at(1111111111, () => {
+            assert.strictEqual(totp.verify(SECRET, '50471'), null)
+            assert.strictEqual(totp.verify(SECRET, '0504711'), null)
+            assert.strictEqual(totp.verify(SECRET, 'abcdef'), null)
+            assert.strictEqual(totp.verify(SECRET, undefined), null)
+            assert.strictEqual(totp.verify(SECRET, '050 471'), Math.floor(1111111111 / 30))
+        })
+    })
+
+    it('builds the provisioning URI of authenticator apps', function() {
+        assert.strictEqual(totp.keyUri(SECRET, 'ann@example.com', 'MERN Social'),
+            'otpauth://totp/MERN%20Social:ann%40example.com?secret=' + SECRET +
+            '&issuer=MERN%20Social&algorithm=SHA1&digits=6&period=30')
+    })
+})
@@ -0,0 +1,93 @@
+/*TWO-FACTOR AUTHENTICATION
+These tests turn on two-factor authentication for a user, then sign in with their authenticator's codes and their
+recovery codes, which can only be used once. The authenticator is played by the TOTP helper, with the secret the app
+gave while enrolling.*/
+
+import assert from 'assert'
+
+import app from './helpers/app'
+import totp from './../server/helpers/totp'
+
+//The code of the authenticator for the given number of time steps after the current one
+const codeIn = (secret, steps) => totp.generate(secret, Math.floor(Date.now() / 1000 / 30) + steps)
+
+describe('Two-factor authentication', function() {
+    let user = null
+    let secret = null
+    let enableCode = null
+    let recoveryCodes = null
+
+    //Signs in with the password, which only gives a challenge, then completes it with the code
+    const signinWith = async (code) => {
+        const signin = await app.request('POST', '/auth/signin', {
+            email: user.email,
+            password: user.password,
+            proofOfWork: await app.solveChallenge('signin')
+        })
+        assert.strictEqual(signin.body.twoFactorRequired, true, JSON.stringify(signin.body))
+        return await app.request('POST', '/auth/signin/2fa', { challenge: signin.body.challenge, code: code })
+    }
+
+    before(async function() {
+        await app.start(this)
+        user = await app.signin(await app.createUser())
+    })
+
+    it('is enabled with a first code of the authenticator, and gives the recovery codes', async function() {
+        const setup = await app.request('POST', '/auth/2fa/setup', {}, user)
+        assert.strictEqual(setup.status, 200, JSON.stringify(setup.body))
+        secret = setup.body.secret
+        assert.ok(setup.body.uri.startsWith('otpauth://totp/'))
+
+        const wrong = await app.request('POST', '/auth/2fa/enable', { code: codeIn(secret, 5) }, user)
+        assert.strictEqual(wrong.status, 400)
+
+        enableCode = codeIn(secret, 0)
+        const enable = await app.request('POST', '/auth/2fa/enable', { code: enableCode }, user)
+        assert.strictEqual(enable.status, 200, JSON.stringify(enable.body))
+        recoveryCodes = enable.body.recoveryCodes
+        assert.strictEqual(recoveryCodes.length, 10)
+    })
+
+    it('rejects the code that was used to enable it', async function() {
+        const response = await signinWith(enableCode)
+        assert.strictEqual(response.status, 401)
+    })
+
+    it('signs in with the code of the next time step, once', async function() {
+        const code = codeIn(secret, 1)
+        const response = await signinWith(code)
+        assert.strictEqual(response.status, 200, JSON.stringify(response.body))
+        assert.ok(response.body.token)
+
+        const replayed = await signinWith(code)
+        assert.strictEqual(replayed.status, 401)
+    })
+
+    it('rejects the codes that are out of the time window', async function() {
+        const response = await signinWith(codeIn(secret, 3))
+        assert.strictEqual(response.status, 401)
+    })
+
+    it('signs in with a recovery code, once', async function() {
+        const response = await signinWith(recoveryCodes[0].toUpperCase().replace('-', ' '))
+        assert.strictEqual(response.status, 200, JSON.stringify(response.body))
+
+        const reused = await signinWith(recoveryCodes[0])
+        assert.strictEqual(reused.status, 401)
+
+        const status = await app.request('GET', '/auth/2fa', undefined, user)
+        assert.deepStrictEqual(status.body, { enabled: true, recoveryCodesLeft: 9 })
+    })
+
+    it('rejects a recovery code that was replaced by new ones', async function() {
+        const regenerate = await app.request('POST', '/auth/2fa/recovery-codes', { code: recoveryCodes[1] }, user)
+        assert.strictEqual(regenerate.status, 200, JSON.stringify(regenerate.body))
+        assert.notDeepStrictEqual(regenerate.body.recoveryCodes, recoveryCodes)
+
+        const response = await signinWith(recoveryCodes[2])
+        assert.strictEqual(response.status, 401)
+        const renewed = await signinWith(regenerate.body.recoveryCodes[0])
+        assert.strictEqual(renewed.status, 200, JSON.stringify(renewed.body))
+    })
+})